@@ -89,217 +89,104 @@ const copyToClipboard = async (text) => {
   }
 };
 
-let audioContext;
 let audioPrimed = false;
 
-const getAudioContext = () => {
-  if (typeof window === "undefined") return null;
-  const Ctx = window.AudioContext || window.webkitAudioContext;
-  if (!Ctx) return null;
-  if (!audioContext) {
-    audioContext = new Ctx();
-  }
-  return audioContext;
-};
-
-const resumeAudioContext = async () => {
-  const ctx = getAudioContext();
-  if (ctx && ctx.state === "suspended") {
-    try {
-      await ctx.resume();
-    } catch (_error) {
-      // Browsers may prevent auto-resume without a user gesture.
-    }
-  }
-  return ctx;
-};
+import {
+  initStockfish,
+  evaluatePosition,
+  stopEvaluation,
+} from "./stockfish-client.js";
 
-const scheduleTone = (ctx, frequency, options = {}) => {
-  if (!ctx) return;
-  const { duration = 0.18, type = "sine", gain = 0.18, delay = 0 } = options;
-  const oscillator = ctx.createOscillator();
-  const gainNode = ctx.createGain();
+import { measureEngineSpeed } from "./engine-benchmark.js";
 
-  oscillator.type = type;
-  oscillator.frequency.setValueAtTime(frequency, ctx.currentTime + delay);
+import { chooseRobotMove } from "./robot-player.js";
 
-  gainNode.gain.setValueAtTime(gain, ctx.currentTime + delay);
-  gainNode.gain.exponentialRampToValueAtTime(
-    0.0001,
-    ctx.currentTime + delay + duration
-  );
+import { analyzeGame, cancelGameAnalysis } from "./game-analysis.js";
 
-  oscillator.connect(gainNode).connect(ctx.destination);
-  oscillator.start(ctx.currentTime + delay);
-  oscillator.stop(ctx.currentTime + delay + duration + 0.05);
-};
+import { identifyOpening, initOpeningBook } from "./opening-book.js";
 
-const playMoveSound = async () => {
-  const ctx = await resumeAudioContext();
-  if (!ctx) return;
-
-  scheduleTone(ctx, 520, { duration: 0.14, type: "triangle", gain: 0.22 });
-  scheduleTone(ctx, 660, {
-    duration: 0.16,
-    type: "triangle",
-    gain: 0.18,
-    delay: 0.1,
-  });
-};
+import { BoardOverlay } from "./board-overlay.js";
 
-const playJoinSound = async () => {
-  const ctx = await resumeAudioContext();
-  if (!ctx) return;
-
-  scheduleTone(ctx, 440, { duration: 0.16, type: "sine", gain: 0.18 });
-  scheduleTone(ctx, 660, {
-    duration: 0.2,
-    type: "sine",
-    gain: 0.16,
-    delay: 0.12,
-  });
-};
+import {
+  AnnotationInput,
+  BRUSHES,
+  NO_ANNOTATIONS,
+  isEmpty,
+  loadAnnotations,
+  sanitizeAnnotations,
+  saveAnnotations,
+  toggleAnnotation,
+} from "./board-annotations.js";
 
-// Detect iOS devices
-const detectiOS = () => {
-  if (typeof navigator === "undefined") {
-    return false;
-  }
-  const toMatch = [/iPhone/i, /iPad/i, /iPod/i];
-  return toMatch.some((toMatchItem) => {
-    return RegExp(toMatchItem).exec(navigator.userAgent);
-  });
-};
+import { PieceDrag, isLegalDrop } from "./board-drag.js";
 
-// Detect Android devices
-const detectAndroid = () => {
-  if (typeof navigator === "undefined") {
-    return false;
-  }
-  const toMatch = [/Android/i, /webOS/i, /BlackBerry/i, /Windows Phone/i];
-  return toMatch.some((toMatchItem) => {
-    return RegExp(toMatchItem).exec(navigator.userAgent);
-  });
-};
+import { PremoveQueue } from "./premoves.js";
 
-// Haptic feedback setup for iOS (using Safari 18.0+ input[switch] feature)
-// Based on https://github.com/posaune0423/use-haptic
-// CRITICAL: This must be triggered synchronously during a user interaction event
-let hapticInput = null;
-let hapticLabel = null;
+import { BoardKeyboard } from "./board-keyboard.js";
 
-const setupHapticElements = () => {
-  // Only set up for iOS devices
-  if (!detectiOS() || hapticInput) {
-    return;
-  }
+import {
+  ClockModel,
+  LowTimeAlerts,
+  formatClock,
+  lowTimeThresholds,
+} from "./chess-clock.js";
 
-  try {
-    // Create input[type="checkbox"][switch] for iOS haptic feedback
-    hapticInput = document.createElement("input");
-    hapticInput.type = "checkbox";
-    hapticInput.id = "haptic-switch";
-    hapticInput.setAttribute("switch", "");
-    hapticInput.style.cssText = "display: none;";
-
-    // Create label associated with the input
-    hapticLabel = document.createElement("label");
-    hapticLabel.htmlFor = "haptic-switch";
-    hapticLabel.style.cssText = "display: none;";
-
-    // Append directly to body
-    document.body.appendChild(hapticInput);
-    document.body.appendChild(hapticLabel);
-
-    console.log("iOS haptic feedback initialized");
-  } catch (error) {
-    console.error("Failed to setup haptic elements:", error);
-  }
-};
+import {
+  BoardAnimator,
+  animationSpeed,
+  setAnimationSpeed,
+} from "./board-animation.js";
 
-// Initialize haptic elements when DOM is ready
-if (typeof document !== "undefined") {
-  if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", setupHapticElements);
-  } else {
-    setupHapticElements();
-  }
-}
+import { moveSuggestions, parseTypedMove } from "./move-input.js";
 
-// Vibration helpers for mobile devices
-// MUST be called synchronously during a user interaction event for iOS haptic to work
-const vibrateDevice = (pattern) => {
-  const isIOS = detectiOS();
+import { EngineArrows } from "./engine-hints.js";
 
-  if (isIOS) {
-    // Ensure elements are set up
-    if (!hapticLabel) {
-      setupHapticElements();
-    }
+import { initEndgameParticles } from "./endgame-particles.js";
 
-    if (hapticLabel) {
-      try {
-        // Click the label synchronously during user interaction
-        // This triggers the checkbox which provides native haptic feedback on iOS
-        hapticLabel.click();
-      } catch (error) {
-        console.debug("iOS haptic failed:", error);
-      }
-    }
-  } else if (typeof navigator !== "undefined" && navigator.vibrate) {
-    // Use Vibration API for Android and other devices
-    try {
-      navigator.vibrate(pattern);
-    } catch (error) {
-      console.debug("Vibration failed:", error);
-    }
-  }
-};
+import {
+  MOVE_SOUND_TYPES,
+  SOUND_EVENTS,
+  SOUND_THEMES,
+  playSound,
+  preloadTheme,
+  resumeAudioContext,
+  saveSoundSettings,
+  soundSettings,
+} from "./sounds.js";
+
+import { HapticQueue, hapticIntensity, setHapticIntensity } from "./haptics.js";
 
-const vibrateOnMove = () => {
-  // Short single vibration for moves (50ms)
-  vibrateDevice(50);
-};
+import {
+  TabNotifier,
+  notifySettings,
+  requestNotifyPermission,
+  saveNotifySettings,
+} from "./tab-notifier.js";
 
-const vibrateOnOpponentMove = () => {
-  // Slightly longer vibration for opponent moves (80ms)
-  vibrateDevice(80);
-};
+const CLOCK_PING_INTERVAL_MS = 10000;
 
-const vibrateOnJoin = () => {
-  // Two short vibrations for player joining
-  vibrateDevice([60, 40, 60]);
-};
+const haptics = new HapticQueue(window);
 
-import {
-  initStockfish,
-  evaluatePosition,
-  stopEvaluation,
-} from "./stockfish-client.js";
+// A move onto an occupied square takes what stands there
+const moveHaptic = (button) => (button?.dataset.piece ? "capture" : "move");
 
-import { initEndgameParticles } from "./endgame-particles.js";
+// Drawn annotations carry a brush name; the overlay wants a colour
+const withColor = (shape) => ({ ...shape, color: BRUSHES[shape.brush] });
 
 const Hooks = {
   ChessBoard: {
     mounted() {
       // Attach haptic feedback to square clicks
-      // This MUST be called synchronously during the user's click event
+      // This MUST be requested during the user's click event for iOS
       this.handleSquareClick = (event) => {
         // Check if clicking on a button (chess square)
         const button = event.target.closest(
           'button[phx-click="select_square"]'
         );
-        if (button) {
-          // Only trigger haptic if this square has a move-dot
-          // (meaning it's a valid move destination, not just selecting your piece)
-          const hasMoveIndicator = button.querySelector(".move-dot") !== null;
-
-          if (hasMoveIndicator) {
-            // Trigger haptic feedback immediately on move
-            // For iOS, this toggles the hidden checkbox which triggers native haptic
-            // For Android, this calls navigator.vibrate()
-            vibrateDevice(50);
-          }
+        // Only a square with a move-dot finishes a move; clicking your own
+        // piece just selects it
+        if (button && button.querySelector(".move-dot")) {
+          haptics.play(moveHaptic(button));
         }
       };
 
@@ -308,6 +195,100 @@ const Hooks = {
       this.el.addEventListener("click", this.handleSquareClick, {
         capture: true,
       });
+
+      // While the opponent is to move, clicks queue premoves on the client
+      // instead of reaching the server
+      this.premoves = new PremoveQueue();
+      this.premoveFrom = null;
+      this.handlePremoveClick = (event) => {
+        const button = event.target.closest(
+          'button[phx-click="select_square"]'
+        );
+        if (!button || !this.premoveMode()) return;
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        this.selectPremoveSquare(button.getAttribute("phx-value-square"));
+      };
+      this.handleContextMenu = (event) => {
+        if (this.premoves.size === 0 && !this.premoveFrom) return;
+        event.preventDefault();
+        this.cancelPremoves();
+      };
+
+      const squareButton = (square) =>
+        this.el.querySelector(`button[phx-value-square="${square}"]`);
+      const isLegalTarget = (from, to) =>
+        isLegalDrop(this.el.dataset.fen, from, to);
+
+      // Dragging runs the same select/move flow as two clicks would, or
+      // queues a premove while the opponent is to move
+      this.pieceDrag = new PieceDrag(this.el, {
+        onPickUp: (square) => {
+          if (this.premoveMode()) {
+            this.premoveFrom = null;
+            this.renderPremoves();
+            return;
+          }
+
+          const button = squareButton(square);
+          if (!button.classList.contains("chess-square-active")) {
+            this.pushEvent("select_square", { square });
+          }
+        },
+        onHover: (square, from) => {
+          this.el
+            .querySelectorAll(".chess-square-drop-target")
+            .forEach((el) => el.classList.remove("chess-square-drop-target"));
+          if (square && !this.premoveMode() && isLegalTarget(from, square)) {
+            squareButton(square).classList.add("chess-square-drop-target");
+          }
+        },
+        onDrop: (from, to) => {
+          if (this.premoveMode()) {
+            const queued = this.premoves.add(
+              this.el.dataset.fen,
+              this.playerColor(),
+              from,
+              to
+            );
+            this.renderPremoves();
+            return queued;
+          }
+
+          if (!isLegalTarget(from, to)) return false;
+
+          // Still inside the pointerup handler, so iOS haptics work too
+          haptics.play(moveHaptic(squareButton(to)));
+          this.pushEvent("select_square", { square: to });
+          return true;
+        },
+      });
+
+      // After the drag handler, so the click ending a drag never gets here
+      this.el.addEventListener("click", this.handlePremoveClick, {
+        capture: true,
+      });
+      this.el.addEventListener("contextmenu", this.handleContextMenu);
+
+      this.keyboard = new BoardKeyboard(this.el);
+      this.animator = new BoardAnimator(this.el);
+    },
+    beforeUpdate() {
+      this.previousPly = Number(this.el.dataset.ply);
+      // A dropped piece is already on its square
+      this.droppedPiece = Boolean(this.pieceDrag.settling);
+      this.animator.snapshot();
+    },
+    updated() {
+      // Moves in a jump through history just appear
+      const steps = Math.abs(Number(this.el.dataset.ply) - this.previousPly);
+      this.animator.animate({ skip: steps !== 1 || this.droppedPiece });
+
+      this.pieceDrag.refresh();
+      this.keyboard.refresh();
+      this.maybePlayPremove();
+      this.renderPremoves();
     },
     destroyed() {
       if (this.handleSquareClick) {
@@ -315,55 +296,635 @@ const Hooks = {
           capture: true,
         });
       }
+      this.el.removeEventListener("click", this.handlePremoveClick, {
+        capture: true,
+      });
+      this.el.removeEventListener("contextmenu", this.handleContextMenu);
+      this.pieceDrag.destroy();
+      this.keyboard.destroy();
+      this.animator.destroy();
+    },
+    playerColor() {
+      return this.el.dataset.role === "black" ? "b" : "w";
+    },
+    premoveMode() {
+      const { role, turn } = this.el.dataset;
+      return (
+        this.el.hasAttribute("data-premoves") &&
+        this.el.hasAttribute("data-live") &&
+        turn !== role
+      );
+    },
+    selectPremoveSquare(square) {
+      const fen = this.el.dataset.fen;
+      const color = this.playerColor();
+
+      if (square === this.premoveFrom) {
+        this.premoveFrom = null;
+      } else if (
+        this.premoveFrom &&
+        this.premoves.add(fen, color, this.premoveFrom, square)
+      ) {
+        this.premoveFrom = null;
+      } else if (this.premoves.ownsSquare(fen, color, square)) {
+        this.premoveFrom = square;
+      } else {
+        // Tapping an empty or enemy square that is no target cancels
+        this.cancelPremoves();
+        return;
+      }
+
+      this.renderPremoves();
+    },
+    cancelPremoves() {
+      this.premoves.clear();
+      this.premoveFrom = null;
+      this.renderPremoves();
+    },
+    // Play the next premove as soon as the server reports our turn
+    maybePlayPremove() {
+      if (!this.el.hasAttribute("data-premoves")) {
+        // The game ended or we are no longer playing
+        this.premoves.clear();
+        this.premoveFrom = null;
+        return;
+      }
+
+      const { fen, role, turn } = this.el.dataset;
+      if (turn !== role || this.premoves.size === 0) return;
+      if (fen === this.premovePlayedFen) return;
+
+      this.premovePlayedFen = fen;
+      this.premoveFrom = null;
+
+      const move = this.premoves.next(fen);
+      if (move) {
+        this.pushEvent("submit_move", {
+          from: move.from,
+          to: move.to,
+          promotion: move.promotion,
+        });
+      }
+    },
+    renderPremoves() {
+      this.el
+        .querySelectorAll(".chess-square-premove, .chess-square-premove-source")
+        .forEach((el) =>
+          el.classList.remove(
+            "chess-square-premove",
+            "chess-square-premove-source"
+          )
+        );
+
+      const mark = (square, className) => {
+        const button = this.el.querySelector(
+          `button[phx-value-square="${square}"]`
+        );
+        if (button) button.classList.add(className);
+      };
+
+      this.premoves
+        .squares()
+        .forEach((square) => mark(square, "chess-square-premove"));
+      if (this.premoveFrom) {
+        mark(this.premoveFrom, "chess-square-premove-source");
+      }
+    },
+  },
+  // Both game clocks, ticking between the server's snapshots
+  ChessClock: {
+    mounted() {
+      this.model = new ClockModel();
+      this.faces = {
+        white: this.el.querySelector('[data-clock-side="white"]'),
+        black: this.el.querySelector('[data-clock-side="black"]'),
+      };
+
+      // Redraw at once when the tab comes back; the time itself never lags
+      this.handleVisibility = () => {
+        if (!document.hidden) this.startTicking();
+      };
+      document.addEventListener("visibilitychange", this.handleVisibility);
+
+      this.measureLatency();
+      this.pingTimer = setInterval(
+        () => this.measureLatency(),
+        CLOCK_PING_INTERVAL_MS
+      );
+      this.sync();
+    },
+    updated() {
+      this.sync();
+    },
+    destroyed() {
+      cancelAnimationFrame(this.frame);
+      clearInterval(this.pingTimer);
+      clearTimeout(this.alertTimer);
+      document.removeEventListener("visibilitychange", this.handleVisibility);
+    },
+    sync() {
+      const data = this.el.dataset.clock;
+      if (data === this.clockData) return;
+      this.clockData = data;
+
+      this.model.sync(JSON.parse(data), performance.now());
+      if (!this.alerts) {
+        this.alerts = new LowTimeAlerts(
+          lowTimeThresholds(this.model.initialMs)
+        );
+      }
+      this.startTicking();
+    },
+    // Round trip of an event over the LiveSocket, for latency compensation
+    measureLatency() {
+      const sentAt = performance.now();
+      this.pushEvent("clock_ping", {}, () => {
+        this.model.recordRoundTrip(performance.now() - sentAt);
+      });
+    },
+    startTicking() {
+      cancelAnimationFrame(this.frame);
+
+      const tick = () => {
+        this.render();
+        if (this.model.running && !document.hidden) {
+          this.frame = requestAnimationFrame(tick);
+        }
+      };
+      tick();
+      this.scheduleAlert();
+    },
+    render() {
+      const now = performance.now();
+      const own = this.el.dataset.role;
+
+      ["white", "black"].forEach((color) => {
+        const face = this.faces[color];
+        const remaining = this.model.remaining(color, now);
+        const text = formatClock(remaining);
+
+        if (face.textContent !== text) face.textContent = text;
+        face.classList.toggle(
+          "chess-clock-running",
+          this.model.running === color
+        );
+        face.classList.toggle(
+          "chess-clock-low",
+          remaining <= this.alerts.thresholds[0]
+        );
+      });
+
+      if (own === "white" || own === "black") {
+        this.alertLowTime(this.model.remaining(own, now));
+      }
+    },
+    alertLowTime(remaining) {
+      if (this.model.running !== this.el.dataset.role) return;
+
+      const level = this.alerts.check(remaining);
+      if (level === -1) return;
+
+      const urgent = level === this.alerts.thresholds.length - 1;
+      playSound(urgent ? "low_time_urgent" : "low_time");
+      haptics.play(urgent ? "low_time_urgent" : "low_time");
+    },
+    // requestAnimationFrame stops in background tabs, so a timer makes sure
+    // the alert still sounds there, if a little late
+    scheduleAlert() {
+      clearTimeout(this.alertTimer);
+
+      const own = this.el.dataset.role;
+      if (this.model.running !== own) return;
+
+      const delay = this.alerts.nextIn(
+        this.model.remaining(own, performance.now())
+      );
+      if (delay !== null) {
+        this.alertTimer = setTimeout(() => {
+          this.render();
+          this.scheduleAlert();
+        }, delay);
+      }
+    },
+  },
+  // Piece animation speed, a per-device preference
+  AnimationSpeed: {
+    mounted() {
+      this.el.value = animationSpeed();
+      this.handleChange = () => setAnimationSpeed(this.el.value);
+      this.el.addEventListener("change", this.handleChange);
+    },
+    destroyed() {
+      this.el.removeEventListener("change", this.handleChange);
+    },
+  },
+  // Vibration strength; the controls stay hidden on devices without haptics
+  HapticsSetting: {
+    mounted() {
+      this.select = this.el.querySelector("select");
+      this.el.querySelector("[data-haptics-controls]").hidden =
+        !haptics.supported;
+      this.select.value = hapticIntensity();
+
+      this.handleChange = () => {
+        setHapticIntensity(this.select.value);
+        // Let the player feel what they picked
+        haptics.play("move");
+      };
+      this.select.addEventListener("change", this.handleChange);
+    },
+    destroyed() {
+      this.select.removeEventListener("change", this.handleChange);
+    },
+  },
+  // Title flash, favicon badge and system notifications while the tab is in
+  // the background, with a checkbox per event
+  TabNotifier: {
+    mounted() {
+      this.notifier = new TabNotifier(document);
+      this.checkboxes = Array.from(
+        this.el.querySelectorAll('input[type="checkbox"]')
+      );
+      this.desktop = this.el.querySelector('input[name="desktop"]');
+
+      const settings = notifySettings();
+      const canNotify =
+        "Notification" in window && Notification.permission !== "denied";
+      this.checkboxes.forEach((checkbox) => {
+        checkbox.checked = settings[checkbox.name];
+      });
+      this.desktop.checked = settings.desktop && canNotify;
+      this.desktop.closest("label").hidden = !canNotify;
+
+      this.handleChange = async (event) => {
+        const changes = {};
+        this.checkboxes.forEach((checkbox) => {
+          changes[checkbox.name] = checkbox.checked;
+        });
+        saveNotifySettings(changes);
+
+        if (event.target === this.desktop && this.desktop.checked) {
+          const granted = await requestNotifyPermission();
+          if (!granted) {
+            this.desktop.checked = false;
+            saveNotifySettings({ desktop: false });
+          }
+        }
+      };
+      this.el.addEventListener("change", this.handleChange);
+
+      this.handleEvent("notify", ({ event, body }) =>
+        this.notifier.notify(event, body)
+      );
+    },
+    destroyed() {
+      this.el.removeEventListener("change", this.handleChange);
+      this.notifier.destroy();
+    },
+  },
+  // Sound theme, volume and mute; the theme options come from SOUND_THEMES
+  SoundSettings: {
+    mounted() {
+      this.theme = this.el.querySelector('select[name="theme"]');
+      this.volume = this.el.querySelector('input[name="volume"]');
+      this.muted = this.el.querySelector('input[name="muted"]');
+
+      this.theme.replaceChildren(
+        ...Object.entries(SOUND_THEMES).map(([name, { label }]) => {
+          const option = document.createElement("option");
+          option.value = name;
+          option.textContent = label;
+          return option;
+        })
+      );
+
+      const settings = soundSettings();
+      this.theme.value = settings.theme;
+      this.volume.value = Math.round(settings.volume * 100);
+      this.muted.checked = settings.muted;
+      preloadTheme(settings.theme);
+
+      this.handleChange = (event) => {
+        saveSoundSettings({
+          theme: this.theme.value,
+          volume: Number(this.volume.value) / 100,
+          muted: this.muted.checked,
+        });
+        if (event.target === this.theme) preloadTheme(this.theme.value);
+        // Let the player hear what they picked
+        if (event.type === "change") playSound("move");
+      };
+      this.el.addEventListener("input", this.handleChange);
+      this.el.addEventListener("change", this.handleChange);
+    },
+    destroyed() {
+      this.el.removeEventListener("input", this.handleChange);
+      this.el.removeEventListener("change", this.handleChange);
+    },
+  },
+  // Text box for moves typed as SAN or UCI, with the legal moves as suggestions
+  MoveInput: {
+    mounted() {
+      this.input = this.el.querySelector("input");
+      this.suggestions = this.el.querySelector("datalist");
+
+      this.handleInput = () => {
+        this.input.setCustomValidity("");
+        this.renderSuggestions();
+      };
+      this.handleSubmit = (event) => {
+        event.preventDefault();
+        this.submitMove();
+      };
+
+      this.input.addEventListener("input", this.handleInput);
+      this.el.addEventListener("submit", this.handleSubmit);
+      this.renderSuggestions();
+    },
+    updated() {
+      this.renderSuggestions();
+    },
+    destroyed() {
+      this.input.removeEventListener("input", this.handleInput);
+      this.el.removeEventListener("submit", this.handleSubmit);
+    },
+    yourTurn() {
+      return this.el.hasAttribute("data-your-turn");
+    },
+    submitMove() {
+      const text = this.input.value.trim();
+      if (!text) return;
+
+      if (!this.yourTurn()) {
+        this.rejectMove("Wait for your turn.");
+        return;
+      }
+
+      const move = parseTypedMove(this.el.dataset.fen, text);
+      if (!move) {
+        this.rejectMove(`${text} is not a legal move here.`);
+        return;
+      }
+
+      haptics.play(move.san.includes("x") ? "capture" : "move");
+      this.pushEvent("submit_move", {
+        from: move.from,
+        to: move.to,
+        promotion: move.promotion || "q",
+      });
+      this.input.value = "";
+      this.renderSuggestions();
+    },
+    rejectMove(message) {
+      playSound("illegal");
+      this.input.setCustomValidity(message);
+      this.input.reportValidity();
+    },
+    renderSuggestions() {
+      const moves = this.yourTurn()
+        ? moveSuggestions(this.el.dataset.fen, this.input.value)
+        : [];
+
+      this.suggestions.replaceChildren(
+        ...moves.map((move) => {
+          const option = document.createElement("option");
+          option.value = move.san;
+          option.label = move.uci;
+          return option;
+        })
+      );
     },
   },
   StockfishEvaluator: {
     mounted() {
-      // Get the Stockfish path from the data attribute (works with digested assets in production)
+      // Get the Stockfish path from the data attribute (works with digested assets in production).
+      // It is either a single path or a JSON map of build variants.
       const stockfishPath = this.el.dataset.stockfishPath;
+      const stockfishPaths = stockfishPath?.trim().startsWith("{")
+        ? JSON.parse(stockfishPath)
+        : stockfishPath;
 
       // Initialize Stockfish engine with the correct path
-      initStockfish(stockfishPath).catch((err) => {
+      initStockfish(stockfishPaths).catch((err) => {
         console.error("Failed to initialize Stockfish:", err);
       });
 
+      // Measure (or recall) the engine speed so searches fit this device,
+      // and let the server pick search depths to match
+      measureEngineSpeed()
+        .then(({ nps, build, cached }) =>
+          this.pushEvent("engine_benchmark", { nps, build, cached })
+        )
+        .catch((err) => console.warn("Engine benchmark failed:", err));
+
+      initOpeningBook({
+        bookPath: this.el.dataset.openingBookPath,
+        namesPath: this.el.dataset.openingNamesPath,
+      });
+
       // Listen for evaluation requests from server
-      this.handleEvent("request_client_eval", async ({ fen, depth }) => {
-        try {
-          const evaluation = await evaluatePosition(fen, {
-            depth: depth || 12,
-          });
-          // Send evaluation back to server
-          this.pushEvent("client_eval_result", { evaluation });
-        } catch (err) {
-          console.error("Evaluation failed:", err);
-          this.pushEvent("client_eval_error", { error: err.message });
+      this.handleEvent(
+        "request_client_eval",
+        async ({ fen, depth, multi_pv, stream, progress_ms }) => {
+          // Stream intermediate depths so the bar settles while searching
+          const onProgress = stream
+            ? (evaluation) =>
+                this.pushEvent("client_eval_progress", { evaluation, fen })
+            : null;
+
+          try {
+            const evaluation = await evaluatePosition(fen, {
+              depth: depth || 12,
+              multiPv: multi_pv || 1,
+              channel: "analysis",
+              onProgress,
+              progressInterval: progress_ms,
+            });
+            // Send evaluation back to server
+            this.pushEvent("client_eval_result", { evaluation, fen });
+          } catch (err) {
+            // Cancelled on teardown or replaced by a newer position
+            if (err.code === "cancelled" || err.code === "superseded") return;
+            console.error("Evaluation failed:", err);
+            this.pushEvent("client_eval_error", {
+              error: err.message,
+              code: err.code,
+            });
+          }
         }
-      });
+      );
 
       // Listen for robot move requests from server
-      this.handleEvent("request_robot_move", async ({ fen, depth }) => {
+      this.handleEvent("request_robot_move", async ({ fen, level, human }) => {
         try {
-          const evaluation = await evaluatePosition(fen, {
-            depth: depth || 12,
+          const { move, settings } = await chooseRobotMove(fen, {
+            level,
+            human,
           });
 
-          if (evaluation.best_move) {
-            // Send the best move back to server for the robot to play
-            this.pushEvent("robot_move_ready", { move: evaluation.best_move });
+          if (move) {
+            // Send the chosen move back to server for the robot to play
+            this.pushEvent("robot_move_ready", { move, settings });
           } else {
             this.pushEvent("robot_move_error", { error: "No best move found" });
           }
         } catch (err) {
+          if (err.code === "cancelled" || err.code === "superseded") return;
           console.error("Robot move failed:", err);
-          this.pushEvent("robot_move_error", { error: err.message });
+          this.pushEvent("robot_move_error", {
+            error: err.message,
+            code: err.code,
+          });
+        }
+      });
+
+      // Name the opening from the game's positions so far
+      this.handleEvent("request_opening_name", async ({ fens }) => {
+        try {
+          const opening = await identifyOpening(fens);
+          this.pushEvent("opening_identified", { opening });
+        } catch (err) {
+          console.error("Opening lookup failed:", err);
+        }
+      });
+
+      // Review a finished game move by move while the engine is idle
+      this.handleEvent("request_game_analysis", async ({ fens, depth }) => {
+        try {
+          const analysis = await analyzeGame(fens, {
+            depth,
+            onProgress: (progress) =>
+              this.pushEvent("game_analysis_progress", progress),
+          });
+          this.pushEvent("game_analysis_result", { analysis });
+        } catch (err) {
+          if (err.code === "cancelled" || err.code === "superseded") return;
+          console.error("Game analysis failed:", err);
+          this.pushEvent("game_analysis_error", {
+            error: err.message,
+            code: err.code,
+          });
         }
       });
     },
     destroyed() {
+      cancelGameAnalysis();
       stopEvaluation();
     },
   },
+  BoardOverlay: {
+    mounted() {
+      this.overlay = new BoardOverlay(
+        this.el.querySelector("svg"),
+        this.el.dataset.boardId
+      );
+      this.engineArrows = new EngineArrows(this.overlay, {
+        onError: (kind, err) => {
+          console.error(`Finding the ${kind} failed:`, err);
+          this.pushEvent("engine_arrow_error", { kind, code: err.code });
+        },
+      });
+
+      this.handleEvent("show_engine_arrow", ({ kind, fen }) =>
+        this.engineArrows.show(kind, fen)
+      );
+      this.handleEvent("hide_engine_arrow", ({ kind }) =>
+        this.engineArrows.hide(kind)
+      );
+      this.handleEvent("clear_engine_arrows", () => this.engineArrows.clear());
+
+      // Right-click drawings, kept per ply and optionally shared with the
+      // other spectators
+      this.annotationPly = this.el.dataset.ply;
+      this.annotations = loadAnnotations(
+        this.el.dataset.room,
+        this.annotationPly
+      );
+      this.sharing = this.el.hasAttribute("data-share");
+      // Sender id to the latest { ply, arrows, marks } it shared
+      this.sharedAnnotations = new Map();
+
+      this.annotationInput = new AnnotationInput(
+        document.getElementById(this.el.dataset.boardId),
+        {
+          onDraw: (shape) =>
+            this.setAnnotations(toggleAnnotation(this.annotations, shape)),
+          onPreview: (arrow) =>
+            this.overlay.setArrows(
+              "annotation-preview",
+              arrow ? [withColor(arrow)] : []
+            ),
+          onClear: () => {
+            if (!isEmpty(this.annotations)) {
+              this.setAnnotations(NO_ANNOTATIONS);
+            }
+          },
+        }
+      );
+
+      this.handleEvent("shared_annotations", ({ sender, ply, ...shapes }) => {
+        const annotations = sanitizeAnnotations(shapes);
+        if (ply === null || isEmpty(annotations)) {
+          this.sharedAnnotations.delete(sender);
+        } else {
+          this.sharedAnnotations.set(sender, { ply: String(ply), annotations });
+        }
+        this.renderAnnotations();
+      });
+
+      this.renderAnnotations();
+    },
+    updated() {
+      const { room, ply } = this.el.dataset;
+      const sharing = this.el.hasAttribute("data-share");
+
+      if (ply !== this.annotationPly) {
+        this.annotationPly = ply;
+        this.annotations = loadAnnotations(room, ply);
+        this.renderAnnotations();
+      }
+
+      if (sharing && (!this.sharing || ply !== this.sharedPly)) {
+        this.shareAnnotations();
+      }
+      this.sharing = sharing;
+    },
+    destroyed() {
+      this.annotationInput.destroy();
+      this.overlay.destroy();
+    },
+    setAnnotations(annotations) {
+      this.annotations = annotations;
+      saveAnnotations(this.el.dataset.room, this.annotationPly, annotations);
+      this.renderAnnotations();
+      if (this.sharing) this.shareAnnotations();
+    },
+    shareAnnotations() {
+      this.sharedPly = this.annotationPly;
+      this.pushEvent("share_annotations", {
+        ply: Number(this.annotationPly),
+        ...this.annotations,
+      });
+    },
+    renderAnnotations() {
+      const shared = [...this.sharedAnnotations.values()].filter(
+        ({ ply }) => ply === this.annotationPly
+      );
+
+      this.overlay.setShapes("shared", {
+        arrows: shared.flatMap(({ annotations }) =>
+          annotations.arrows.map(withColor)
+        ),
+        marks: shared.flatMap(({ annotations }) =>
+          annotations.marks.map(withColor)
+        ),
+      });
+      this.overlay.setShapes("annotations", {
+        arrows: this.annotations.arrows.map(withColor),
+        marks: this.annotations.marks.map(withColor),
+      });
+    },
+  },
   CopyShareLink: {
     mounted() {
       this.inputEl = this.el.querySelector("[data-share-input]");
@@ -458,13 +1019,15 @@ const Hooks = {
         window.addEventListener("keydown", prime, { once: true });
       }
 
-      this.handleEvent("play-move-sound", playMoveSound);
-      this.handleEvent("play-join-sound", playJoinSound);
+      this.handleEvent("play-move-sound", ({ type }) =>
+        playSound(MOVE_SOUND_TYPES.includes(type) ? type : "move")
+      );
+      this.handleEvent("play-join-sound", () => playSound("join"));
+      this.handleEvent("play-sound", ({ event }) => {
+        if (SOUND_EVENTS.includes(event)) playSound(event);
+      });
 
-      // Vibration events
-      this.handleEvent("vibrate-move", vibrateOnMove);
-      this.handleEvent("vibrate-opponent-move", vibrateOnOpponentMove);
-      this.handleEvent("vibrate-join", vibrateOnJoin);
+      this.handleEvent("haptic", ({ pattern }) => haptics.play(pattern));
 
       resumeAudioContext();
     },
@@ -472,12 +1035,10 @@ const Hooks = {
 
   EndgameCanvas: {
     mounted() {
-      const overlayType = this.el.dataset.overlayType;
-
       // Dispatch event to trigger canvas particles
       window.dispatchEvent(
         new CustomEvent("phx:endgame-overlay", {
-          detail: { type: overlayType },
+          detail: { effect: this.el.dataset.effect },
         })
       );
 
@@ -0,0 +1,266 @@
+/**
+ * FLIP animation of the pieces between two renders of the board.
+ *
+ * Before LiveView patches the squares, `snapshot()` records which piece
+ * stands where (from the buttons' `data-piece`), where each square is on
+ * screen and a copy of every piece. Afterwards `animate()` works out what
+ * moved, puts each moved piece back at its old square with a transform and
+ * lets it slide home. Captured pieces fade out from copies, since the patch
+ * already removed them.
+ */
+
+import { choiceSetting } from "./settings-storage.js";
+
+const SQUARE_SELECTOR = 'button[phx-click="select_square"]';
+
+// Duration of one move in milliseconds, by the setting's name
+export const ANIMATION_SPEEDS = Object.freeze({
+  off: 0,
+  fast: 120,
+  normal: 220,
+  slow: 400,
+});
+export const DEFAULT_ANIMATION_SPEED = "normal";
+
+// Most a single ply changes: castling moves two pieces, en passant and
+// promotions with capture remove one
+const MAX_MOVES = 2;
+const MAX_FADES = 1;
+
+const speedSetting = choiceSetting(
+  "live-chess:animation-speed",
+  ANIMATION_SPEEDS,
+  DEFAULT_ANIMATION_SPEED
+);
+
+export function animationSpeed(storage) {
+  return speedSetting.load(storage);
+}
+
+export function setAnimationSpeed(speed, storage) {
+  speedSetting.save(speed, storage);
+}
+
+/**
+ * Work out how the pieces got from `before` to `after`, both mapping square
+ * names to piece codes like "wp" or "bk". Returns { moves, captures,
+ * appears } where moves are { from, to, promotion } and the others list
+ * squares whose piece fades out or in. Returns null when the change is
+ * more than one ply, e.g. a jump through history or a flipped board.
+ */
+export function planAnimation(before, after) {
+  const squares = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const arrived = [];
+  const sources = [];
+
+  for (const square of squares) {
+    if (before[square] === after[square]) continue;
+    if (after[square]) arrived.push(square);
+    if (before[square]) sources.push(square);
+  }
+
+  const moves = [];
+  const appears = [];
+
+  for (const to of arrived) {
+    const piece = after[to];
+    let index = nearest(sources, to, (from) => before[from] === piece);
+    let promotion = false;
+
+    if (index === -1) {
+      index = nearest(sources, to, (from) =>
+        promotionPair(before[from], piece)
+      );
+      promotion = index !== -1;
+    }
+
+    if (index === -1) {
+      appears.push(to);
+    } else {
+      moves.push({ from: sources[index], to, promotion });
+      sources.splice(index, 1);
+    }
+  }
+
+  // Whatever did not move on was captured
+  const captures = sources;
+
+  if (
+    moves.length === 0 ||
+    moves.length > MAX_MOVES ||
+    captures.length > MAX_FADES ||
+    appears.length > MAX_FADES
+  ) {
+    return null;
+  }
+
+  return { moves, captures, appears };
+}
+
+export class BoardAnimator {
+  constructor(board) {
+    this.board = board;
+    this.before = null;
+    this.animations = [];
+  }
+
+  // Called from the hook's beforeUpdate
+  snapshot() {
+    this.finish();
+    this.before = {};
+    this.rects = {};
+    this.copies = {};
+
+    for (const button of this.squares()) {
+      const square = button.getAttribute("phx-value-square");
+      const piece = button.dataset.piece;
+      this.rects[square] = button.getBoundingClientRect();
+      if (!piece) continue;
+
+      this.before[square] = piece;
+      const wrapper = button.querySelector(".piece-wrapper");
+      if (wrapper) this.copies[square] = wrapper.cloneNode(true);
+    }
+  }
+
+  /**
+   * Called from the hook's updated; `skip` when the change should just
+   * appear, e.g. a piece dropped by drag or a jump through history
+   */
+  animate({ skip = false } = {}) {
+    const before = this.before;
+    this.before = null;
+
+    const duration = ANIMATION_SPEEDS[animationSpeed()];
+    if (!before || skip || duration === 0 || prefersReducedMotion()) return;
+
+    const buttons = new Map(
+      this.squares().map((button) => [
+        button.getAttribute("phx-value-square"),
+        button,
+      ])
+    );
+    const after = {};
+    buttons.forEach((button, square) => {
+      if (button.dataset.piece) after[square] = button.dataset.piece;
+    });
+
+    const plan = planAnimation(before, after);
+    if (!plan) return;
+
+    const options = { duration, easing: "ease-out" };
+
+    plan.captures.forEach((square) =>
+      this.fade(buttons.get(square), this.copies[square], "out", options)
+    );
+    plan.appears.forEach((square) => {
+      const wrapper = buttons.get(square).querySelector(".piece-wrapper");
+      this.fade(buttons.get(square), wrapper, "in", options);
+    });
+    plan.moves.forEach((move) =>
+      this.slide(buttons.get(move.to), move, options)
+    );
+  }
+
+  // Jump every running animation to its end
+  finish() {
+    this.animations.forEach((animation) => animation.finish());
+    this.animations = [];
+  }
+
+  destroy() {
+    this.finish();
+    this.before = null;
+  }
+
+  slide(button, { from, to, promotion }, options) {
+    const wrapper = button && button.querySelector(".piece-wrapper");
+    const start = this.rects[from];
+    const end = this.rects[to];
+    if (!wrapper || !start || !end) return;
+
+    const dx = start.left - end.left;
+    const dy = start.top - end.top;
+    const frames = [
+      { transform: `translate(${dx}px, ${dy}px)`, zIndex: 10 },
+      { transform: "translate(0, 0)", zIndex: 10 },
+    ];
+    // The new piece grows out of the pawn
+    if (promotion) {
+      frames[0].opacity = 0.4;
+      frames[1].opacity = 1;
+    }
+
+    this.track(wrapper.animate(frames, options));
+  }
+
+  fade(button, wrapper, direction, options) {
+    if (!button || !wrapper) return;
+
+    if (direction === "out") {
+      // The copy stands in for the captured piece the patch removed
+      wrapper.classList.add("piece-fading");
+      button.insertBefore(wrapper, button.firstChild);
+    }
+
+    const frames =
+      direction === "out"
+        ? [{ opacity: 1 }, { opacity: 0 }]
+        : [{ opacity: 0 }, { opacity: 1 }];
+    const animation = wrapper.animate(frames, options);
+    if (direction === "out") {
+      animation.finished.then(
+        () => wrapper.remove(),
+        () => wrapper.remove()
+      );
+    }
+    this.track(animation);
+  }
+
+  track(animation) {
+    this.animations.push(animation);
+    animation.finished.then(
+      () => this.forget(animation),
+      () => this.forget(animation)
+    );
+  }
+
+  forget(animation) {
+    this.animations = this.animations.filter((item) => item !== animation);
+  }
+
+  squares() {
+    return Array.from(this.board.querySelectorAll(SQUARE_SELECTOR));
+  }
+}
+
+function prefersReducedMotion() {
+  return window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+}
+
+// Index of the source closest to `to` that passes `test`, or -1
+function nearest(sources, to, test) {
+  let best = -1;
+  let bestDistance = Infinity;
+
+  sources.forEach((from, index) => {
+    if (!test(from)) return;
+    const distance =
+      Math.abs(from.charCodeAt(0) - to.charCodeAt(0)) +
+      Math.abs(from.charCodeAt(1) - to.charCodeAt(1));
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+}
+
+// A pawn and the piece it promoted to, in either order so stepping back
+// through history turns the piece back into a pawn
+function promotionPair(a, b) {
+  if (!a || !b || a[0] !== b[0]) return false;
+  const kinds = [a[1], b[1]];
+  return kinds.includes("p") && kinds.some((kind) => "qrbn".includes(kind));
+}
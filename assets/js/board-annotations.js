@@ -0,0 +1,220 @@
+/**
+ * Arrows and square marks drawn with the right mouse button.
+ *
+ * Right-click a square to mark it, right-drag from one square to another to
+ * draw an arrow; drawing the same shape again removes it and a left click
+ * on the board wipes them all. Modifier keys pick the brush, as on other
+ * chess sites. Annotations are kept in localStorage per room and per ply,
+ * so stepping through the history brings back what was drawn there.
+ */
+
+const SQUARE_SELECTOR = 'button[phx-click="select_square"]';
+const STORAGE_PREFIX = "live-chess:annotations:";
+const SQUARE_PATTERN = /^[a-h][1-8]$/;
+
+export const BRUSHES = Object.freeze({
+  green: "rgba(21, 128, 61, 0.8)",
+  red: "rgba(185, 28, 28, 0.8)",
+  blue: "rgba(29, 78, 216, 0.8)",
+  yellow: "rgba(202, 138, 4, 0.85)",
+});
+
+export const NO_ANNOTATIONS = Object.freeze({ arrows: [], marks: [] });
+
+/**
+ * Brush for a pointer event: Shift for red, Alt (or Ctrl/Cmd) for blue,
+ * both for yellow, green otherwise
+ */
+export function brushFor(event) {
+  const alt = event.altKey || event.ctrlKey || event.metaKey;
+  if (event.shiftKey && alt) return "yellow";
+  if (event.shiftKey) return "red";
+  if (alt) return "blue";
+  return "green";
+}
+
+/**
+ * Add a shape, recolour it if it was drawn with another brush, or remove it
+ * if it is already there. Arrows are { from, to, brush }, marks are
+ * { square, brush }.
+ */
+export function toggleAnnotation(annotations, shape) {
+  const key = shape.square ? "marks" : "arrows";
+  const same = shape.square
+    ? (mark) => mark.square === shape.square
+    : (arrow) => arrow.from === shape.from && arrow.to === shape.to;
+
+  const shapes = annotations[key];
+  const existing = shapes.find(same);
+  const others = shapes.filter((item) => !same(item));
+  const next =
+    existing && existing.brush === shape.brush ? others : [...others, shape];
+
+  return { ...annotations, [key]: next };
+}
+
+export function isEmpty({ arrows, marks }) {
+  return arrows.length === 0 && marks.length === 0;
+}
+
+/**
+ * Drop anything that is not a well-formed shape, e.g. from an old or
+ * hand-edited storage entry or another client
+ */
+export function sanitizeAnnotations(annotations) {
+  const valid = (square) => SQUARE_PATTERN.test(square);
+  const brush = (item) => Object.hasOwn(BRUSHES, item.brush);
+  const { arrows = [], marks = [] } = annotations || {};
+
+  return {
+    arrows: (Array.isArray(arrows) ? arrows : [])
+      .filter((a) => a && valid(a.from) && valid(a.to) && brush(a))
+      .map(({ from, to, brush }) => ({ from, to, brush })),
+    marks: (Array.isArray(marks) ? marks : [])
+      .filter((m) => m && valid(m.square) && brush(m))
+      .map(({ square, brush }) => ({ square, brush })),
+  };
+}
+
+export function loadAnnotations(room, ply, storage = globalThis.localStorage) {
+  const stored = readRoom(room, storage);
+  return sanitizeAnnotations(stored[ply]);
+}
+
+export function saveAnnotations(
+  room,
+  ply,
+  annotations,
+  storage = globalThis.localStorage
+) {
+  const stored = readRoom(room, storage);
+
+  if (isEmpty(annotations)) {
+    delete stored[ply];
+  } else {
+    stored[ply] = annotations;
+  }
+
+  try {
+    if (Object.keys(stored).length === 0) {
+      storage.removeItem(STORAGE_PREFIX + room);
+    } else {
+      storage.setItem(STORAGE_PREFIX + room, JSON.stringify(stored));
+    }
+  } catch (_err) {
+    // Storage unavailable or full: the drawing only lasts for this visit
+  }
+}
+
+function readRoom(room, storage) {
+  try {
+    const stored = JSON.parse(storage.getItem(STORAGE_PREFIX + room));
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (_err) {
+    return {};
+  }
+}
+
+/**
+ * Pointer input for drawing on the board's `select_square` buttons
+ */
+export class AnnotationInput {
+  /**
+   * @param {HTMLElement} board - Element holding the square buttons
+   * @param {object} callbacks - { onDraw(shape), onPreview(arrow|null),
+   *   onClear() }
+   */
+  constructor(board, callbacks) {
+    this.board = board;
+    this.callbacks = callbacks;
+    this.press = null;
+
+    this.handlePointerDown = (event) => this.pointerDown(event);
+    this.handlePointerMove = (event) => this.pointerMove(event);
+    this.handlePointerUp = (event) => this.pointerUp(event);
+    this.handlePointerCancel = () => this.cancel();
+    this.handleContextMenu = (event) => {
+      if (event.target.closest(SQUARE_SELECTOR)) event.preventDefault();
+    };
+
+    board.addEventListener("pointerdown", this.handlePointerDown);
+    board.addEventListener("pointermove", this.handlePointerMove);
+    board.addEventListener("pointerup", this.handlePointerUp);
+    board.addEventListener("pointercancel", this.handlePointerCancel);
+    board.addEventListener("contextmenu", this.handleContextMenu);
+  }
+
+  destroy() {
+    this.cancel();
+    this.board.removeEventListener("pointerdown", this.handlePointerDown);
+    this.board.removeEventListener("pointermove", this.handlePointerMove);
+    this.board.removeEventListener("pointerup", this.handlePointerUp);
+    this.board.removeEventListener("pointercancel", this.handlePointerCancel);
+    this.board.removeEventListener("contextmenu", this.handleContextMenu);
+  }
+
+  pointerDown(event) {
+    const square = this.squareAt(event.clientX, event.clientY);
+    if (!square || !event.isPrimary) return;
+
+    if (event.button === 0) {
+      this.callbacks.onClear();
+      return;
+    }
+    if (event.button !== 2 || this.press) return;
+
+    this.press = {
+      pointerId: event.pointerId,
+      from: square,
+      to: square,
+      brush: brushFor(event),
+    };
+    this.board.setPointerCapture(event.pointerId);
+  }
+
+  pointerMove(event) {
+    const press = this.press;
+    if (!press || event.pointerId !== press.pointerId) return;
+
+    const to = this.squareAt(event.clientX, event.clientY);
+    if (to === press.to) return;
+
+    press.to = to;
+    this.callbacks.onPreview(
+      to && to !== press.from
+        ? { from: press.from, to, brush: press.brush }
+        : null
+    );
+  }
+
+  pointerUp(event) {
+    const press = this.press;
+    if (!press || event.pointerId !== press.pointerId) return;
+
+    this.press = null;
+    this.callbacks.onPreview(null);
+
+    const to = this.squareAt(event.clientX, event.clientY);
+    if (!to) return;
+
+    this.callbacks.onDraw(
+      to === press.from
+        ? { square: to, brush: press.brush }
+        : { from: press.from, to, brush: press.brush }
+    );
+  }
+
+  cancel() {
+    if (!this.press) return;
+    this.press = null;
+    this.callbacks.onPreview(null);
+  }
+
+  squareAt(x, y) {
+    const element = document.elementFromPoint(x, y);
+    const button = element && element.closest(SQUARE_SELECTOR);
+    return button && this.board.contains(button)
+      ? button.getAttribute("phx-value-square")
+      : null;
+  }
+}
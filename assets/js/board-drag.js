@@ -0,0 +1,258 @@
+/**
+ * Pointer-event drag and drop for the board's `select_square` buttons.
+ *
+ * Works the same for mouse, touch and pen. A press only turns into a drag
+ * once the pointer moved a few pixels, so taps keep going through the
+ * regular click flow. While dragging, a ghost copy of the piece follows the
+ * pointer; a drop the caller refuses snaps the ghost back to its square.
+ */
+
+import { legalMoves } from "./chess-rules.js";
+
+const SQUARE_SELECTOR = 'button[phx-click="select_square"]';
+// Movement in CSS pixels before a press counts as a drag
+const DRAG_THRESHOLD_PX = 4;
+const SNAP_BACK_MS = 150;
+// How long an accepted ghost waits on its target for the board to update
+const DROP_SETTLE_MS = 500;
+
+/**
+ * Whether moving the piece on `from` to `to` is legal in `fen`. Decided from
+ * the position itself: the move dots only show up once the server answered
+ * the pick-up, which a quick flick or a slow connection can outrun.
+ */
+export function isLegalDrop(fen, from, to) {
+  if (!fen || from === to) return false;
+  return legalMoves(fen).some((move) => move.from === from && move.to === to);
+}
+
+export class PieceDrag {
+  /**
+   * @param {HTMLElement} board - Element holding the square buttons
+   * @param {object} callbacks - { onPickUp(square), onHover(square, from),
+   *   onDrop(from, to) } where onDrop returns true to accept the drop
+   */
+  constructor(board, callbacks) {
+    this.board = board;
+    this.callbacks = callbacks;
+    this.press = null;
+    this.ghost = null;
+    this.settling = null; // { ghost, from } of an accepted drop
+    this.suppressClick = false;
+
+    this.handlePointerDown = (event) => this.pointerDown(event);
+    this.handlePointerMove = (event) => this.pointerMove(event);
+    this.handlePointerUp = (event) => this.pointerUp(event);
+    this.handlePointerCancel = () => this.cancel();
+    this.handleClick = (event) => {
+      // The click that ends a drag must not select the square again
+      if (!this.suppressClick) return;
+      event.preventDefault();
+      event.stopImmediatePropagation();
+    };
+
+    board.addEventListener("pointerdown", this.handlePointerDown);
+    board.addEventListener("pointermove", this.handlePointerMove);
+    board.addEventListener("pointerup", this.handlePointerUp);
+    board.addEventListener("pointercancel", this.handlePointerCancel);
+    board.addEventListener("click", this.handleClick, { capture: true });
+  }
+
+  get dragging() {
+    return Boolean(this.press && this.press.dragging);
+  }
+
+  // Called after LiveView re-rendered the squares, which resets their classes
+  refresh() {
+    if (this.dragging) this.markOrigin(true);
+    if (this.settling) this.finishSettling(this.settling.ghost);
+  }
+
+  destroy() {
+    this.cancel();
+    this.removeGhost();
+    this.board.removeEventListener("pointerdown", this.handlePointerDown);
+    this.board.removeEventListener("pointermove", this.handlePointerMove);
+    this.board.removeEventListener("pointerup", this.handlePointerUp);
+    this.board.removeEventListener("pointercancel", this.handlePointerCancel);
+    this.board.removeEventListener("click", this.handleClick, {
+      capture: true,
+    });
+  }
+
+  pointerDown(event) {
+    if (!event.isPrimary || event.button !== 0 || this.press) return;
+
+    const button = event.target.closest(SQUARE_SELECTOR);
+    if (!button || !button.hasAttribute("data-draggable")) return;
+
+    this.press = {
+      pointerId: event.pointerId,
+      from: button.getAttribute("phx-value-square"),
+      startX: event.clientX,
+      startY: event.clientY,
+      dragging: false,
+      hovered: null,
+    };
+  }
+
+  pointerMove(event) {
+    const press = this.press;
+    if (!press || event.pointerId !== press.pointerId) return;
+
+    if (!press.dragging) {
+      const distance = Math.hypot(
+        event.clientX - press.startX,
+        event.clientY - press.startY
+      );
+      if (distance < DRAG_THRESHOLD_PX) return;
+      this.startDrag(event);
+      if (!press.dragging) return;
+    }
+
+    this.moveGhost(event.clientX, event.clientY);
+
+    const square = this.squareAt(event.clientX, event.clientY);
+    if (square !== press.hovered) {
+      press.hovered = square;
+      if (this.callbacks.onHover) this.callbacks.onHover(square, press.from);
+    }
+  }
+
+  pointerUp(event) {
+    const press = this.press;
+    if (!press || event.pointerId !== press.pointerId) return;
+
+    this.press = null;
+    if (!press.dragging) return;
+
+    this.suppressClick = true;
+    setTimeout(() => {
+      this.suppressClick = false;
+    }, 0);
+
+    const to = this.squareAt(event.clientX, event.clientY);
+    const accepted =
+      to === press.from || (to && this.callbacks.onDrop(press.from, to));
+
+    if (this.callbacks.onHover) this.callbacks.onHover(null);
+
+    if (!accepted) {
+      this.snapBack(press.from);
+    } else if (to === press.from) {
+      this.markOrigin(false, press.from);
+      this.removeGhost();
+    } else {
+      this.settleGhost(press.from);
+    }
+  }
+
+  cancel() {
+    const press = this.press;
+    this.press = null;
+    if (!press || !press.dragging) return;
+
+    if (this.callbacks.onHover) this.callbacks.onHover(null);
+    this.snapBack(press.from);
+  }
+
+  startDrag(event) {
+    const press = this.press;
+    const button = this.squareButton(press.from);
+    const piece = button && button.querySelector(".piece-wrapper");
+    if (!piece) return;
+
+    press.dragging = true;
+    this.board.setPointerCapture(event.pointerId);
+    if (this.settling) this.finishSettling(this.settling.ghost);
+    this.removeGhost();
+
+    const rect = button.getBoundingClientRect();
+    this.ghost = document.createElement("div");
+    this.ghost.className = "drag-ghost";
+    this.ghost.style.width = `${rect.width}px`;
+    this.ghost.style.height = `${rect.height}px`;
+    this.ghost.appendChild(piece.cloneNode(true));
+    document.body.appendChild(this.ghost);
+
+    this.markOrigin(true);
+    this.callbacks.onPickUp(press.from);
+  }
+
+  moveGhost(x, y) {
+    if (!this.ghost) return;
+    const width = parseFloat(this.ghost.style.width);
+    const height = parseFloat(this.ghost.style.height);
+    this.ghost.style.transform = `translate(${x - width / 2}px, ${
+      y - height / 2
+    }px)`;
+  }
+
+  snapBack(from) {
+    const ghost = this.ghost;
+    const button = this.squareButton(from);
+    const reduceMotion = window.matchMedia(
+      "(prefers-reduced-motion: reduce)"
+    ).matches;
+
+    if (!ghost || !button || reduceMotion) {
+      this.markOrigin(false, from);
+      this.removeGhost();
+      return;
+    }
+
+    const rect = button.getBoundingClientRect();
+    ghost.style.transition = `transform ${SNAP_BACK_MS}ms ease-out`;
+    ghost.style.transform = `translate(${rect.left}px, ${rect.top}px)`;
+
+    setTimeout(() => {
+      if (this.ghost !== ghost) return;
+      this.markOrigin(false, from);
+      this.removeGhost();
+    }, SNAP_BACK_MS);
+  }
+
+  // Keep the ghost on its target until the board shows the move, so the
+  // piece does not flash back to its origin during the round trip
+  settleGhost(from) {
+    const ghost = this.ghost;
+    if (!ghost) return;
+
+    this.settling = { ghost, from };
+    setTimeout(() => this.finishSettling(ghost), DROP_SETTLE_MS);
+  }
+
+  finishSettling(ghost) {
+    if (!this.settling || this.settling.ghost !== ghost) return;
+
+    this.markOrigin(false, this.settling.from);
+    this.settling = null;
+    if (this.ghost === ghost) this.removeGhost();
+  }
+
+  removeGhost() {
+    if (this.ghost) {
+      this.ghost.remove();
+      this.ghost = null;
+    }
+  }
+
+  markOrigin(dimmed, square = this.press && this.press.from) {
+    const button = square && this.squareButton(square);
+    if (button) button.classList.toggle("chess-square-drag-origin", dimmed);
+  }
+
+  squareAt(x, y) {
+    const element = document.elementFromPoint(x, y);
+    const button = element && element.closest(SQUARE_SELECTOR);
+    return button && this.board.contains(button)
+      ? button.getAttribute("phx-value-square")
+      : null;
+  }
+
+  squareButton(square) {
+    return this.board.querySelector(
+      `${SQUARE_SELECTOR}[phx-value-square="${square}"]`
+    );
+  }
+}
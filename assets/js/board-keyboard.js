@@ -0,0 +1,107 @@
+/**
+ * Keyboard cursor for the board's `select_square` buttons.
+ *
+ * The squares form one tab stop (a roving tabindex); arrow keys move the
+ * focus between them in screen order, so the cursor follows the board's
+ * orientation. Enter and Space are left to the buttons themselves, which
+ * turns them into the same clicks a pointer would make.
+ */
+
+const SQUARE_SELECTOR = 'button[phx-click="select_square"]';
+const BOARD_SIZE = 8;
+
+// [row, column] steps in screen order
+const STEPS = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1],
+};
+
+export class BoardKeyboard {
+  constructor(board) {
+    this.board = board;
+    this.cursor = null;
+
+    this.handleKeyDown = (event) => this.keyDown(event);
+    this.handleFocusIn = (event) => {
+      const button = event.target.closest(SQUARE_SELECTOR);
+      if (button) this.setCursor(button.getAttribute("phx-value-square"));
+    };
+
+    board.addEventListener("keydown", this.handleKeyDown);
+    board.addEventListener("focusin", this.handleFocusIn);
+    this.refresh();
+  }
+
+  // Called after LiveView re-rendered the squares, which resets tabindex
+  refresh() {
+    const squares = this.squares();
+    const selected = this.board.querySelector(
+      `${SQUARE_SELECTOR}.chess-square-active`
+    );
+    const current =
+      squares.find((button) => this.squareOf(button) === this.cursor) ||
+      selected ||
+      squares[0];
+
+    squares.forEach((button) => {
+      button.tabIndex = button === current ? 0 : -1;
+    });
+  }
+
+  destroy() {
+    this.board.removeEventListener("keydown", this.handleKeyDown);
+    this.board.removeEventListener("focusin", this.handleFocusIn);
+  }
+
+  keyDown(event) {
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const squares = this.squares();
+    const index = squares.indexOf(event.target.closest(SQUARE_SELECTOR));
+    if (index === -1) return;
+
+    const row = Math.floor(index / BOARD_SIZE);
+    const column = index % BOARD_SIZE;
+    let target;
+
+    if (STEPS[event.key]) {
+      const [dr, dc] = STEPS[event.key];
+      const nextRow = clamp(row + dr);
+      const nextColumn = clamp(column + dc);
+      target = squares[nextRow * BOARD_SIZE + nextColumn];
+    } else if (event.key === "Home") {
+      target = squares[row * BOARD_SIZE];
+    } else if (event.key === "End") {
+      target = squares[row * BOARD_SIZE + BOARD_SIZE - 1];
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    if (target) {
+      this.setCursor(this.squareOf(target));
+      target.focus();
+    }
+  }
+
+  setCursor(square) {
+    this.cursor = square;
+    this.squares().forEach((button) => {
+      button.tabIndex = this.squareOf(button) === square ? 0 : -1;
+    });
+  }
+
+  squares() {
+    return Array.from(this.board.querySelectorAll(SQUARE_SELECTOR));
+  }
+
+  squareOf(button) {
+    return button.getAttribute("phx-value-square");
+  }
+}
+
+function clamp(value) {
+  return Math.min(BOARD_SIZE - 1, Math.max(0, value));
+}
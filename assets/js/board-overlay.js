@@ -0,0 +1,156 @@
+/**
+ * SVG layer drawn on top of the board grid.
+ *
+ * Squares are located through their `select_square` buttons, so the overlay
+ * follows the board's orientation and size without knowing either. Arrows
+ * and square marks are grouped in named layers that are replaced or cleared
+ * independently; layers are drawn in the order they were first set.
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Arrow proportions relative to the square size
+const SHAFT_WIDTH = 0.16;
+const HEAD_WIDTH = 0.42;
+const HEAD_LENGTH = 0.38;
+const MARK_RADIUS = 0.44;
+const MARK_STROKE = 0.08;
+
+export const ARROW_COLORS = Object.freeze({
+  hint: "rgba(22, 163, 74, 0.8)",
+  threat: "rgba(220, 38, 38, 0.8)",
+});
+
+export class BoardOverlay {
+  constructor(svg, boardId) {
+    this.svg = svg;
+    this.boardId = boardId;
+    this.layers = new Map();
+
+    this.resizeObserver = new ResizeObserver(() => this.render());
+    this.resizeObserver.observe(svg);
+  }
+
+  /**
+   * Replace the arrows of one layer; each arrow is { from, to, color }
+   */
+  setArrows(layer, arrows) {
+    this.setShapes(layer, { arrows });
+  }
+
+  /**
+   * Replace the square marks of one layer; each mark is { square, color }
+   */
+  setMarks(layer, marks) {
+    this.setShapes(layer, { marks });
+  }
+
+  setShapes(layer, shapes) {
+    const current = this.layers.get(layer) || { arrows: [], marks: [] };
+    const next = { ...current, ...shapes };
+
+    if (next.arrows.length > 0 || next.marks.length > 0) {
+      this.layers.set(layer, next);
+    } else {
+      this.layers.delete(layer);
+    }
+    this.render();
+  }
+
+  clear(layer) {
+    if (layer) {
+      this.layers.delete(layer);
+    } else {
+      this.layers.clear();
+    }
+    this.render();
+  }
+
+  render() {
+    this.svg.replaceChildren();
+
+    const board = document.getElementById(this.boardId);
+    if (!board || this.layers.size === 0) return;
+
+    const origin = this.svg.getBoundingClientRect();
+
+    // Marks first, so arrows starting on a marked square stay visible
+    for (const { marks } of this.layers.values()) {
+      for (const mark of marks) {
+        const center = squareCenter(board, mark.square, origin);
+        if (center) this.svg.appendChild(markShape(center, mark.color));
+      }
+    }
+
+    for (const { arrows } of this.layers.values()) {
+      for (const arrow of arrows) {
+        const from = squareCenter(board, arrow.from, origin);
+        const to = squareCenter(board, arrow.to, origin);
+        if (from && to && arrow.from !== arrow.to) {
+          this.svg.appendChild(arrowShape(from, to, arrow.color));
+        }
+      }
+    }
+  }
+
+  destroy() {
+    this.resizeObserver.disconnect();
+    this.svg.replaceChildren();
+  }
+}
+
+function squareCenter(board, square, origin) {
+  const button = board.querySelector(`[phx-value-square="${square}"]`);
+  if (!button) return null;
+
+  const rect = button.getBoundingClientRect();
+  return {
+    x: rect.left - origin.left + rect.width / 2,
+    y: rect.top - origin.top + rect.height / 2,
+    size: rect.width,
+  };
+}
+
+function markShape(center, color) {
+  const circle = document.createElementNS(SVG_NS, "circle");
+  circle.setAttribute("cx", center.x);
+  circle.setAttribute("cy", center.y);
+  circle.setAttribute("r", center.size * (MARK_RADIUS - MARK_STROKE / 2));
+  circle.setAttribute("fill", "none");
+  circle.setAttribute("stroke", color);
+  circle.setAttribute("stroke-width", center.size * MARK_STROKE);
+  return circle;
+}
+
+// One polygon for shaft and head, so translucent arrows do not darken
+// where the two would overlap
+function arrowShape(from, to, color) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy);
+  const ux = dx / length;
+  const uy = dy / length;
+
+  const shaft = (from.size * SHAFT_WIDTH) / 2;
+  const head = (from.size * HEAD_WIDTH) / 2;
+  const neck = Math.max(0, length - from.size * HEAD_LENGTH);
+
+  const point = (along, across) =>
+    `${from.x + ux * along - uy * across},${from.y + uy * along + ux * across}`;
+
+  const polygon = document.createElementNS(SVG_NS, "polygon");
+  polygon.setAttribute(
+    "points",
+    [
+      point(0, shaft),
+      point(neck, shaft),
+      point(neck, head),
+      point(length, 0),
+      point(neck, -head),
+      point(neck, -shaft),
+      point(0, -shaft),
+    ].join(" ")
+  );
+  polygon.setAttribute("fill", color);
+  return polygon;
+}
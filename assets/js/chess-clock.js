@@ -0,0 +1,121 @@
+/**
+ * Client side of the game clocks.
+ *
+ * The server sends the authoritative time left for both sides whenever the
+ * game state changes. The client anchors that snapshot to the moment it
+ * arrived, less half the measured round trip, and derives the running side's
+ * time from `performance.now()` from then on. Nothing is decremented per
+ * tick, so throttled timers in background tabs cannot make the clock drift.
+ */
+
+// Half a bad round trip is already a long time; never correct by more
+const MAX_LATENCY_CORRECTION_MS = 1000;
+// Weight of a new round trip measurement in the running average
+const RTT_SMOOTHING = 0.3;
+
+export class ClockModel {
+  constructor() {
+    this.snapshot = null;
+    this.anchor = 0;
+    this.rtt = null;
+  }
+
+  get running() {
+    return this.snapshot ? this.snapshot.running : null;
+  }
+
+  get initialMs() {
+    return this.snapshot ? this.snapshot.initial_ms : 0;
+  }
+
+  recordRoundTrip(ms) {
+    if (!(ms >= 0)) return;
+    this.rtt =
+      this.rtt === null
+        ? ms
+        : this.rtt * (1 - RTT_SMOOTHING) + ms * RTT_SMOOTHING;
+  }
+
+  /**
+   * Take a new server snapshot { white_ms, black_ms, running, initial_ms,
+   * increment_ms } received at `receivedAt` (performance.now() time)
+   */
+  sync(snapshot, receivedAt) {
+    const latency = Math.min((this.rtt || 0) / 2, MAX_LATENCY_CORRECTION_MS);
+    this.snapshot = snapshot;
+    this.anchor = receivedAt - latency;
+  }
+
+  remaining(color, now) {
+    if (!this.snapshot) return 0;
+    const base = this.snapshot[`${color}_ms`];
+    if (this.snapshot.running !== color) return base;
+    return Math.max(0, base - (now - this.anchor));
+  }
+}
+
+/**
+ * Low-time thresholds in milliseconds, most urgent last: 30 and 10 seconds,
+ * scaled down for games that start with little time
+ */
+export function lowTimeThresholds(initialMs) {
+  return [Math.min(30000, initialMs * 0.2), Math.min(10000, initialMs * 0.1)];
+}
+
+/**
+ * Fires each low-time threshold once as the clock passes it, and again
+ * only after an increment lifted the clock back above it
+ */
+export class LowTimeAlerts {
+  constructor(thresholds) {
+    this.thresholds = thresholds;
+    this.fired = new Set();
+  }
+
+  /**
+   * Index of the most urgent threshold just crossed, or -1
+   */
+  check(remainingMs) {
+    let crossed = -1;
+
+    this.thresholds.forEach((threshold, index) => {
+      if (remainingMs > threshold) {
+        this.fired.delete(index);
+      } else if (!this.fired.has(index)) {
+        this.fired.add(index);
+        crossed = index;
+      }
+    });
+
+    return crossed;
+  }
+
+  /**
+   * Milliseconds of `remainingMs` until the next threshold is reached, or
+   * null when all of them have fired
+   */
+  nextIn(remainingMs) {
+    const pending = this.thresholds.filter(
+      (threshold, index) => !this.fired.has(index) && threshold < remainingMs
+    );
+    return pending.length > 0 ? remainingMs - Math.max(...pending) : null;
+  }
+}
+
+/**
+ * "4:05", "1:02:03", or "8.4" with tenths under ten seconds
+ */
+export function formatClock(ms) {
+  if (ms < 10000) {
+    return (Math.floor(ms / 100) / 10).toFixed(1);
+  }
+
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
@@ -0,0 +1,771 @@
+/**
+ * Self-contained chess rules: FEN parsing and serialization, legal move
+ * generation, check/mate/stalemate detection and UCI <-> SAN conversion.
+ *
+ * Positions are plain objects on a 0x88 board (index = rank * 16 + file,
+ * a1 = 0) and are never mutated; making a move returns a new position.
+ * Public functions accept either a position or a FEN string.
+ */
+
+export const START_FEN =
+  "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+export class ChessRulesError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "ChessRulesError";
+    this.code = code;
+  }
+}
+
+const FILES = "abcdefgh";
+const KNIGHT_OFFSETS = [33, 31, 18, 14, -14, -18, -31, -33];
+const KING_OFFSETS = [17, 16, 15, 1, -1, -15, -16, -17];
+const BISHOP_DIRECTIONS = [17, 15, -15, -17];
+const ROOK_DIRECTIONS = [16, 1, -1, -16];
+const PROMOTION_PIECES = ["q", "r", "b", "n"];
+
+// Squares whose king or rook moving (or being captured) drops each right
+const CASTLING_SQUARES = {
+  K: [4, 7],
+  Q: [4, 0],
+  k: [116, 119],
+  q: [116, 112],
+};
+
+/**
+ * Parse a FEN string into a position, throwing a ChessRulesError with code
+ * "invalid_fen" when it does not describe a legal position.
+ */
+export function parseFen(fen) {
+  if (typeof fen !== "string") invalidFen("FEN must be a string");
+
+  const fields = fen.trim().split(/\s+/);
+  if (fields.length < 4 || fields.length > 6) {
+    invalidFen("FEN must have between 4 and 6 fields");
+  }
+
+  const [placement, turn, castling, epField, half = "0", full = "1"] = fields;
+  const board = new Array(128).fill(null);
+  const kings = { w: -1, b: -1 };
+
+  const rows = placement.split("/");
+  if (rows.length !== 8) invalidFen("Board must have 8 ranks");
+
+  rows.forEach((row, index) => {
+    const rank = 7 - index;
+    let file = 0;
+
+    for (const char of row) {
+      if (/[1-8]/.test(char)) {
+        file += parseInt(char, 10);
+      } else if (/[pnbrqk]/i.test(char)) {
+        if (file > 7) invalidFen(`Rank ${rank + 1} has too many squares`);
+        const square = rank * 16 + file;
+
+        if (char.toLowerCase() === "p" && (rank === 0 || rank === 7)) {
+          invalidFen("Pawns cannot stand on the first or last rank");
+        }
+        if (char.toLowerCase() === "k") {
+          const color = pieceColor(char);
+          if (kings[color] !== -1)
+            invalidFen("Each side needs exactly one king");
+          kings[color] = square;
+        }
+
+        board[square] = char;
+        file++;
+      } else {
+        invalidFen(`Unexpected character "${char}" in piece placement`);
+      }
+    }
+
+    if (file !== 8) invalidFen(`Rank ${rank + 1} does not have 8 squares`);
+  });
+
+  if (kings.w === -1 || kings.b === -1) {
+    invalidFen("Each side needs exactly one king");
+  }
+  if (turn !== "w" && turn !== "b") invalidFen("Side to move must be w or b");
+
+  if (castling !== "-" && !/^K?Q?k?q?$/.test(castling)) {
+    invalidFen("Malformed castling rights");
+  }
+  for (const right of castling === "-" ? "" : castling) {
+    const [kingSquare, rookSquare] = CASTLING_SQUARES[right];
+    const color = right === right.toUpperCase() ? "w" : "b";
+    if (
+      board[kingSquare] !== colored("k", color) ||
+      board[rookSquare] !== colored("r", color)
+    ) {
+      invalidFen(`Castling right ${right} without king and rook at home`);
+    }
+  }
+
+  let ep = -1;
+  if (epField !== "-") {
+    ep = squareIndex(epField);
+    const expectedRank = turn === "w" ? 5 : 2;
+    if (ep === -1 || ep >> 4 !== expectedRank) {
+      invalidFen("Invalid en passant square");
+    }
+    const pawnSquare = ep + (turn === "w" ? -16 : 16);
+    if (board[pawnSquare] !== colored("p", opponent(turn)) || board[ep]) {
+      invalidFen("En passant square without a pawn that just moved");
+    }
+  }
+
+  if (!/^\d+$/.test(half) || !/^\d+$/.test(full) || parseInt(full, 10) < 1) {
+    invalidFen("Invalid move counters");
+  }
+
+  const position = {
+    board,
+    turn,
+    castling: castling === "-" ? "" : castling,
+    ep,
+    halfmove: parseInt(half, 10),
+    fullmove: parseInt(full, 10),
+    kings,
+  };
+
+  if (isAttacked(board, kings[opponent(turn)], turn)) {
+    invalidFen("The side not to move is in check");
+  }
+
+  return position;
+}
+
+/**
+ * Check a FEN without throwing: { valid: true } or { valid: false, error }
+ */
+export function validateFen(fen) {
+  try {
+    parseFen(fen);
+    return { valid: true };
+  } catch (error) {
+    if (error instanceof ChessRulesError) {
+      return { valid: false, error: error.message };
+    }
+    throw error;
+  }
+}
+
+export function toFen(position) {
+  const { board } = position;
+  const rows = [];
+
+  for (let rank = 7; rank >= 0; rank--) {
+    let row = "";
+    let empty = 0;
+
+    for (let file = 0; file < 8; file++) {
+      const piece = board[rank * 16 + file];
+      if (piece) {
+        if (empty) row += empty;
+        row += piece;
+        empty = 0;
+      } else {
+        empty++;
+      }
+    }
+
+    rows.push(empty ? row + empty : row);
+  }
+
+  return [
+    rows.join("/"),
+    position.turn,
+    position.castling || "-",
+    position.ep === -1 ? "-" : squareName(position.ep),
+    position.halfmove,
+    position.fullmove,
+  ].join(" ");
+}
+
+/**
+ * FEN reduced to what identifies a position for search purposes: no move
+ * counters, and an en passant square only when the capture is legal.
+ */
+export function normalizeFen(positionOrFen) {
+  const position = toPosition(positionOrFen);
+  const epCapturable =
+    position.ep !== -1 &&
+    generateLegalMoves(position).some((move) => move.flag === "en_passant");
+
+  return [
+    toFen(position).split(" ")[0],
+    position.turn,
+    position.castling || "-",
+    epCapturable ? squareName(position.ep) : "-",
+  ].join(" ");
+}
+
+/**
+ * All legal moves for the side to move, each as
+ * { from, to, piece, captured, promotion, flag, uci, san }
+ * where `flag` is "normal", "double", "en_passant" or "castle".
+ */
+export function legalMoves(positionOrFen) {
+  const position = toPosition(positionOrFen);
+  const moves = generateLegalMoves(position);
+  return moves.map((move) => publicMove(position, move, moves));
+}
+
+/**
+ * Look up a legal move given as UCI ("e7e8q"), SAN ("Nxf3+", "O-O") or
+ * { from, to, promotion }. Returns null when no legal move matches.
+ */
+export function findMove(positionOrFen, input) {
+  const position = toPosition(positionOrFen);
+  const moves = generateLegalMoves(position);
+  const move = matchMove(moves, input);
+  return move ? publicMove(position, move, moves) : null;
+}
+
+/**
+ * Play a move (any format accepted by findMove) and return the new position.
+ * Throws a ChessRulesError with code "illegal_move" if it is not legal.
+ */
+export function makeMove(positionOrFen, input) {
+  const position = toPosition(positionOrFen);
+  const move = matchMove(generateLegalMoves(position), input);
+
+  if (!move) {
+    const label = typeof input === "string" ? input : JSON.stringify(input);
+    throw new ChessRulesError(`Illegal move ${label}`, "illegal_move");
+  }
+
+  return applyMove(position, move);
+}
+
+/**
+ * Pass the turn without moving, e.g. to ask what the opponent threatens.
+ * Throws a ChessRulesError with code "illegal_move" when the side to move
+ * is in check, since the opponent could then capture the king.
+ */
+export function nullMove(positionOrFen) {
+  const position = toPosition(positionOrFen);
+
+  if (inCheck(position)) {
+    throw new ChessRulesError("Cannot pass while in check", "illegal_move");
+  }
+
+  return {
+    ...position,
+    turn: opponent(position.turn),
+    ep: -1,
+    halfmove: position.halfmove + 1,
+    fullmove: position.turn === "b" ? position.fullmove + 1 : position.fullmove,
+  };
+}
+
+export function inCheck(positionOrFen) {
+  const position = toPosition(positionOrFen);
+  return isAttacked(
+    position.board,
+    position.kings[position.turn],
+    opponent(position.turn)
+  );
+}
+
+export function isCheckmate(positionOrFen) {
+  return gameStatus(positionOrFen) === "checkmate";
+}
+
+export function isStalemate(positionOrFen) {
+  return gameStatus(positionOrFen) === "stalemate";
+}
+
+/**
+ * "checkmate", "stalemate", "check" or "ongoing" for the side to move
+ */
+export function gameStatus(positionOrFen) {
+  const position = toPosition(positionOrFen);
+  const check = inCheck(position);
+
+  if (generateLegalMoves(position).length > 0) {
+    return check ? "check" : "ongoing";
+  }
+  return check ? "checkmate" : "stalemate";
+}
+
+export function uciToSan(positionOrFen, uci) {
+  const move = findMove(positionOrFen, parseUciMove(uci));
+  return move ? move.san : null;
+}
+
+export function sanToUci(positionOrFen, san) {
+  const position = toPosition(positionOrFen);
+  const move = matchSan(generateLegalMoves(position), san);
+  return move ? moveUci(move) : null;
+}
+
+/**
+ * Convert a line of UCI moves (e.g. an engine PV) to SAN, stopping at the
+ * first move that is not legal in the position reached so far.
+ */
+export function uciLineToSan(positionOrFen, uciMoves) {
+  let position = toPosition(positionOrFen);
+  const sanMoves = [];
+
+  for (const uci of uciMoves) {
+    const moves = generateLegalMoves(position);
+    const move = matchMove(moves, parseUciMove(uci));
+    if (!move) break;
+
+    sanMoves.push(moveSan(position, move, moves));
+    position = applyMove(position, move);
+  }
+
+  return sanMoves;
+}
+
+/**
+ * Split a UCI move into { from, to, promotion, uci }; `promotion` is null
+ * unless the move names a piece. Returns null for malformed input.
+ */
+export function parseUciMove(uci) {
+  if (typeof uci !== "string" || !/^[a-h][1-8][a-h][1-8][qrbn]?$/.test(uci)) {
+    return null;
+  }
+
+  return {
+    from: uci.substring(0, 2),
+    to: uci.substring(2, 4),
+    promotion: uci.length > 4 ? uci[4] : null,
+    uci,
+  };
+}
+
+/**
+ * Count leaf nodes of the legal move tree to the given depth
+ */
+export function perft(positionOrFen, depth) {
+  const position = toPosition(positionOrFen);
+  if (depth === 0) return 1;
+
+  const moves = generateLegalMoves(position);
+  if (depth === 1) return moves.length;
+
+  let nodes = 0;
+  for (const move of moves) {
+    nodes += perft(applyMove(position, move), depth - 1);
+  }
+  return nodes;
+}
+
+// Move generation
+
+function generateLegalMoves(position) {
+  const { turn } = position;
+  const enemy = opponent(turn);
+
+  return generatePseudoMoves(position).filter((move) => {
+    const next = applyMove(position, move);
+    return !isAttacked(next.board, next.kings[turn], enemy);
+  });
+}
+
+function generatePseudoMoves(position) {
+  const { board, turn } = position;
+  const moves = [];
+
+  for (let from = 0; from < 128; from++) {
+    if (from & 0x88) {
+      from += 7;
+      continue;
+    }
+
+    const piece = board[from];
+    if (!piece || pieceColor(piece) !== turn) continue;
+
+    switch (piece.toLowerCase()) {
+      case "p":
+        addPawnMoves(position, from, moves);
+        break;
+      case "n":
+        addStepMoves(position, from, KNIGHT_OFFSETS, moves);
+        break;
+      case "b":
+        addSlideMoves(position, from, BISHOP_DIRECTIONS, moves);
+        break;
+      case "r":
+        addSlideMoves(position, from, ROOK_DIRECTIONS, moves);
+        break;
+      case "q":
+        addSlideMoves(position, from, BISHOP_DIRECTIONS, moves);
+        addSlideMoves(position, from, ROOK_DIRECTIONS, moves);
+        break;
+      case "k":
+        addStepMoves(position, from, KING_OFFSETS, moves);
+        addCastlingMoves(position, from, moves);
+        break;
+    }
+  }
+
+  return moves;
+}
+
+function addPawnMoves(position, from, moves) {
+  const { board, turn } = position;
+  const piece = board[from];
+  const forward = turn === "w" ? 16 : -16;
+  const startRank = turn === "w" ? 1 : 6;
+
+  const one = from + forward;
+  if (!(one & 0x88) && !board[one]) {
+    addPawnMove(piece, from, one, null, "normal", moves);
+
+    const two = one + forward;
+    if (from >> 4 === startRank && !board[two]) {
+      moves.push(buildMove(piece, from, two, null, null, "double"));
+    }
+  }
+
+  for (const side of [-1, 1]) {
+    const to = one + side;
+    if (to & 0x88) continue;
+
+    const target = board[to];
+    if (target && pieceColor(target) !== turn) {
+      addPawnMove(piece, from, to, target, "normal", moves);
+    } else if (to === position.ep) {
+      const captured = colored("p", opponent(turn));
+      moves.push(buildMove(piece, from, to, captured, null, "en_passant"));
+    }
+  }
+}
+
+function addPawnMove(piece, from, to, captured, flag, moves) {
+  const rank = to >> 4;
+
+  if (rank === 0 || rank === 7) {
+    for (const promotion of PROMOTION_PIECES) {
+      moves.push(buildMove(piece, from, to, captured, promotion, flag));
+    }
+  } else {
+    moves.push(buildMove(piece, from, to, captured, null, flag));
+  }
+}
+
+function addStepMoves(position, from, offsets, moves) {
+  const { board, turn } = position;
+  const piece = board[from];
+
+  for (const offset of offsets) {
+    const to = from + offset;
+    if (to & 0x88) continue;
+
+    const target = board[to];
+    if (!target || pieceColor(target) !== turn) {
+      moves.push(buildMove(piece, from, to, target, null, "normal"));
+    }
+  }
+}
+
+function addSlideMoves(position, from, directions, moves) {
+  const { board, turn } = position;
+  const piece = board[from];
+
+  for (const direction of directions) {
+    for (let to = from + direction; !(to & 0x88); to += direction) {
+      const target = board[to];
+      if (!target) {
+        moves.push(buildMove(piece, from, to, null, null, "normal"));
+        continue;
+      }
+      if (pieceColor(target) !== turn) {
+        moves.push(buildMove(piece, from, to, target, null, "normal"));
+      }
+      break;
+    }
+  }
+}
+
+function addCastlingMoves(position, from, moves) {
+  const { board, turn, castling } = position;
+  const enemy = opponent(turn);
+  const piece = board[from];
+  const [kingSide, queenSide] = turn === "w" ? ["K", "Q"] : ["k", "q"];
+
+  if (from !== CASTLING_SQUARES[kingSide][0]) return;
+  if (isAttacked(board, from, enemy)) return;
+
+  if (
+    castling.includes(kingSide) &&
+    !board[from + 1] &&
+    !board[from + 2] &&
+    !isAttacked(board, from + 1, enemy) &&
+    !isAttacked(board, from + 2, enemy)
+  ) {
+    moves.push(buildMove(piece, from, from + 2, null, null, "castle"));
+  }
+
+  if (
+    castling.includes(queenSide) &&
+    !board[from - 1] &&
+    !board[from - 2] &&
+    !board[from - 3] &&
+    !isAttacked(board, from - 1, enemy) &&
+    !isAttacked(board, from - 2, enemy)
+  ) {
+    moves.push(buildMove(piece, from, from - 2, null, null, "castle"));
+  }
+}
+
+function buildMove(piece, from, to, captured, promotion, flag) {
+  return { piece, from, to, captured: captured || null, promotion, flag };
+}
+
+function isAttacked(board, square, byColor) {
+  const pawn = colored("p", byColor);
+  const pawnSources = byColor === "w" ? [-15, -17] : [15, 17];
+  for (const offset of pawnSources) {
+    const from = square + offset;
+    if (!(from & 0x88) && board[from] === pawn) return true;
+  }
+
+  if (stepAttack(board, square, KNIGHT_OFFSETS, colored("n", byColor))) {
+    return true;
+  }
+  if (stepAttack(board, square, KING_OFFSETS, colored("k", byColor))) {
+    return true;
+  }
+
+  const queen = colored("q", byColor);
+  return (
+    slideAttack(
+      board,
+      square,
+      BISHOP_DIRECTIONS,
+      colored("b", byColor),
+      queen
+    ) ||
+    slideAttack(board, square, ROOK_DIRECTIONS, colored("r", byColor), queen)
+  );
+}
+
+function stepAttack(board, square, offsets, attacker) {
+  return offsets.some((offset) => {
+    const from = square + offset;
+    return !(from & 0x88) && board[from] === attacker;
+  });
+}
+
+function slideAttack(board, square, directions, slider, queen) {
+  for (const direction of directions) {
+    for (let from = square + direction; !(from & 0x88); from += direction) {
+      const piece = board[from];
+      if (!piece) continue;
+      if (piece === slider || piece === queen) return true;
+      break;
+    }
+  }
+  return false;
+}
+
+function applyMove(position, move) {
+  const { turn } = position;
+  const board = position.board.slice();
+  const kings = { ...position.kings };
+  const { from, to, piece } = move;
+
+  board[to] = move.promotion ? colored(move.promotion, turn) : piece;
+  board[from] = null;
+
+  if (move.flag === "en_passant") {
+    board[to + (turn === "w" ? -16 : 16)] = null;
+  } else if (move.flag === "castle") {
+    const [rookFrom, rookTo] =
+      to > from ? [from + 3, from + 1] : [from - 4, from - 1];
+    board[rookTo] = board[rookFrom];
+    board[rookFrom] = null;
+  }
+
+  const isPawn = piece.toLowerCase() === "p";
+  if (piece.toLowerCase() === "k") kings[turn] = to;
+
+  const castling = position.castling
+    .split("")
+    .filter((right) => {
+      const squares = CASTLING_SQUARES[right];
+      return !squares.includes(from) && !squares.includes(to);
+    })
+    .join("");
+
+  return {
+    board,
+    turn: opponent(turn),
+    castling,
+    ep: move.flag === "double" ? (from + to) / 2 : -1,
+    halfmove: isPawn || move.captured ? 0 : position.halfmove + 1,
+    fullmove: turn === "b" ? position.fullmove + 1 : position.fullmove,
+    kings,
+  };
+}
+
+// Move input matching
+
+function matchMove(moves, input) {
+  if (!input) return null;
+
+  if (typeof input === "string") {
+    const uci = parseUciMove(input.trim());
+    return uci ? matchUci(moves, uci) : matchSan(moves, input);
+  }
+
+  return matchUci(moves, input);
+}
+
+function matchUci(moves, { from, to, promotion }) {
+  const fromSquare = squareIndex(from);
+  const toSquare = squareIndex(to);
+
+  // A promotion piece is required for promotions and ignored otherwise, so
+  // callers that always send one (like the server's "q" default) still match
+  return (
+    moves.find(
+      (move) =>
+        move.from === fromSquare &&
+        move.to === toSquare &&
+        (!move.promotion || move.promotion === (promotion || "").toLowerCase())
+    ) || null
+  );
+}
+
+function matchSan(moves, san) {
+  if (typeof san !== "string") return null;
+
+  const cleaned = san
+    .trim()
+    .replace(/[+#!?]+$/, "")
+    .replace(/\s*e\.p\.$/, "")
+    .replace(/0/g, "O");
+
+  if (cleaned === "O-O" || cleaned === "O-O-O") {
+    return (
+      moves.find(
+        (move) =>
+          move.flag === "castle" &&
+          (cleaned === "O-O" ? move.to > move.from : move.to < move.from)
+      ) || null
+    );
+  }
+
+  const parts = cleaned.match(
+    /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQnbrq]))?$/
+  );
+  if (!parts) return null;
+
+  const [, pieceLetter, fromFile, fromRank, target, promotion] = parts;
+  const type = pieceLetter ? pieceLetter.toLowerCase() : "p";
+  const to = squareIndex(target);
+
+  const candidates = moves.filter(
+    (move) =>
+      move.to === to &&
+      move.piece.toLowerCase() === type &&
+      move.flag !== "castle" &&
+      (!fromFile || FILES[move.from & 7] === fromFile) &&
+      (!fromRank || (move.from >> 4) + 1 === parseInt(fromRank, 10)) &&
+      (move.promotion || null) === (promotion ? promotion.toLowerCase() : null)
+  );
+
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+// Notation
+
+function publicMove(position, move, moves) {
+  return {
+    from: squareName(move.from),
+    to: squareName(move.to),
+    piece: move.piece,
+    captured: move.captured,
+    promotion: move.promotion,
+    flag: move.flag,
+    uci: moveUci(move),
+    san: moveSan(position, move, moves),
+  };
+}
+
+function moveUci(move) {
+  return squareName(move.from) + squareName(move.to) + (move.promotion || "");
+}
+
+function moveSan(position, move, moves) {
+  let san;
+
+  if (move.flag === "castle") {
+    san = move.to > move.from ? "O-O" : "O-O-O";
+  } else if (move.piece.toLowerCase() === "p") {
+    san = move.captured ? `${FILES[move.from & 7]}x` : "";
+    san += squareName(move.to);
+    if (move.promotion) san += `=${move.promotion.toUpperCase()}`;
+  } else {
+    san =
+      move.piece.toUpperCase() +
+      disambiguation(move, moves) +
+      (move.captured ? "x" : "") +
+      squareName(move.to);
+  }
+
+  const next = applyMove(position, move);
+  if (isAttacked(next.board, next.kings[next.turn], position.turn)) {
+    san += generateLegalMoves(next).length > 0 ? "+" : "#";
+  }
+
+  return san;
+}
+
+function disambiguation(move, moves) {
+  const rivals = moves.filter(
+    (other) =>
+      other.piece === move.piece &&
+      other.to === move.to &&
+      other.from !== move.from
+  );
+  if (rivals.length === 0) return "";
+
+  const file = FILES[move.from & 7];
+  const rank = String((move.from >> 4) + 1);
+
+  if (!rivals.some((other) => (other.from & 7) === (move.from & 7)))
+    return file;
+  if (!rivals.some((other) => other.from >> 4 === move.from >> 4)) return rank;
+  return file + rank;
+}
+
+// Helpers
+
+function toPosition(positionOrFen) {
+  return typeof positionOrFen === "string"
+    ? parseFen(positionOrFen)
+    : positionOrFen;
+}
+
+function invalidFen(message) {
+  throw new ChessRulesError(message, "invalid_fen");
+}
+
+function squareIndex(name) {
+  if (typeof name !== "string" || !/^[a-h][1-8]$/.test(name)) return -1;
+  return (name.charCodeAt(1) - 49) * 16 + (name.charCodeAt(0) - 97);
+}
+
+function squareName(square) {
+  return FILES[square & 7] + ((square >> 4) + 1);
+}
+
+function pieceColor(piece) {
+  return piece === piece.toUpperCase() ? "w" : "b";
+}
+
+function colored(type, color) {
+  return color === "w" ? type.toUpperCase() : type.toLowerCase();
+}
+
+function opponent(color) {
+  return color === "w" ? "b" : "w";
+}
@@ -1,382 +1,256 @@
 /**
- * Canvas-based particle animation system for endgame overlays
- * Provides smooth, performant animations for confetti and tears
+ * Canvas-based particle animation system for endgame overlays and other
+ * board effects. What the particles look like lives in the effect registry
+ * (particle-effects.js) and how they run in ParticleRenderer; this module
+ * owns the full-window canvas they are drawn on.
+ *
+ * Where the browser can hand a canvas to a worker, built-in effects are
+ * drawn there on an OffscreenCanvas; otherwise, and for effects registered
+ * elsewhere, on the main thread. The canvas is sized for the screen's pixel
+ * ratio, shrinks to nothing while idle and is removed, along with its
+ * listener and worker, once it has not been needed for a while.
  */
 
-class ParticleSystem {
-  constructor(canvas, type = "celebration") {
-    this.canvas = canvas;
-    this.ctx = canvas.getContext("2d");
-    this.type = type;
-    this.particles = [];
-    this.animationFrame = null;
-    this.isRunning = false;
-    this.canSpawnNew = true; // Control whether to spawn new particles
+import { BUILTIN_EFFECTS, getEffect } from "./particle-effects.js";
+import { ParticleRenderer, frameLoop } from "./particle-renderer.js";
 
-    this.resize();
-    window.addEventListener("resize", () => this.resize());
-  }
+const CANVAS_ID = "endgame-particles-canvas";
+// Captures come often; keep the canvas and worker around between them
+const IDLE_TEARDOWN_MS = 15000;
 
-  resize() {
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
-  }
+// Set once a worker fails to start, e.g. a blocked script URL
+let workerFailed = false;
 
-  start() {
-    if (this.isRunning) return;
-    this.isRunning = true;
+function workerUrl() {
+  const meta = document.querySelector("meta[name='particle-worker']");
+  return meta ? meta.getAttribute("content") : null;
+}
 
-    if (this.type === "celebration") {
-      this.createConfetti();
-      // Stop ALL confetti animation after 5 seconds
-      setTimeout(() => {
-        this.canSpawnNew = false;
-        // Remove all confetti particles after 5 seconds
-        this.particles = [];
-      }, 5000);
-    } else {
-      this.createTears();
-      // Tears never stop spawning
-    }
+function canUseWorker() {
+  return (
+    !workerFailed &&
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    "transferControlToOffscreen" in HTMLCanvasElement.prototype &&
+    Boolean(workerUrl())
+  );
+}
 
-    this.animate();
-  }
+/**
+ * One canvas and whatever draws on it: a worker when `offscreen`, else a
+ * renderer on this thread. `onDestroy(layer)` runs once it is torn down.
+ */
+export class ParticleLayer {
+  constructor({ offscreen, onDestroy }) {
+    this.onDestroy = onDestroy;
+    this.idle = true;
+    this.seq = 0;
+    this.teardownTimer = null;
+    // Effects asked for since the layer went idle, by name, with their options
+    this.playing = new Map();
+    this.worker = null;
+    this.renderer = null;
+    this.loop = null;
 
-  stop() {
-    this.isRunning = false;
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
-      this.animationFrame = null;
+    const canvas = document.createElement("canvas");
+    canvas.id = offscreen ? `${CANVAS_ID}-offscreen` : CANVAS_ID;
+    canvas.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      pointer-events: none;
+      z-index: 59;
+      visibility: hidden;
+    `;
+    document.body.appendChild(canvas);
+    this.canvas = canvas;
+
+    if (offscreen) {
+      const offscreenCanvas = canvas.transferControlToOffscreen();
+      this.worker = new Worker(workerUrl());
+      this.worker.onmessage = ({ data }) => {
+        // Ignore an idle that crossed a newer play on its way here
+        if (data.type === "idle" && data.seq === this.seq) this.handleIdle();
+      };
+      this.worker.onerror = () => {
+        workerFailed = true;
+        const playing = [...this.playing];
+        this.destroy();
+        // Carry on on the main thread, so e.g. the overlay keeps its effect
+        playing.forEach(([name, options]) => playEffect(name, options));
+      };
+      this.worker.postMessage(
+        { type: "init", canvas: offscreenCanvas, ...this.size(false) },
+        [offscreenCanvas]
+      );
+    } else {
+      this.renderer = new ParticleRenderer(canvas.getContext("2d"));
+      this.loop = frameLoop(
+        this.renderer,
+        (callback) => requestAnimationFrame(callback),
+        () => this.handleIdle()
+      );
     }
-  }
 
-  stopSpawning() {
-    // Stop spawning new particles but let existing ones finish
-    this.canSpawnNew = false;
+    this.handleResize = () => {
+      if (!this.idle) this.resize(true);
+    };
+    window.addEventListener("resize", this.handleResize);
   }
 
-  clear() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.particles = [];
-    this.stop();
+  // The window in CSS pixels and its pixel ratio; nothing at all while idle
+  size(visible) {
+    return {
+      width: visible ? window.innerWidth : 0,
+      height: visible ? window.innerHeight : 0,
+      dpr: window.devicePixelRatio || 1,
+    };
   }
 
-  createConfetti() {
-    const colors = [
-      "#facc15",
-      "#f97316",
-      "#f472b6",
-      "#38bdf8",
-      "#34d399",
-      "#a855f7",
-      "#22d3ee",
-      "#ef4444",
-      "#14b8a6",
-      "#f87171",
-      "#60a5fa",
-      "#c084fc",
-      "#fde047",
-      "#fb7185",
-      "#fca5a5",
-      "#10b981",
-      "#8b5cf6",
-      "#06b6d4",
-      "#f59e0b",
-      "#ec4899",
-    ];
-
-    const count = 120;
-
-    for (let i = 0; i < count; i++) {
-      this.particles.push({
-        x: Math.random() * this.canvas.width,
-        y: -20 - Math.random() * 200, // Like tears
-        width: 8 + Math.random() * 8,
-        height: 12 + Math.random() * 12,
-        color: colors[Math.floor(Math.random() * colors.length)],
-        rotation: Math.random() * 360,
-        rotationSpeed: (Math.random() - 0.5) * 6,
-        velocityY: 2 + Math.random() * 2.5, // Same as tears
-        velocityX: (Math.random() - 0.5) * 1.5,
-        gravity: 0.1,
-        drift: Math.sin(Math.random() * Math.PI * 2) * 0.4,
-        opacity: 1,
-        delay: Math.random() * 2000, // Staggered like tears
-      });
+  resize(visible) {
+    const { width, height, dpr } = this.size(visible);
+    if (this.worker) {
+      this.worker.postMessage({ type: "resize", width, height, dpr });
+    } else {
+      this.renderer.resize(width, height, dpr);
     }
   }
 
-  createTears() {
-    const count = 150; // Reduced from 350
+  play(name, options) {
+    this.playing.set(name, options);
+    clearTimeout(this.teardownTimer);
+    if (this.idle) {
+      this.idle = false;
+      this.resize(true);
+      this.canvas.style.visibility = "visible";
+    }
 
-    for (let i = 0; i < count; i++) {
-      const size = 8 + Math.random() * 10; // Bigger: was 5-12, now 8-18
-      this.particles.push({
-        x: Math.random() * this.canvas.width,
-        y: -20 - Math.random() * 200,
-        width: size,
-        height: size * 2,
-        velocityY: 2.5 + Math.random() * 3,
-        velocityX: (Math.random() - 0.5) * 0.6,
-        wobble: Math.random() * Math.PI * 2,
-        wobbleSpeed: 0.06 + Math.random() * 0.05,
-        opacity: 0.75 + Math.random() * 0.25,
-        shimmer: Math.random() * Math.PI * 2,
-        shimmerSpeed: 0.08,
-        delay: Math.random() * 2000,
-        trail: [],
-      });
+    if (this.worker) {
+      this.seq += 1;
+      this.worker.postMessage({ type: "play", name, options, seq: this.seq });
+    } else if (this.renderer.play(name, options)) {
+      this.loop.request();
     }
   }
 
-  animate() {
-    if (!this.isRunning) return;
-
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-    const now = Date.now();
-
-    this.particles.forEach((particle, index) => {
-      if (particle.delay > 0) {
-        particle.delay -= 16; // ~60fps
-        return;
-      }
-
-      if (this.type === "celebration") {
-        this.updateConfetti(particle);
-        this.drawConfetti(particle);
-      } else {
-        this.updateTear(particle);
-        this.drawTear(particle);
-      }
-
-      // Respawn particles that are off screen (continuous loop)
-      if (particle.y > this.canvas.height + 50) {
-        // Only respawn if we're allowed to spawn new particles
-        if (this.canSpawnNew) {
-          this.respawnParticle(particle, index);
-        } else {
-          // Remove the particle if we can't spawn new ones
-          this.particles.splice(index, 1);
-        }
-      }
-    });
-
-    // Keep animating continuously while there are particles
-    if (this.particles.length > 0) {
-      this.animationFrame = requestAnimationFrame(() => this.animate());
+  stop(name) {
+    if (name === null) {
+      this.playing.clear();
     } else {
-      this.isRunning = false;
+      this.playing.delete(name);
     }
-  }
 
-  respawnParticle(particle, index) {
-    if (this.type === "celebration") {
-      const colors = [
-        "#facc15",
-        "#f97316",
-        "#f472b6",
-        "#38bdf8",
-        "#34d399",
-        "#a855f7",
-        "#22d3ee",
-        "#ef4444",
-        "#14b8a6",
-        "#f87171",
-        "#60a5fa",
-        "#c084fc",
-        "#fde047",
-        "#fb7185",
-        "#fca5a5",
-        "#10b981",
-        "#8b5cf6",
-        "#06b6d4",
-        "#f59e0b",
-        "#ec4899",
-      ];
-
-      particle.x = Math.random() * this.canvas.width;
-      particle.y = -20 - Math.random() * 100;
-      particle.color = colors[Math.floor(Math.random() * colors.length)];
-      particle.rotation = Math.random() * 360;
-      particle.velocityY = 2 + Math.random() * 2.5;
-      particle.velocityX = (Math.random() - 0.5) * 1.5;
-      particle.opacity = 1;
-      particle.delay = 0;
+    if (this.worker) {
+      this.worker.postMessage({ type: "stop", name });
     } else {
-      particle.x = Math.random() * this.canvas.width;
-      particle.y = -20 - Math.random() * 200;
-      particle.velocityY = 2.5 + Math.random() * 3;
-      particle.velocityX = (Math.random() - 0.5) * 0.6;
-      particle.wobble = Math.random() * Math.PI * 2;
-      particle.opacity = 0.75 + Math.random() * 0.25;
-      particle.trail = [];
-      particle.delay = 0;
+      this.renderer.stop(name);
     }
   }
 
-  updateConfetti(particle) {
-    particle.velocityY += particle.gravity;
-    particle.y += particle.velocityY;
-    particle.x +=
-      particle.velocityX + Math.sin(particle.y * 0.01) * particle.drift;
-    particle.rotation += particle.rotationSpeed;
+  handleIdle() {
+    this.idle = true;
+    this.playing.clear();
+    this.canvas.style.visibility = "hidden";
+    // An empty canvas holds no pixels while nothing plays
+    this.resize(false);
 
-    // Keep opacity high throughout
-    if (particle.y > this.canvas.height - 200) {
-      particle.opacity = Math.max(0.3, particle.opacity - 0.005);
-    }
+    clearTimeout(this.teardownTimer);
+    this.teardownTimer = setTimeout(() => this.destroy(), IDLE_TEARDOWN_MS);
   }
 
-  updateTear(particle) {
-    particle.y += particle.velocityY;
-    particle.wobble += particle.wobbleSpeed;
-    particle.shimmer += particle.shimmerSpeed;
-    particle.x += Math.sin(particle.wobble) * 0.5 + particle.velocityX;
-
-    // Reduced trail length for performance
-    particle.trail.push({ x: particle.x, y: particle.y });
-    if (particle.trail.length > 4) {
-      // Reduced from 8
-      particle.trail.shift();
+  // Drop whatever is playing and remove the canvas, worker and listener
+  destroy() {
+    clearTimeout(this.teardownTimer);
+    window.removeEventListener("resize", this.handleResize);
+    if (this.worker) {
+      this.worker.terminate();
+    } else {
+      this.loop.cancel();
+      this.renderer.clear();
     }
-
-    // Keep opacity high - tears never fade out
+    this.canvas.remove();
+    this.onDestroy(this);
   }
+}
 
-  drawConfetti(particle) {
-    if (particle.opacity <= 0) return;
-
-    this.ctx.save();
-    this.ctx.translate(particle.x, particle.y);
-    this.ctx.rotate((particle.rotation * Math.PI) / 180);
-    this.ctx.globalAlpha = Math.max(0.3, particle.opacity);
-
-    // Removed expensive shadows - just draw the confetti
-    this.ctx.fillStyle = particle.color;
-    this.ctx.fillRect(
-      -particle.width / 2,
-      -particle.height / 2,
-      particle.width,
-      particle.height
-    );
+const layers = { offscreen: null, main: null };
 
-    // Simple highlight (no gradient)
-    this.ctx.fillStyle = "rgba(255, 255, 255, 0.4)";
-    this.ctx.fillRect(
-      -particle.width / 2,
-      -particle.height / 2,
-      particle.width,
-      particle.height / 4
-    );
+function layerFor(name) {
+  const kind =
+    BUILTIN_EFFECTS.includes(name) && canUseWorker() ? "offscreen" : "main";
 
-    this.ctx.restore();
+  if (!layers[kind]) {
+    layers[kind] = new ParticleLayer({
+      offscreen: kind === "offscreen",
+      onDestroy: (layer) => {
+        if (layers[kind] === layer) layers[kind] = null;
+      },
+    });
   }
+  return layers[kind];
+}
 
-  drawTear(particle) {
-    if (particle.opacity <= 0) return;
-
-    this.ctx.save();
-    this.ctx.globalAlpha = particle.opacity;
-
-    const shimmerAmount = Math.sin(particle.shimmer) * 0.15 + 0.85;
-
-    // Draw simple teardrop: circle on top, triangle on bottom
-    this.ctx.beginPath();
-
-    const circleY = particle.y + particle.width * 0.5;
-    this.ctx.arc(particle.x, circleY, particle.width * 0.5, 0, Math.PI * 2);
-
-    this.ctx.moveTo(particle.x - particle.width * 0.5, circleY);
-    this.ctx.lineTo(particle.x, particle.y + particle.height);
-    this.ctx.lineTo(particle.x + particle.width * 0.5, circleY);
-
-    this.ctx.closePath();
-
-    // Simplified gradient (fewer stops)
-    const gradient = this.ctx.createLinearGradient(
-      particle.x,
-      particle.y,
-      particle.x,
-      particle.y + particle.height
-    );
-    gradient.addColorStop(0, `rgba(191, 219, 254, ${shimmerAmount})`);
-    gradient.addColorStop(1, `rgba(96, 165, 250, ${shimmerAmount * 0.8})`);
+/**
+ * Play a registered effect on the shared canvas, creating it if needed
+ */
+export function playEffect(name, options = {}) {
+  if (!getEffect(name)) {
+    console.warn(`Unknown particle effect: ${name}`);
+    return;
+  }
+  layerFor(name).play(name, options);
+}
 
-    this.ctx.fillStyle = gradient;
-    this.ctx.fill();
+export function stopEffect(name = null) {
+  Object.values(layers).forEach((layer) => layer && layer.stop(name));
+}
 
-    // Simple white highlight (no shadow)
-    this.ctx.beginPath();
-    this.ctx.arc(
-      particle.x - particle.width * 0.2,
-      circleY - particle.width * 0.15,
-      particle.width * 0.25,
-      0,
-      Math.PI * 2
-    );
-    this.ctx.fillStyle = `rgba(255, 255, 255, ${shimmerAmount * 0.5})`;
-    this.ctx.fill();
+// Remove every effect right away, e.g. when leaving the game
+export function clearEffects() {
+  Object.values(layers).forEach((layer) => layer && layer.destroy());
+}
 
-    this.ctx.restore();
-  }
+// Where on screen the board's `square` is, for effects that start there
+function squareOrigin(square) {
+  const button = document.querySelector(
+    `#chess-board button[phx-value-square="${square}"]`
+  );
+  if (!button) return null;
+
+  const rect = button.getBoundingClientRect();
+  return {
+    x: rect.left + rect.width / 2,
+    y: rect.top + rect.height / 2,
+    size: rect.width,
+  };
 }
 
 // Hook into Phoenix LiveView
 export function initEndgameParticles() {
+  // From the EndgameCanvas hook, for as long as the overlay is shown
+  let overlayEffect = null;
   window.addEventListener("phx:endgame-overlay", (e) => {
-    const { type } = e.detail;
+    if (overlayEffect) stopEffect(overlayEffect);
+    overlayEffect = e.detail.effect;
+    playEffect(overlayEffect);
+  });
+  window.addEventListener("phx:dismiss-endgame-overlay", () => {
+    if (overlayEffect) stopEffect(overlayEffect);
+    overlayEffect = null;
+  });
 
-    // Remove existing canvas if any
-    const existingCanvas = document.getElementById("endgame-particles-canvas");
-    if (existingCanvas) {
-      existingCanvas.remove();
+  // push_event(socket, "particle-effect", %{effect: name}) from LiveView,
+  // with a `square` for effects that start on the board
+  window.addEventListener("phx:particle-effect", (e) => {
+    const { effect, square } = e.detail;
+    if (!square) {
+      playEffect(effect);
+      return;
     }
 
-    // Create new canvas
-    const canvas = document.createElement("canvas");
-    canvas.id = "endgame-particles-canvas";
-    canvas.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      pointer-events: none;
-      z-index: 59;
-    `;
-    document.body.appendChild(canvas);
-
-    // Start particle system
-    const system = new ParticleSystem(canvas, type);
-    system.start();
-
-    // Store system reference globally so we can access it
-    window.currentParticleSystem = system;
-
-    // Clean up when overlay is dismissed
-    const cleanup = () => {
-      // Stop spawning new particles immediately
-      system.stopSpawning();
-
-      // For tears, clear immediately
-      // For confetti, let them finish falling
-      if (type === "loss") {
-        // Tears: clear immediately
-        system.clear();
-        canvas.remove();
-        window.currentParticleSystem = null;
-      } else {
-        // Confetti: give time to fall off screen
-        setTimeout(() => {
-          system.clear();
-          canvas.remove();
-          window.currentParticleSystem = null;
-        }, 3000); // Give 3 seconds for particles to fall off screen
-      }
-
-      document.removeEventListener("phx:dismiss-endgame-overlay", cleanup);
-    };
-    document.addEventListener("phx:dismiss-endgame-overlay", cleanup);
+    const origin = squareOrigin(square);
+    if (origin) playEffect(effect, origin);
   });
 }
@@ -0,0 +1,91 @@
+/**
+ * One-off measurement of how fast Stockfish searches on this device.
+ *
+ * The first visit searches a fixed middlegame position for a moment and
+ * records the engine's nodes per second; later visits reuse the figure from
+ * localStorage until it is a month old or the engine build changed (e.g.
+ * the page became cross-origin isolated and loads the threaded build).
+ */
+
+import {
+  EngineError,
+  evaluatePosition,
+  getEngineBuild,
+  initStockfish,
+  setEngineSpeed,
+} from "./stockfish-client.js";
+
+const STORAGE_KEY = "live-chess:engine-benchmark";
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const BENCHMARK_MOVETIME_MS = 800;
+const BENCHMARK_CHANNEL = "benchmark";
+// A quiet middlegame with plenty of pieces, so the speed is representative
+const BENCHMARK_FEN =
+  "r1bq1rk1/pp2bppp/2n1pn2/3p4/2PP4/2N1PN2/PP2BPPP/R2QKB1R w KQ - 0 8";
+
+let benchmark = null;
+
+/**
+ * Resolve to the device's engine speed, measuring it on first use, and pass
+ * it on to the engine for search budgets. Concurrent callers share one run.
+ *
+ * @returns {Promise<object>} { nps, build, cached }
+ * @throws {EngineError} When the engine is unavailable or the search failed
+ */
+export function measureEngineSpeed() {
+  if (!benchmark) {
+    benchmark = runBenchmark().catch((err) => {
+      benchmark = null;
+      throw err;
+    });
+  }
+
+  return benchmark;
+}
+
+async function runBenchmark() {
+  await initStockfish();
+  const build = getEngineBuild();
+
+  const stored = readStored();
+  if (
+    stored &&
+    stored.build === build &&
+    Date.now() - stored.measuredAt < MAX_AGE_MS
+  ) {
+    setEngineSpeed(stored.nps);
+    return { nps: stored.nps, build, cached: true };
+  }
+
+  const evaluation = await evaluatePosition(BENCHMARK_FEN, {
+    movetime: BENCHMARK_MOVETIME_MS,
+    channel: BENCHMARK_CHANNEL,
+    cache: false,
+  });
+
+  if (!evaluation.nps) {
+    throw new EngineError("Benchmark search reported no speed", "crashed");
+  }
+
+  writeStored({ nps: evaluation.nps, build, measuredAt: Date.now() });
+  setEngineSpeed(evaluation.nps);
+  return { nps: evaluation.nps, build, cached: false };
+}
+
+// localStorage throws in some private browsing modes; measure again then
+function readStored() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && stored.nps > 0 ? stored : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+function writeStored(entry) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entry));
+  } catch (_err) {
+    // Not persisted; the next visit measures again
+  }
+}
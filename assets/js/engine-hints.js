@@ -0,0 +1,103 @@
+/**
+ * Hint and threat moves for the board overlay, found with the analysis engine
+ */
+
+import { ARROW_COLORS } from "./board-overlay.js";
+import { nullMove, toFen } from "./chess-rules.js";
+import { evaluatePosition } from "./stockfish-client.js";
+
+// Same depth and width as the eval bar, so its cached result usually answers
+const HINT_DEPTH = 12;
+
+/**
+ * Best move for the side to move, as { from, to, san } or null
+ */
+export async function findHint(fen) {
+  const evaluation = await evaluatePosition(fen, {
+    depth: HINT_DEPTH,
+    channel: "hint",
+  });
+  return moveOf(evaluation);
+}
+
+/**
+ * What the opponent would play if the side to move passed, as
+ * { from, to, san } or null. There is no threat to show while in check:
+ * passing is impossible and the check itself is the threat.
+ */
+export async function findThreat(fen) {
+  let passed;
+  try {
+    passed = toFen(nullMove(fen));
+  } catch (_err) {
+    return null;
+  }
+
+  const evaluation = await evaluatePosition(passed, {
+    depth: HINT_DEPTH,
+    channel: "threat",
+  });
+  return moveOf(evaluation);
+}
+
+function moveOf(evaluation) {
+  const move = evaluation.best_move;
+  return move ? { from: move.from, to: move.to, san: move.san } : null;
+}
+
+const FINDERS = { hint: findHint, threat: findThreat };
+
+/**
+ * The hint and threat arrows of a BoardOverlay's "engine" layer, shown and
+ * hidden by kind. `onError(kind, err)` hears of searches that failed.
+ */
+export class EngineArrows {
+  constructor(overlay, { onError, finders = FINDERS }) {
+    this.overlay = overlay;
+    this.onError = onError;
+    this.finders = finders;
+    this.arrows = new Map();
+    // Bumped per kind on every show, hide and clear, so a search that is
+    // still running when its arrow was withdrawn is discarded
+    this.requests = { hint: 0, threat: 0 };
+  }
+
+  async show(kind, fen) {
+    if (!this.finders[kind]) return;
+    const request = ++this.requests[kind];
+
+    try {
+      const move = await this.finders[kind](fen);
+      if (request !== this.requests[kind]) return;
+
+      if (move) {
+        this.arrows.set(kind, { ...move, color: ARROW_COLORS[kind] });
+      } else {
+        this.arrows.delete(kind);
+      }
+      this.render();
+    } catch (err) {
+      if (request !== this.requests[kind]) return;
+      if (err.code === "cancelled" || err.code === "superseded") return;
+      this.onError(kind, err);
+    }
+  }
+
+  hide(kind) {
+    this.requests[kind]++;
+    this.arrows.delete(kind);
+    this.render();
+  }
+
+  clear() {
+    Object.keys(this.requests).forEach((kind) => {
+      this.requests[kind]++;
+    });
+    this.arrows.clear();
+    this.overlay.clear("engine");
+  }
+
+  render() {
+    this.overlay.setArrows("engine", [...this.arrows.values()]);
+  }
+}
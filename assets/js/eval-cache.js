@@ -0,0 +1,223 @@
+/**
+ * Cache of finished engine evaluations: an in-memory LRU in front of
+ * IndexedDB, so a position revisited in the move history or opened again
+ * on the same device is not searched from scratch.
+ *
+ * Entries are keyed by normalized FEN and remember the depth and MultiPV
+ * width they were searched with; an entry at least as deep and as wide as
+ * a request satisfies it. IndexedDB is best effort: when it is unavailable
+ * (private browsing, blocked storage) only the memory layer is used.
+ */
+
+import { normalizeFen } from "./chess-rules.js";
+
+const DB_NAME = "live-chess";
+const DB_VERSION = 1;
+const STORE_NAME = "evaluations";
+// Counting the store on every write is wasteful; prune every N writes
+const PRUNE_EVERY_WRITES = 50;
+
+const DEFAULT_LIMITS = Object.freeze({
+  memoryEntries: 500,
+  persistentEntries: 5000,
+});
+
+let limits = { ...DEFAULT_LIMITS };
+// Map iteration order doubles as recency order: oldest first
+const memory = new Map();
+let database = null;
+let writesSincePrune = 0;
+
+/**
+ * Look up an evaluation searched at least `depth` plies deep with at least
+ * `multiPv` lines. Resolves to the evaluation with `source: "cache"` and
+ * `cache_layer` ("memory" or "indexeddb"), or null on a miss.
+ */
+export async function getCachedEvaluation(fen, { depth, multiPv = 1 }) {
+  const key = normalizeFen(fen);
+  let layer = "memory";
+  let entry = memory.get(key);
+
+  // A deeper entry may survive in IndexedDB after memory evicted it
+  if (!entry || !satisfies(entry, depth, multiPv)) {
+    const stored = await readPersistent(key);
+    if (stored && (!entry || supersedes(stored, entry))) {
+      entry = stored;
+      layer = "indexeddb";
+    }
+  }
+
+  if (!entry) return null;
+  remember(entry);
+  if (!satisfies(entry, depth, multiPv)) return null;
+
+  return {
+    ...entry.evaluation,
+    lines: (entry.evaluation.lines || []).slice(0, multiPv),
+    source: "cache",
+    cache_layer: layer,
+  };
+}
+
+/**
+ * Store a finished evaluation unless a deeper or wider one is already known
+ */
+export function cacheEvaluation(fen, { depth, multiPv = 1 }, evaluation) {
+  const key = normalizeFen(fen);
+  const existing = memory.get(key);
+  const entry = { key, depth, multiPv, evaluation, storedAt: Date.now() };
+
+  if (existing && !supersedes(entry, existing)) return;
+
+  remember(entry);
+  writePersistent(entry);
+}
+
+/**
+ * Drop every cached evaluation from memory and IndexedDB
+ */
+export async function clearEvaluationCache() {
+  memory.clear();
+
+  const db = await openDatabase();
+  if (!db) return;
+
+  try {
+    const transaction = db.transaction(STORE_NAME, "readwrite");
+    transaction.objectStore(STORE_NAME).clear();
+    await transactionDone(transaction);
+  } catch (error) {
+    console.warn("Failed to clear evaluation cache:", error);
+  }
+}
+
+/**
+ * Change the size limits ({ memoryEntries, persistentEntries }); the memory
+ * layer shrinks immediately, IndexedDB on its next prune.
+ */
+export function configureEvaluationCache(options = {}) {
+  limits = { ...limits, ...options };
+  trimMemory();
+}
+
+function satisfies(entry, depth, multiPv) {
+  return entry.depth >= depth && entry.multiPv >= multiPv;
+}
+
+function supersedes(entry, existing) {
+  return entry.depth >= existing.depth && entry.multiPv >= existing.multiPv;
+}
+
+function remember(entry) {
+  memory.delete(entry.key);
+  memory.set(entry.key, entry);
+  trimMemory();
+}
+
+function trimMemory() {
+  while (memory.size > limits.memoryEntries) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+// IndexedDB layer
+
+function openDatabase() {
+  if (!database) {
+    database = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, {
+          keyPath: "key",
+        });
+        store.createIndex("storedAt", "storedAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    });
+  }
+
+  return database;
+}
+
+async function readPersistent(key) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  try {
+    const store = db.transaction(STORE_NAME).objectStore(STORE_NAME);
+    return (await requestResult(store.get(key))) || null;
+  } catch (error) {
+    console.warn("Failed to read evaluation cache:", error);
+    return null;
+  }
+}
+
+// Read and write in one transaction so a shallower result never replaces a
+// deeper one that only survives in IndexedDB
+async function writePersistent(entry) {
+  const db = await openDatabase();
+  if (!db) return;
+
+  try {
+    const transaction = db.transaction(STORE_NAME, "readwrite");
+    const store = transaction.objectStore(STORE_NAME);
+    const existing = await requestResult(store.get(entry.key));
+
+    if (!existing || supersedes(entry, existing)) store.put(entry);
+    await transactionDone(transaction);
+  } catch (error) {
+    console.warn("Failed to write evaluation cache:", error);
+    return;
+  }
+
+  writesSincePrune++;
+  if (writesSincePrune >= PRUNE_EVERY_WRITES) {
+    writesSincePrune = 0;
+    prunePersistent(db);
+  }
+}
+
+// Delete the oldest entries beyond the persistent limit
+async function prunePersistent(db) {
+  try {
+    const transaction = db.transaction(STORE_NAME, "readwrite");
+    const store = transaction.objectStore(STORE_NAME);
+    let excess =
+      (await requestResult(store.count())) - limits.persistentEntries;
+
+    if (excess > 0) {
+      const cursors = store.index("storedAt").openCursor();
+      cursors.onsuccess = () => {
+        const cursor = cursors.result;
+        if (!cursor || excess <= 0) return;
+
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    }
+
+    await transactionDone(transaction);
+  } catch (error) {
+    console.warn("Failed to prune evaluation cache:", error);
+  }
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,201 @@
+/**
+ * Post-mortem analysis of a finished game on top of the client-side engine
+ */
+
+import {
+  gameStatus,
+  legalMoves,
+  makeMove,
+  parseFen,
+  toFen,
+} from "./chess-rules.js";
+import {
+  EngineError,
+  evaluatePosition,
+  stopEvaluation,
+} from "./stockfish-client.js";
+
+const ANALYSIS_CHANNEL = "postmortem";
+const DEFAULT_DEPTH = 12;
+const POSITION_TIMEOUT_MS = 15000;
+
+// Win-percentage points a move may give away before it is tagged, checked
+// from the most severe down
+const CLASSIFICATION_THRESHOLDS = [
+  { name: "blunder", loss: 30 },
+  { name: "mistake", loss: 20 },
+  { name: "inaccuracy", loss: 10 },
+];
+
+const CLASSIFICATIONS = ["best", "good", "inaccuracy", "mistake", "blunder"];
+
+let currentRun = null;
+
+/**
+ * Evaluate every position of a game and classify each move by how much
+ * winning chance it gave away.
+ *
+ * Only one analysis runs at a time; starting another cancels the previous
+ * one, as does cancelGameAnalysis().
+ *
+ * @param {string[]} fens - Initial position followed by the position after
+ *   every ply
+ * @param {object} options - { depth, onProgress({ done, total }) }
+ * @returns {Promise<object>} { moves, players } where `moves` holds one
+ *   entry per ply and `players` the accuracy and tallies per colour
+ * @throws {EngineError} With code "cancelled" when the analysis is cancelled,
+ *   or whatever evaluatePosition raised
+ */
+export async function analyzeGame(fens, options = {}) {
+  cancelGameAnalysis();
+
+  const run = { cancelled: false };
+  currentRun = run;
+
+  const depth = options.depth || DEFAULT_DEPTH;
+  const scores = [];
+
+  try {
+    for (const fen of fens) {
+      if (run.cancelled) {
+        throw new EngineError("Game analysis cancelled", "cancelled");
+      }
+
+      scores.push(await evaluateTimelinePosition(fen, depth));
+
+      if (options.onProgress) {
+        options.onProgress({ done: scores.length, total: fens.length });
+      }
+    }
+  } finally {
+    if (currentRun === run) currentRun = null;
+  }
+
+  return summarize(fens, scores);
+}
+
+/**
+ * Stop the running analysis, if any. Its promise rejects with "cancelled".
+ */
+export function cancelGameAnalysis() {
+  if (!currentRun) return;
+
+  currentRun.cancelled = true;
+  currentRun = null;
+  stopEvaluation(ANALYSIS_CHANNEL);
+}
+
+// Final positions need no engine: the rules already know the result
+async function evaluateTimelinePosition(fen, depth) {
+  const status = gameStatus(fen);
+
+  if (status === "checkmate") {
+    const whiteMated = fen.split(" ")[1] === "w";
+    return { scoreCp: whiteMated ? -10000 : 10000, bestMove: null };
+  }
+  if (status === "stalemate") return { scoreCp: 0, bestMove: null };
+
+  const evaluation = await evaluatePosition(fen, {
+    depth,
+    channel: ANALYSIS_CHANNEL,
+    timeout: POSITION_TIMEOUT_MS,
+  });
+
+  return { scoreCp: evaluation.score_cp, bestMove: evaluation.best_move };
+}
+
+/**
+ * Classify every move of a game from the scores of its positions. `scores`
+ * has one { scoreCp, bestMove } per entry of `fens`, scoreCp from White's
+ * perspective. Returns the same { moves, players } as analyzeGame().
+ */
+export function summarize(fens, scores) {
+  const moves = [];
+
+  for (let i = 0; i + 1 < fens.length; i++) {
+    const color = fens[i].split(" ")[1] === "b" ? "black" : "white";
+    const played = playedMove(fens[i], fens[i + 1]);
+
+    // Both scores are from White's perspective; turn them into the mover's
+    const sign = color === "white" ? 1 : -1;
+    const before = winPercentage(sign * scores[i].scoreCp);
+    const after = winPercentage(sign * scores[i + 1].scoreCp);
+    const loss = Math.max(0, before - after);
+    const bestMove = scores[i].bestMove;
+
+    moves.push({
+      ply: i + 1,
+      color,
+      uci: played ? played.uci : null,
+      san: played ? played.san : null,
+      classification: played
+        ? classify(loss, bestMove && bestMove.uci === played.uci)
+        : null,
+      loss: parseFloat(loss.toFixed(1)),
+      accuracy: parseFloat(moveAccuracy(loss).toFixed(1)),
+      score_cp: scores[i + 1].scoreCp,
+      best_move: bestMove ? bestMove.san || bestMove.uci : null,
+    });
+  }
+
+  return {
+    moves,
+    players: {
+      white: playerSummary(moves.filter((move) => move.color === "white")),
+      black: playerSummary(moves.filter((move) => move.color === "black")),
+    },
+  };
+}
+
+// The server's FENs and ours may disagree on en passant and move counters,
+// so the move is identified by the piece placement it leads to
+function playedMove(beforeFen, afterFen) {
+  const position = parseFen(beforeFen);
+  const placement = afterFen.split(" ")[0];
+
+  return (
+    legalMoves(position).find(
+      (move) => toFen(makeMove(position, move.uci)).split(" ")[0] === placement
+    ) || null
+  );
+}
+
+export function classify(loss, isBestMove) {
+  if (isBestMove) return "best";
+
+  const threshold = CLASSIFICATION_THRESHOLDS.find(
+    ({ loss: min }) => loss >= min
+  );
+  return threshold ? threshold.name : "good";
+}
+
+function playerSummary(moves) {
+  const classified = moves.filter((move) => move.classification);
+  const summary = { accuracy: null };
+
+  CLASSIFICATIONS.forEach((name) => {
+    summary[name] = classified.filter(
+      (move) => move.classification === name
+    ).length;
+  });
+
+  if (classified.length > 0) {
+    const total = classified.reduce((sum, move) => sum + move.accuracy, 0);
+    summary.accuracy = parseFloat((total / classified.length).toFixed(1));
+  }
+
+  return summary;
+}
+
+// Expected score in percent for a centipawn score, using the curve lichess
+// fitted to rated games so accuracies are comparable with theirs
+export function winPercentage(cp) {
+  const capped = Math.max(-1000, Math.min(1000, cp));
+  return 100 / (1 + Math.exp(-0.00368208 * capped));
+}
+
+// Accuracy in percent of a move that gave away `loss` win-percentage points
+export function moveAccuracy(loss) {
+  const accuracy = 103.1668 * Math.exp(-0.04354 * loss) - 3.1669;
+  return Math.max(0, Math.min(100, accuracy));
+}
@@ -0,0 +1,205 @@
+/**
+ * Haptic feedback by name, scaled by the player's intensity setting.
+ *
+ * There are two backends, picked by feature detection rather than the user
+ * agent: the Vibration API, and on iOS, which has none, toggling a hidden
+ * `<input type="checkbox" switch>` (Safari 18) through its label, which
+ * ticks the Taptic Engine. The switch only ticks inside a real user gesture,
+ * so requests made during one are queued and played as the gesture's event
+ * finishes dispatching, strongest pattern first. Outside a gesture the
+ * Vibration API plays right away and the switch skips the request.
+ */
+
+import { choiceSetting } from "./settings-storage.js";
+
+const GESTURE_EVENTS = [
+  "pointerdown",
+  "pointerup",
+  "click",
+  "keydown",
+  "submit",
+];
+
+// Milliseconds on, off, on, ... as for navigator.vibrate
+export const HAPTIC_PATTERNS = Object.freeze({
+  move: [40],
+  capture: [60, 40, 40],
+  check: [90, 50, 90],
+  your_turn: [80],
+  low_time: [80, 60, 80],
+  low_time_urgent: [80, 60, 80, 60, 80],
+  game_over: [120, 80, 120, 80, 240],
+  join: [60, 40, 60],
+});
+
+// How much longer each pulse lasts, by the setting's name
+export const HAPTIC_INTENSITIES = Object.freeze({
+  off: 0,
+  light: 0.6,
+  normal: 1,
+  strong: 1.6,
+});
+export const DEFAULT_HAPTIC_INTENSITY = "normal";
+
+const intensitySetting = choiceSetting(
+  "live-chess:haptics",
+  HAPTIC_INTENSITIES,
+  DEFAULT_HAPTIC_INTENSITY
+);
+
+export function hapticIntensity(storage) {
+  return intensitySetting.load(storage);
+}
+
+export function setHapticIntensity(intensity, storage) {
+  intensitySetting.save(intensity, storage);
+}
+
+/**
+ * Stretch the pulses of `pattern` by `scale`, leaving the pauses alone
+ */
+export function scalePattern(pattern, scale) {
+  return pattern.map((ms, index) =>
+    index % 2 === 0 ? Math.max(1, Math.round(ms * scale)) : ms
+  );
+}
+
+/**
+ * "vibrate", "switch" or null when the device has no way to give feedback
+ */
+export function detectHapticBackend(env = globalThis) {
+  const nav = env.navigator;
+  if (!nav) return null;
+  if (typeof nav.vibrate === "function") return "vibrate";
+
+  // Desktop Safari has switches too, but nothing to feel them with
+  const Input = env.HTMLInputElement;
+  if (Input && "switch" in Input.prototype && nav.maxTouchPoints > 0) {
+    return "switch";
+  }
+  return null;
+}
+
+export class HapticQueue {
+  /**
+   * @param {Window} env - Where gestures are listened for
+   * @param {object} options - { backend, output } to override detection
+   *   and the device output { vibrate(pattern), tick() }
+   */
+  constructor(
+    env,
+    { backend = detectHapticBackend(env), output = deviceOutput(env) } = {}
+  ) {
+    this.env = env;
+    this.backend = backend;
+    this.output = output;
+    this.pending = [];
+    this.inGesture = false;
+
+    this.handleGestureStart = () => {
+      this.inGesture = true;
+      // The event may never reach the window again if propagation stops
+      clearTimeout(this.gestureTimer);
+      this.gestureTimer = setTimeout(() => this.endGesture(false), 0);
+    };
+    this.handleGestureEnd = () => this.endGesture(true);
+
+    GESTURE_EVENTS.forEach((type) => {
+      env.addEventListener(type, this.handleGestureStart, true);
+      env.addEventListener(type, this.handleGestureEnd);
+    });
+  }
+
+  get supported() {
+    return this.backend !== null;
+  }
+
+  play(name, intensity = hapticIntensity()) {
+    const pattern = HAPTIC_PATTERNS[name];
+    const scale = HAPTIC_INTENSITIES[intensity];
+    if (!pattern || !scale || !this.supported) return;
+
+    const scaled = scalePattern(pattern, scale);
+    if (this.inGesture) {
+      this.pending.push(scaled);
+    } else if (this.backend === "vibrate") {
+      this.output.vibrate(scaled);
+    }
+  }
+
+  endGesture(dispatched) {
+    clearTimeout(this.gestureTimer);
+    this.inGesture = false;
+
+    const pattern = strongest(this.pending);
+    this.pending = [];
+    if (!pattern) return;
+
+    if (this.backend === "vibrate") {
+      this.output.vibrate(pattern);
+    } else if (dispatched) {
+      this.output.tick();
+    }
+  }
+
+  destroy() {
+    clearTimeout(this.gestureTimer);
+    GESTURE_EVENTS.forEach((type) => {
+      this.env.removeEventListener(type, this.handleGestureStart, true);
+      this.env.removeEventListener(type, this.handleGestureEnd);
+    });
+  }
+}
+
+// The pattern with the most time on
+function strongest(patterns) {
+  const onTime = (pattern) =>
+    pattern.reduce((sum, ms, index) => (index % 2 === 0 ? sum + ms : sum), 0);
+
+  return patterns.reduce(
+    (best, pattern) =>
+      !best || onTime(pattern) > onTime(best) ? pattern : best,
+    null
+  );
+}
+
+function deviceOutput(env) {
+  let label = null;
+
+  return {
+    vibrate(pattern) {
+      const nav = env.navigator;
+      // Chrome refuses, noisily, before the page has had any user input
+      if (nav.userActivation && !nav.userActivation.hasBeenActive) return;
+      try {
+        nav.vibrate(pattern);
+      } catch (error) {
+        console.debug("Vibration failed:", error);
+      }
+    },
+    // Based on https://github.com/posaune0423/use-haptic
+    tick() {
+      try {
+        if (!label) label = createSwitch(env.document);
+        label.click();
+      } catch (error) {
+        console.debug("iOS haptic failed:", error);
+      }
+    },
+  };
+}
+
+function createSwitch(document) {
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.id = "haptic-switch";
+  input.setAttribute("switch", "");
+  input.style.cssText = "display: none;";
+
+  const label = document.createElement("label");
+  label.htmlFor = "haptic-switch";
+  label.style.cssText = "display: none;";
+
+  document.body.append(input, label);
+  return label;
+}
@@ -0,0 +1,58 @@
+/**
+ * Typed moves: SAN ("Nf3", "exd5", "O-O") or UCI ("e2e4", "e7e8q"),
+ * resolved against the legal moves of the current position.
+ */
+
+import { findMove, legalMoves } from "./chess-rules.js";
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * The legal move meant by `text`, as returned by findMove(), or null
+ */
+export function parseTypedMove(fen, text) {
+  const input = normalizeTypedMove(text);
+  if (!input) return null;
+
+  try {
+    return findMove(fen, input);
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Legal moves whose SAN or UCI starts with `text`, SAN matches first
+ */
+export function moveSuggestions(fen, text, limit = MAX_SUGGESTIONS) {
+  let moves;
+  try {
+    moves = legalMoves(fen);
+  } catch (_err) {
+    return [];
+  }
+
+  const input = normalizeTypedMove(text);
+  const bySan = moves.filter((move) => move.san.startsWith(input));
+  const byUci = moves.filter(
+    (move) => !bySan.includes(move) && move.uci.startsWith(input.toLowerCase())
+  );
+
+  return [...bySan, ...byUci].slice(0, limit);
+}
+
+// Forgive what people type out of habit: move numbers, lowercase
+// castling, uppercase squares
+function normalizeTypedMove(text) {
+  const input = String(text || "")
+    .trim()
+    .replace(/^\d+\.+\s*/, "");
+
+  if (/^[oO0]-[oO0](-[oO0])?[+#]?$/.test(input)) {
+    return input.replace(/[o0]/g, "O");
+  }
+  if (/^[a-h][1-8][a-h][1-8][qrbn]?$/i.test(input)) {
+    return input.toLowerCase();
+  }
+  return input;
+}
@@ -0,0 +1,221 @@
+/**
+ * Polyglot opening book and ECO opening names, both looked up by the
+ * Polyglot Zobrist key of a position.
+ *
+ * The book is a standard Polyglot `.bin` file: 16-byte big-endian entries
+ * (key, move, weight, learn) sorted by key. Names come from a JSON map of
+ * hex key to [eco, name]. Both are static assets fetched on first use; if
+ * either fails to load the lookups simply find nothing.
+ */
+
+import { findMove, parseFen } from "./chess-rules.js";
+import { POLYGLOT_RANDOM64 } from "./polyglot-keys.js";
+
+const ENTRY_SIZE = 16;
+const CASTLING_OFFSET = 768;
+const EN_PASSANT_OFFSET = 772;
+const TURN_OFFSET = 780;
+const CASTLING_KEYS = { K: 0, Q: 1, k: 2, q: 3 };
+const PIECE_KINDS = "pPnNbBrRqQkK";
+const PROMOTION_PIECES = [null, "n", "b", "r", "q"];
+// Polyglot writes castling as the king capturing its own rook
+const CASTLING_MOVES = {
+  e1h1: "e1g1",
+  e1a1: "e1c1",
+  e8h8: "e8g8",
+  e8a8: "e8c8",
+};
+
+let bookPath = null;
+let namesPath = null;
+let bookData = null;
+let openingNames = null;
+
+/**
+ * Remember where the book and the opening names are served from
+ *
+ * @param {object} paths - { bookPath, namesPath }
+ */
+export function initOpeningBook(paths = {}) {
+  bookPath = paths.bookPath || null;
+  namesPath = paths.namesPath || null;
+  bookData = null;
+  openingNames = null;
+}
+
+/**
+ * Polyglot Zobrist key of a position as an unsigned 64-bit BigInt
+ */
+export function polyglotKey(positionOrFen) {
+  const position =
+    typeof positionOrFen === "string" ? parseFen(positionOrFen) : positionOrFen;
+  const { board, turn } = position;
+  let key = 0n;
+
+  for (let square = 0; square < 128; square++) {
+    if (square & 0x88) {
+      square += 7;
+      continue;
+    }
+
+    const piece = board[square];
+    if (!piece) continue;
+
+    const row = square >> 4;
+    const file = square & 7;
+    key ^= POLYGLOT_RANDOM64[64 * PIECE_KINDS.indexOf(piece) + 8 * row + file];
+  }
+
+  for (const right of position.castling) {
+    key ^= POLYGLOT_RANDOM64[CASTLING_OFFSET + CASTLING_KEYS[right]];
+  }
+
+  // The en passant file only counts when a pawn could capture there,
+  // whether or not that capture is legal
+  if (position.ep !== -1) {
+    const pawn = turn === "w" ? "P" : "p";
+    const behind = position.ep + (turn === "w" ? -16 : 16);
+    const capturers = [behind - 1, behind + 1].filter(
+      (square) => !(square & 0x88) && board[square] === pawn
+    );
+    if (capturers.length > 0) {
+      key ^= POLYGLOT_RANDOM64[EN_PASSANT_OFFSET + (position.ep & 7)];
+    }
+  }
+
+  if (turn === "w") key ^= POLYGLOT_RANDOM64[TURN_OFFSET];
+
+  return key;
+}
+
+/**
+ * Legal book moves for a position as [{ uci, san, weight }], best first
+ */
+export async function bookMoves(fen) {
+  const data = await loadBook();
+  if (!data) return [];
+
+  const position = parseFen(fen);
+  const key = polyglotKey(position);
+  const moves = [];
+
+  for (let index = firstEntry(data, key); index < entryCount(data); index++) {
+    const offset = index * ENTRY_SIZE;
+    if (data.getBigUint64(offset) !== key) break;
+
+    const weight = data.getUint16(offset + 10);
+    const encoded = data.getUint16(offset + 8);
+    const move = findMove(position, decodeMove(position, encoded));
+    if (move && weight > 0) {
+      moves.push({ uci: move.uci, san: move.san, weight });
+    }
+  }
+
+  return moves.sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Pick a book move at random, weighted by the book's weights, or null once
+ * the position has left the book
+ */
+export async function pickBookMove(fen) {
+  const moves = await bookMoves(fen);
+  if (moves.length === 0) return null;
+
+  const total = moves.reduce((sum, move) => sum + move.weight, 0);
+  let roll = Math.random() * total;
+
+  for (const move of moves) {
+    roll -= move.weight;
+    if (roll <= 0) return move;
+  }
+
+  return moves[0];
+}
+
+/**
+ * Name the opening of a game from its positions, oldest first: the deepest
+ * named position wins, so the name stays put once the game leaves theory.
+ *
+ * @returns {Promise<object|null>} { eco, name } or null
+ */
+export async function identifyOpening(fens) {
+  const names = await loadNames();
+  if (!names) return null;
+
+  for (let i = fens.length - 1; i >= 0; i--) {
+    const entry = names[polyglotKey(fens[i]).toString(16).padStart(16, "0")];
+    if (entry) return { eco: entry[0], name: entry[1] };
+  }
+
+  return null;
+}
+
+function loadBook() {
+  if (!bookData) {
+    bookData = fetchAsset(bookPath, (response) => response.arrayBuffer()).then(
+      (buffer) => (buffer ? new DataView(buffer) : null)
+    );
+  }
+  return bookData;
+}
+
+function loadNames() {
+  if (!openingNames) {
+    openingNames = fetchAsset(namesPath, (response) => response.json());
+  }
+  return openingNames;
+}
+
+async function fetchAsset(path, read) {
+  if (!path) return null;
+
+  try {
+    const response = await fetch(path);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await read(response);
+  } catch (error) {
+    console.warn(`Failed to load ${path}:`, error);
+    return null;
+  }
+}
+
+function entryCount(data) {
+  return Math.floor(data.byteLength / ENTRY_SIZE);
+}
+
+// Binary search for the first entry whose key is not below `key`
+function firstEntry(data, key) {
+  let low = 0;
+  let high = entryCount(data);
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (data.getBigUint64(middle * ENTRY_SIZE) < key) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+// Move bits: to file 0-2, to row 3-5, from file 6-8, from row 9-11,
+// promotion piece 12-14
+function decodeMove(position, encoded) {
+  const square = (bits) =>
+    "abcdefgh"[bits & 7] + (((bits >> 3) & 7) + 1).toString();
+  const uci = square(encoded >> 6) + square(encoded);
+  const promotion = PROMOTION_PIECES[(encoded >> 12) & 7] || null;
+
+  const fromIndex = ((encoded >> 9) & 7) * 16 + ((encoded >> 6) & 7);
+  const kingMove = (position.board[fromIndex] || "").toLowerCase() === "k";
+  const move = (kingMove && CASTLING_MOVES[uci]) || uci;
+
+  return {
+    from: move.substring(0, 2),
+    to: move.substring(2, 4),
+    promotion,
+  };
+}
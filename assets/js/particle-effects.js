@@ -0,0 +1,368 @@
+/**
+ * Registry of particle effects for the canvas particle system.
+ *
+ * An effect is a set of plain functions over plain particle objects, so the
+ * renderer can run any of them by name, on the main thread or in a worker:
+ *
+ *   registerEffect("snow", {
+ *     count: 80,          // particles alive at once, at full quality
+ *     lifetime: 4000,     // ms to keep replacing finished particles;
+ *                         // Infinity until stopped, 0 for a single burst
+ *     linger: 3000,       // ms left particles may run on once stopped
+ *     spawn(particle, area, options, initial) { particle.x = ...; ... },
+ *     update(particle, dt, area) { ...; return stillAlive },
+ *     draw(ctx, particle) { ... },
+ *   });
+ *
+ * Particle objects are pooled, so `spawn` gets a recycled one and must set
+ * every field it uses. `area` is { width, height } of the canvas in CSS
+ * pixels, `options` whatever was passed to play the effect (e.g. the
+ * { x, y } of a capture) and `initial` is true for the first batch, which
+ * may stagger itself with a `delay` in ms. `dt` is the time since the last
+ * frame in seconds, so speeds below are in pixels per second.
+ *
+ * Only effects registered in this module exist in the worker; others play
+ * on the main thread.
+ */
+
+const effects = new Map();
+
+export function registerEffect(
+  name,
+  { spawn, update, draw, lifetime = 0, count = 1, linger = 0 }
+) {
+  if (![spawn, update, draw].every((fn) => typeof fn === "function")) {
+    throw new TypeError(`Effect ${name} needs spawn, update and draw`);
+  }
+  effects.set(name, { name, spawn, update, draw, lifetime, count, linger });
+}
+
+export function getEffect(name) {
+  return effects.get(name) || null;
+}
+
+export function effectNames() {
+  return Array.from(effects.keys());
+}
+
+const random = (min, max) => min + Math.random() * (max - min);
+const pick = (items) => items[Math.floor(Math.random() * items.length)];
+
+const CONFETTI_COLORS = [
+  "#facc15",
+  "#f97316",
+  "#f472b6",
+  "#38bdf8",
+  "#34d399",
+  "#a855f7",
+  "#22d3ee",
+  "#ef4444",
+  "#14b8a6",
+  "#f87171",
+  "#60a5fa",
+  "#c084fc",
+  "#fde047",
+  "#fb7185",
+  "#fca5a5",
+  "#10b981",
+  "#8b5cf6",
+  "#06b6d4",
+  "#f59e0b",
+  "#ec4899",
+];
+
+// Falls for five seconds, then lets the last pieces land
+registerEffect("confetti", {
+  count: 120,
+  lifetime: 5000,
+  linger: 3000,
+  spawn(particle, area, _options, initial) {
+    particle.x = Math.random() * area.width;
+    particle.y = initial
+      ? -20 - Math.random() * 200
+      : -20 - Math.random() * 100;
+    particle.width = 8 + Math.random() * 8;
+    particle.height = 12 + Math.random() * 12;
+    particle.color = pick(CONFETTI_COLORS);
+    particle.rotation = Math.random() * 360;
+    particle.rotationSpeed = random(-180, 180);
+    particle.velocityY = random(120, 270);
+    particle.velocityX = random(-45, 45);
+    particle.drift = Math.sin(Math.random() * Math.PI * 2) * 24;
+    particle.opacity = 1;
+    particle.delay = initial ? Math.random() * 2000 : 0;
+  },
+  update(particle, dt, area) {
+    particle.velocityY += 360 * dt;
+    particle.y += particle.velocityY * dt;
+    particle.x +=
+      (particle.velocityX + Math.sin(particle.y * 0.01) * particle.drift) * dt;
+    particle.rotation += particle.rotationSpeed * dt;
+
+    // Keep opacity high throughout
+    if (particle.y > area.height - 200) {
+      particle.opacity = Math.max(0.3, particle.opacity - 0.3 * dt);
+    }
+    return particle.y <= area.height + 50;
+  },
+  draw(ctx, particle) {
+    ctx.save();
+    ctx.translate(particle.x, particle.y);
+    ctx.rotate((particle.rotation * Math.PI) / 180);
+    ctx.globalAlpha = Math.max(0.3, particle.opacity);
+
+    ctx.fillStyle = particle.color;
+    ctx.fillRect(
+      -particle.width / 2,
+      -particle.height / 2,
+      particle.width,
+      particle.height
+    );
+
+    // Simple highlight (no gradient)
+    ctx.fillStyle = "rgba(255, 255, 255, 0.4)";
+    ctx.fillRect(
+      -particle.width / 2,
+      -particle.height / 2,
+      particle.width,
+      particle.height / 4
+    );
+
+    ctx.restore();
+  },
+});
+
+// Keeps falling until the overlay is dismissed
+registerEffect("tears", {
+  count: 150,
+  lifetime: Infinity,
+  spawn(particle, area, _options, initial) {
+    const size = 8 + Math.random() * 10;
+    particle.x = Math.random() * area.width;
+    particle.y = -20 - Math.random() * 200;
+    particle.width = size;
+    particle.height = size * 2;
+    particle.velocityY = random(150, 330);
+    particle.velocityX = random(-18, 18);
+    particle.wobble = Math.random() * Math.PI * 2;
+    particle.wobbleSpeed = random(3.6, 6.6);
+    particle.opacity = 0.75 + Math.random() * 0.25;
+    particle.shimmer = Math.random() * Math.PI * 2;
+    particle.delay = initial ? Math.random() * 2000 : 0;
+  },
+  update(particle, dt, area) {
+    particle.y += particle.velocityY * dt;
+    particle.wobble += particle.wobbleSpeed * dt;
+    particle.shimmer += 4.8 * dt;
+    particle.x += (Math.sin(particle.wobble) * 30 + particle.velocityX) * dt;
+    return particle.y <= area.height + 50;
+  },
+  draw(ctx, particle) {
+    ctx.save();
+    ctx.globalAlpha = particle.opacity;
+
+    const shimmerAmount = Math.sin(particle.shimmer) * 0.15 + 0.85;
+
+    // Teardrop: circle on top, triangle on bottom
+    ctx.beginPath();
+    const circleY = particle.y + particle.width * 0.5;
+    ctx.arc(particle.x, circleY, particle.width * 0.5, 0, Math.PI * 2);
+    ctx.moveTo(particle.x - particle.width * 0.5, circleY);
+    ctx.lineTo(particle.x, particle.y + particle.height);
+    ctx.lineTo(particle.x + particle.width * 0.5, circleY);
+    ctx.closePath();
+
+    const gradient = ctx.createLinearGradient(
+      particle.x,
+      particle.y,
+      particle.x,
+      particle.y + particle.height
+    );
+    gradient.addColorStop(0, `rgba(191, 219, 254, ${shimmerAmount})`);
+    gradient.addColorStop(1, `rgba(96, 165, 250, ${shimmerAmount * 0.8})`);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+
+    // Simple white highlight (no shadow)
+    ctx.beginPath();
+    ctx.arc(
+      particle.x - particle.width * 0.2,
+      circleY - particle.width * 0.15,
+      particle.width * 0.25,
+      0,
+      Math.PI * 2
+    );
+    ctx.fillStyle = `rgba(255, 255, 255, ${shimmerAmount * 0.5})`;
+    ctx.fill();
+
+    ctx.restore();
+  },
+});
+
+const FIREWORK_SPARKS = 48;
+
+// Shells rise from the bottom and burst into sparks; each particle is one
+// shell, sparks included, so a burst needs no new particles and a recycled
+// shell reuses its sparks
+registerEffect("fireworks", {
+  count: 7,
+  lifetime: 5000,
+  linger: 2500,
+  spawn(shell, area, _options, initial) {
+    shell.x = random(area.width * 0.15, area.width * 0.85);
+    shell.y = area.height + 10;
+    shell.velocityY = -random(540, 780);
+    shell.apex = random(area.height * 0.15, area.height * 0.45);
+    shell.color = pick(CONFETTI_COLORS);
+    shell.exploded = false;
+    shell.sparks = shell.sparks || [];
+    shell.delay = initial ? Math.random() * 1500 : Math.random() * 600;
+  },
+  update(shell, dt) {
+    if (!shell.exploded) {
+      shell.y += shell.velocityY * dt;
+      shell.velocityY += 432 * dt;
+      if (shell.y <= shell.apex || shell.velocityY >= 0) explode(shell);
+      return true;
+    }
+
+    const damping = Math.pow(0.3, dt);
+    let alive = false;
+    for (const spark of shell.sparks) {
+      if (spark.life <= 0) continue;
+      spark.velocityY += 180 * dt;
+      spark.velocityX *= damping;
+      spark.velocityY *= damping;
+      spark.x += spark.velocityX * dt;
+      spark.y += spark.velocityY * dt;
+      spark.life -= dt;
+      alive = true;
+    }
+    return alive;
+  },
+  draw(ctx, shell) {
+    ctx.save();
+    ctx.fillStyle = shell.color;
+
+    if (!shell.exploded) {
+      ctx.globalAlpha = 0.9;
+      ctx.fillRect(shell.x - 1.5, shell.y - 6, 3, 12);
+    } else {
+      for (const spark of shell.sparks) {
+        if (spark.life <= 0) continue;
+        ctx.globalAlpha = spark.life / spark.maxLife;
+        ctx.beginPath();
+        ctx.arc(spark.x, spark.y, spark.size, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    ctx.restore();
+  },
+});
+
+function explode(shell) {
+  shell.exploded = true;
+  for (let index = 0; index < FIREWORK_SPARKS; index++) {
+    const spark = shell.sparks[index] || (shell.sparks[index] = {});
+    const angle = (index / FIREWORK_SPARKS) * Math.PI * 2 + Math.random() * 0.2;
+    const speed = random(120, 300);
+    spark.x = shell.x;
+    spark.y = shell.y;
+    spark.velocityX = Math.cos(angle) * speed;
+    spark.velocityY = Math.sin(angle) * speed;
+    spark.size = random(1.5, 3);
+    spark.life = random(0.75, 1.15);
+    spark.maxLife = spark.life;
+  }
+}
+
+const HANDSHAKE_COLORS = ["#94a3b8", "#cbd5e1", "#fcd34d", "#e2e8f0"];
+
+// Neither side won: a few handshakes and soft dots drift up and fade
+registerEffect("handshake", {
+  count: 36,
+  lifetime: 3000,
+  linger: 3000,
+  spawn(particle, area, _options, initial) {
+    particle.glyph = Math.random() < 0.25;
+    particle.x = Math.random() * area.width;
+    particle.y = area.height + random(10, 60);
+    particle.velocityY = -random(48, 108);
+    particle.sway = Math.random() * Math.PI * 2;
+    particle.size = particle.glyph ? random(22, 34) : random(4, 9);
+    particle.color = pick(HANDSHAKE_COLORS);
+    particle.opacity = random(0.5, 0.85);
+    particle.delay = initial ? Math.random() * 1500 : 0;
+  },
+  update(particle, dt) {
+    particle.y += particle.velocityY * dt;
+    particle.sway += 1.8 * dt;
+    particle.x += Math.sin(particle.sway) * 24 * dt;
+    particle.opacity -= 0.12 * dt;
+    return particle.opacity > 0 && particle.y > -particle.size;
+  },
+  draw(ctx, particle) {
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, particle.opacity);
+
+    if (particle.glyph) {
+      ctx.font = `${particle.size}px system-ui, sans-serif`;
+      ctx.textAlign = "center";
+      ctx.fillText("🤝", particle.x, particle.y);
+    } else {
+      ctx.fillStyle = particle.color;
+      ctx.beginPath();
+      ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.restore();
+  },
+});
+
+const BURST_COLORS = ["#f8fafc", "#fbbf24", "#f97316", "#ef4444"];
+
+// Shards flying off the square at options { x, y } where a piece was taken
+registerEffect("capture_burst", {
+  count: 18,
+  spawn(particle, _area, { x = 0, y = 0, size = 48 } = {}) {
+    const scale = size / 48;
+    const angle = Math.random() * Math.PI * 2;
+    const speed = random(90, 240) * scale;
+    particle.x = x;
+    particle.y = y;
+    particle.velocityX = Math.cos(angle) * speed;
+    particle.velocityY = Math.sin(angle) * speed - 60;
+    particle.size = random(2, 4) * scale;
+    particle.rotation = Math.random() * Math.PI;
+    particle.color = pick(BURST_COLORS);
+    particle.life = random(0.37, 0.6);
+    particle.maxLife = particle.life;
+  },
+  update(particle, dt) {
+    particle.velocityY += 540 * dt;
+    particle.x += particle.velocityX * dt;
+    particle.y += particle.velocityY * dt;
+    particle.rotation += 12 * dt;
+    particle.life -= dt;
+    return particle.life > 0;
+  },
+  draw(ctx, particle) {
+    ctx.save();
+    ctx.globalAlpha = particle.life / particle.maxLife;
+    ctx.translate(particle.x, particle.y);
+    ctx.rotate(particle.rotation);
+    ctx.fillStyle = particle.color;
+    ctx.fillRect(
+      -particle.size / 2,
+      -particle.size / 2,
+      particle.size,
+      particle.size
+    );
+    ctx.restore();
+  },
+});
+
+// What the worker can play; see the note at the top
+export const BUILTIN_EFFECTS = Object.freeze(effectNames());
@@ -0,0 +1,246 @@
+/**
+ * Runs particle effects on a 2D context. Nothing here touches the DOM, so
+ * the same renderer draws on a canvas on the main thread or on an
+ * OffscreenCanvas in particle-worker.js.
+ *
+ * Particles are pooled per effect and handed back to `spawn` to refill, so
+ * a running effect allocates nothing per frame. Updates get the real time
+ * since the previous frame. When frames take too long to draw, the renderer
+ * lowers its quality, which caps how many particles each effect keeps
+ * alive, and raises it again slowly once there is room.
+ */
+
+import { getEffect } from "./particle-effects.js";
+
+// Longest step one update gets, e.g. after the tab was in the background
+const MAX_STEP_S = 0.1;
+const DEFAULT_STEP_S = 1 / 60;
+// Drawing should leave most of a 60fps frame to everything else
+const WORK_BUDGET_MS = 6;
+const WORK_SMOOTHING = 0.1;
+const MIN_QUALITY = 0.25;
+// Give fewer particles time to show up in the frame times before cutting
+// again
+const QUALITY_COOLDOWN_MS = 500;
+
+export class ParticleRenderer {
+  /**
+   * @param {CanvasRenderingContext2D} ctx - 2D context of a canvas or an
+   *   OffscreenCanvas
+   * @param {object} options - { clock } returning milliseconds, for tests
+   */
+  constructor(ctx, { clock = () => performance.now() } = {}) {
+    this.ctx = ctx;
+    this.clock = clock;
+    this.width = 0;
+    this.height = 0;
+    this.emitters = [];
+    this.pools = new Map();
+    this.quality = 1;
+    this.workMs = 0;
+    this.adjustedAt = -Infinity;
+    this.lastFrame = null;
+  }
+
+  get busy() {
+    return this.emitters.length > 0;
+  }
+
+  /**
+   * Size the canvas for `width` x `height` CSS pixels on a screen with
+   * `dpr` device pixels per CSS pixel; effects keep drawing in CSS pixels
+   */
+  resize(width, height, dpr = 1) {
+    this.width = width;
+    this.height = height;
+    this.ctx.canvas.width = Math.round(width * dpr);
+    this.ctx.canvas.height = Math.round(height * dpr);
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  /**
+   * Start the registered effect `name`; `options` are handed to its spawn
+   * function. Returns false for unknown effects.
+   */
+  play(name, options = {}) {
+    const effect = getEffect(name);
+    if (!effect) return false;
+
+    const emitter = {
+      effect,
+      options,
+      particles: [],
+      startedAt: this.clock(),
+      stoppedAt: null,
+    };
+    const count = this.target(effect);
+    for (let i = 0; i < count; i++) {
+      emitter.particles.push(this.spawn(emitter, true));
+    }
+
+    this.emitters.push(emitter);
+    return true;
+  }
+
+  /**
+   * Stop spawning `name` (or every effect); what is left runs for the
+   * effect's `linger` time at most
+   */
+  stop(name = null) {
+    const now = this.clock();
+    this.emitters.forEach((emitter) => {
+      if (name === null || emitter.effect.name === name) {
+        emitter.stoppedAt = emitter.stoppedAt ?? now;
+      }
+    });
+  }
+
+  clear() {
+    this.emitters.forEach((emitter) => this.releaseAll(emitter));
+    this.emitters = [];
+    this.lastFrame = null;
+    this.ctx.clearRect(0, 0, this.width, this.height);
+  }
+
+  /**
+   * Advance everything by the time since the previous frame and draw it.
+   * Returns whether anything is left to draw.
+   */
+  frame(now = this.clock()) {
+    const dt =
+      this.lastFrame === null
+        ? DEFAULT_STEP_S
+        : Math.min(Math.max((now - this.lastFrame) / 1000, 0), MAX_STEP_S);
+    this.lastFrame = now;
+
+    const started = this.clock();
+    this.ctx.clearRect(0, 0, this.width, this.height);
+    this.emitters = this.emitters.filter((emitter) =>
+      this.step(emitter, dt, now)
+    );
+    this.adapt(this.clock() - started, now);
+
+    if (!this.busy) this.lastFrame = null;
+    return this.busy;
+  }
+
+  // Advance and draw one emitter, compacting its particles in place; false
+  // once it is done
+  step(emitter, dt, now) {
+    const { effect } = emitter;
+
+    if (
+      emitter.stoppedAt !== null &&
+      now - emitter.stoppedAt >= effect.linger
+    ) {
+      this.releaseAll(emitter);
+      return false;
+    }
+
+    const area = { width: this.width, height: this.height };
+    const spawning =
+      emitter.stoppedAt === null && now - emitter.startedAt < effect.lifetime;
+    const target = this.target(effect);
+    const particles = emitter.particles;
+    let kept = 0;
+
+    for (let i = 0; i < particles.length; i++) {
+      const particle = particles[i];
+
+      if (particle.delay > 0) {
+        particle.delay -= dt * 1000;
+        particles[kept++] = particle;
+      } else if (effect.update(particle, dt, area)) {
+        effect.draw(this.ctx, particle);
+        particles[kept++] = particle;
+      } else {
+        this.pool(effect).push(particle);
+        // Particles still to come count too, so lower quality thins out
+        const remaining = particles.length - i - 1;
+        if (spawning && kept + remaining < target) {
+          particles[kept++] = this.spawn(emitter, false);
+        }
+      }
+    }
+
+    particles.length = kept;
+    return kept > 0;
+  }
+
+  adapt(workMs, now) {
+    this.workMs = this.workMs * (1 - WORK_SMOOTHING) + workMs * WORK_SMOOTHING;
+    if (now - this.adjustedAt < QUALITY_COOLDOWN_MS) return;
+
+    if (this.workMs > WORK_BUDGET_MS && this.quality > MIN_QUALITY) {
+      this.quality = Math.max(MIN_QUALITY, this.quality * 0.75);
+      this.adjustedAt = now;
+    } else if (this.workMs < WORK_BUDGET_MS / 2 && this.quality < 1) {
+      this.quality = Math.min(1, this.quality + 0.05);
+      this.adjustedAt = now;
+    }
+  }
+
+  target(effect) {
+    return Math.max(1, Math.ceil(effect.count * this.quality));
+  }
+
+  spawn(emitter, initial) {
+    const { effect, options } = emitter;
+    const particle = this.pool(effect).pop() || {};
+    particle.delay = 0;
+    effect.spawn(
+      particle,
+      { width: this.width, height: this.height },
+      options,
+      initial
+    );
+    return particle;
+  }
+
+  releaseAll(emitter) {
+    const pool = this.pool(emitter.effect);
+    emitter.particles.forEach((particle) => pool.push(particle));
+    emitter.particles = [];
+  }
+
+  pool(effect) {
+    let pool = this.pools.get(effect.name);
+    if (!pool) {
+      pool = [];
+      this.pools.set(effect.name, pool);
+    }
+    return pool;
+  }
+}
+
+/**
+ * Calls renderer.frame() on every frame `requestFrame` gives until nothing
+ * is left to draw, then `onIdle(renderer)`. Returns { request, cancel }.
+ */
+export function frameLoop(renderer, requestFrame, onIdle) {
+  let pending = false;
+  let cancelled = false;
+
+  const tick = (now) => {
+    pending = false;
+    if (cancelled) return;
+    if (renderer.frame(now)) {
+      request();
+    } else {
+      onIdle(renderer);
+    }
+  };
+
+  const request = () => {
+    if (pending || cancelled) return;
+    pending = true;
+    requestFrame(tick);
+  };
+
+  return {
+    request,
+    cancel() {
+      cancelled = true;
+    },
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Worker that draws particle effects on an OffscreenCanvas, so confetti and
+ * friends never compete with LiveView patches for the main thread. Built as
+ * its own bundle; ParticleLayer in endgame-particles.js sends it:
+ *
+ *   { type: "init", canvas, width, height, dpr }
+ *   { type: "resize", width, height, dpr }
+ *   { type: "play", name, options, seq }
+ *   { type: "stop", name }
+ *   { type: "clear" }
+ *
+ * and hears back { type: "idle", seq } with the last play it had seen once
+ * nothing is left to draw.
+ */
+
+import "./particle-effects.js";
+import { ParticleRenderer, frameLoop } from "./particle-renderer.js";
+
+// Workers have requestAnimationFrame in Chrome and Firefox only
+const requestFrame = self.requestAnimationFrame
+  ? (callback) => self.requestAnimationFrame(callback)
+  : (callback) => setTimeout(() => callback(performance.now()), 16);
+
+let renderer = null;
+let loop = null;
+let lastSeq = 0;
+
+const reportIdle = () => self.postMessage({ type: "idle", seq: lastSeq });
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "init":
+      renderer = new ParticleRenderer(data.canvas.getContext("2d"));
+      renderer.resize(data.width, data.height, data.dpr);
+      loop = frameLoop(renderer, requestFrame, reportIdle);
+      break;
+    case "resize":
+      renderer.resize(data.width, data.height, data.dpr);
+      break;
+    case "play":
+      lastSeq = data.seq;
+      if (renderer.play(data.name, data.options)) {
+        loop.request();
+      } else if (!renderer.busy) {
+        reportIdle();
+      }
+      break;
+    case "stop":
+      renderer.stop(data.name);
+      break;
+    case "clear":
+      renderer.clear();
+      break;
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * Premoves: moves queued while the opponent is thinking.
+ *
+ * At queue time the opponent's reply is unknown, so a premove is only
+ * checked for plausibility: the piece that will stand on `from` after the
+ * earlier premoves is ours and could reach `to` on an empty board. Whether
+ * it is actually legal is decided once it is our turn.
+ */
+
+import { findMove } from "./chess-rules.js";
+
+const FILES = "abcdefgh";
+const KNIGHT_JUMPS = ["1,2", "2,1"];
+
+export class PremoveQueue {
+  constructor() {
+    this.moves = [];
+  }
+
+  get size() {
+    return this.moves.length;
+  }
+
+  /**
+   * Queue a premove for `color` ("w" or "b") if it is plausible in the
+   * position `fen` after the premoves already queued
+   */
+  add(fen, color, from, to) {
+    if (from === to) return false;
+
+    const placement = this.placementAfter(fen);
+    const piece = placement[from];
+    if (!piece || pieceColor(piece) !== color) return false;
+
+    const target = placement[to];
+    if (target && pieceColor(target) === color) return false;
+    if (!couldMove(piece, from, to)) return false;
+
+    this.moves.push({ from, to });
+    return true;
+  }
+
+  /**
+   * Whether `square` holds a piece of `color` once the queued premoves are
+   * played, i.e. whether it can start another premove
+   */
+  ownsSquare(fen, color, square) {
+    const piece = this.placementAfter(fen)[square];
+    return Boolean(piece) && pieceColor(piece) === color;
+  }
+
+  /**
+   * Take the next premove if it is legal in `fen`, as returned by
+   * findMove(). An illegal premove cancels the whole queue, since the
+   * ones after it were planned on top of it.
+   */
+  next(fen) {
+    const premove = this.moves.shift();
+    if (!premove) return null;
+
+    let move = null;
+    try {
+      move = findMove(fen, { ...premove, promotion: "q" });
+    } catch (_err) {
+      // Unreadable position: treat like an illegal premove
+    }
+
+    if (!move) this.clear();
+    return move;
+  }
+
+  clear() {
+    this.moves = [];
+  }
+
+  squares() {
+    return this.moves.flatMap(({ from, to }) => [from, to]);
+  }
+
+  placementAfter(fen) {
+    const placement = parsePlacement(fen);
+    this.moves.forEach((move) => playOnPlacement(placement, move));
+    return placement;
+  }
+}
+
+// Square name to piece letter, e.g. { e1: "K", e8: "k" }
+function parsePlacement(fen) {
+  const placement = {};
+  const rows = fen.split(" ")[0].split("/");
+
+  rows.forEach((row, index) => {
+    const rank = 8 - index;
+    let file = 0;
+
+    for (const char of row) {
+      if (/\d/.test(char)) {
+        file += parseInt(char, 10);
+      } else {
+        placement[`${FILES[file]}${rank}`] = char;
+        file++;
+      }
+    }
+  });
+
+  return placement;
+}
+
+function playOnPlacement(placement, { from, to }) {
+  const piece = placement[from];
+  delete placement[from];
+
+  const [df, dr] = delta(from, to);
+  const kind = piece.toLowerCase();
+  const lastRank = to[1] === "8" || to[1] === "1";
+
+  placement[to] = kind === "p" && lastRank ? colored("q", piece) : piece;
+
+  // Castling moves the rook along with the king
+  if (kind === "k" && Math.abs(df) === 2 && dr === 0) {
+    const rank = from[1];
+    const [rookFrom, rookTo] = df > 0 ? ["h", "f"] : ["a", "d"];
+    const rook = placement[rookFrom + rank];
+    if (rook) {
+      delete placement[rookFrom + rank];
+      placement[rookTo + rank] = rook;
+    }
+  }
+}
+
+function couldMove(piece, from, to) {
+  const [df, dr] = delta(from, to);
+  const adf = Math.abs(df);
+  const adr = Math.abs(dr);
+  const white = pieceColor(piece) === "w";
+
+  switch (piece.toLowerCase()) {
+    case "p": {
+      const forward = white ? 1 : -1;
+      const startRank = white ? "2" : "7";
+      return (
+        (df === 0 && dr === forward) ||
+        (df === 0 && dr === 2 * forward && from[1] === startRank) ||
+        (adf === 1 && dr === forward)
+      );
+    }
+    case "n":
+      return KNIGHT_JUMPS.includes(`${adf},${adr}`);
+    case "b":
+      return adf === adr;
+    case "r":
+      return df === 0 || dr === 0;
+    case "q":
+      return adf === adr || df === 0 || dr === 0;
+    case "k":
+      return (
+        Math.max(adf, adr) === 1 ||
+        (adf === 2 && dr === 0 && from === (white ? "e1" : "e8"))
+      );
+    default:
+      return false;
+  }
+}
+
+function delta(from, to) {
+  return [
+    FILES.indexOf(to[0]) - FILES.indexOf(from[0]),
+    parseInt(to[1], 10) - parseInt(from[1], 10),
+  ];
+}
+
+function pieceColor(piece) {
+  return piece === piece.toUpperCase() ? "w" : "b";
+}
+
+function colored(kind, like) {
+  return pieceColor(like) === "w" ? kind.toUpperCase() : kind;
+}
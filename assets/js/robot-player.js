@@ -0,0 +1,129 @@
+/**
+ * Robot opponent move selection on top of the client-side Stockfish engine
+ */
+
+import { parseUciMove } from "./chess-rules.js";
+import { pickBookMove } from "./opening-book.js";
+import { Engines, evaluatePosition } from "./stockfish-client.js";
+
+export const DEFAULT_ROBOT_LEVEL = 4;
+
+// Levels 1-3 use Stockfish's "Skill Level", higher levels a calibrated Elo.
+// `temperature` (centipawns) controls how readily human mode picks a weaker
+// candidate, `maxLoss` caps how much worse that candidate may be.
+const ROBOT_LEVELS = {
+  1: { skillLevel: 0, movetime: 50, depth: 1, temperature: 180, maxLoss: 500 },
+  2: { skillLevel: 3, movetime: 100, depth: 3, temperature: 140, maxLoss: 400 },
+  3: { skillLevel: 6, movetime: 150, depth: 5, temperature: 110, maxLoss: 300 },
+  4: { elo: 1500, movetime: 300, temperature: 80, maxLoss: 220 },
+  5: { elo: 1800, movetime: 500, temperature: 60, maxLoss: 160 },
+  6: { elo: 2100, movetime: 800, temperature: 40, maxLoss: 110 },
+  7: { elo: 2500, movetime: 1000, temperature: 25, maxLoss: 70 },
+  8: { movetime: 1500, temperature: 15, maxLoss: 40 },
+};
+
+const HUMAN_CANDIDATES = 4;
+
+export function robotLevel(level) {
+  const parsed = parseInt(level, 10);
+  return ROBOT_LEVELS[parsed] ? parsed : DEFAULT_ROBOT_LEVEL;
+}
+
+/**
+ * Pick the robot's move for a position. While the position is in the
+ * opening book a weighted book move is played without searching.
+ *
+ * @param {string} fen - Position in FEN notation
+ * @param {object} options - { level: 1-8, human: boolean, book: boolean }
+ * @returns {Promise<object>} { move, settings } where `settings` echoes the
+ *   parameters the move was chosen with
+ */
+export async function chooseRobotMove(fen, options = {}) {
+  const level = robotLevel(options.level);
+  const profile = ROBOT_LEVELS[level];
+  const human = options.human === true;
+
+  const bookMove = options.book !== false ? await pickBookMove(fen) : null;
+  if (bookMove) {
+    return {
+      move: { ...parseUciMove(bookMove.uci), san: bookMove.san },
+      settings: {
+        level,
+        human,
+        book: true,
+        skill_level: profile.skillLevel ?? null,
+        elo: profile.elo || null,
+        movetime: null,
+        depth: null,
+        multi_pv: null,
+        candidate_rank: null,
+        score_cp: null,
+      },
+    };
+  }
+
+  const evaluation = await evaluatePosition(fen, {
+    depth: profile.depth,
+    movetime: profile.movetime,
+    multiPv: human ? HUMAN_CANDIDATES : 1,
+    strength: profile.elo
+      ? { elo: profile.elo }
+      : profile.skillLevel !== undefined
+      ? { skillLevel: profile.skillLevel }
+      : null,
+    timeout: profile.movetime + 5000,
+    // Its own instance, so the reply never waits behind an analysis search
+    engine: Engines.ROBOT,
+    channel: "robot",
+  });
+
+  const candidate = human
+    ? pickHumanCandidate(fen, evaluation.lines, profile)
+    : null;
+
+  const move = candidate ? parseUciMove(candidate.move) : evaluation.best_move;
+
+  return {
+    move,
+    settings: {
+      level,
+      human,
+      book: false,
+      skill_level: profile.skillLevel ?? null,
+      elo: profile.elo || null,
+      movetime: profile.movetime,
+      depth: profile.depth || null,
+      multi_pv: human ? HUMAN_CANDIDATES : 1,
+      candidate_rank: candidate ? candidate.rank : 1,
+      score_cp: candidate ? candidate.score_cp : evaluation.score_cp,
+    },
+  };
+}
+
+// Weight every candidate by exp(-loss / temperature) where loss is how many
+// centipawns it gives up against the best line, from the mover's perspective.
+function pickHumanCandidate(fen, lines, profile) {
+  const candidates = (lines || []).filter((line) => line.move);
+  if (candidates.length === 0) return null;
+
+  const sign = fen.split(" ")[1] === "b" ? -1 : 1;
+  const best = Math.max(...candidates.map((line) => sign * line.score_cp));
+
+  const weighted = candidates
+    .map((line) => ({ line, loss: best - sign * line.score_cp }))
+    .filter(({ loss }) => loss <= profile.maxLoss)
+    .map(({ line, loss }) => ({
+      line,
+      weight: Math.exp(-loss / profile.temperature),
+    }));
+
+  const total = weighted.reduce((sum, { weight }) => sum + weight, 0);
+  let roll = Math.random() * total;
+
+  for (const { line, weight } of weighted) {
+    roll -= weight;
+    if (roll <= 0) return line;
+  }
+
+  return weighted[0].line;
+}
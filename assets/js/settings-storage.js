@@ -0,0 +1,64 @@
+/**
+ * Player settings kept in localStorage. Reads fall back to the default and
+ * writes give up quietly when storage is unavailable or full (private
+ * browsing, sandboxed frames), so a setting then lasts until the page is
+ * reloaded.
+ */
+
+function read(key, storage) {
+  try {
+    return storage.getItem(key);
+  } catch (_err) {
+    return null;
+  }
+}
+
+function write(key, value, storage) {
+  try {
+    storage.setItem(key, value);
+  } catch (_err) {
+    // Not persisted; see above
+  }
+}
+
+/**
+ * A setting whose value is one of the keys of `choices`, e.g. a speed by
+ * name. Returns { load(storage), save(value, storage) }; unknown values
+ * load as `fallback` and are never saved.
+ */
+export function choiceSetting(key, choices, fallback) {
+  return {
+    load(storage = globalThis.localStorage) {
+      const stored = read(key, storage);
+      return Object.hasOwn(choices, stored) ? stored : fallback;
+    },
+    save(value, storage = globalThis.localStorage) {
+      if (Object.hasOwn(choices, value)) write(key, value, storage);
+    },
+  };
+}
+
+/**
+ * A setting made of several fields, stored as JSON. `sanitize` turns
+ * whatever was stored, or null, into complete valid settings. Returns
+ * { load(storage), save(changes, storage) }, where save merges `changes`
+ * into what is stored and returns the result.
+ */
+export function objectSetting(key, sanitize) {
+  const load = (storage = globalThis.localStorage) => {
+    try {
+      return sanitize(JSON.parse(read(key, storage)));
+    } catch (_err) {
+      return sanitize(null);
+    }
+  };
+
+  return {
+    load,
+    save(changes, storage = globalThis.localStorage) {
+      const settings = sanitize({ ...load(storage), ...changes });
+      write(key, JSON.stringify(settings), storage);
+      return settings;
+    },
+  };
+}
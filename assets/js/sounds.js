@@ -0,0 +1,304 @@
+/**
+ * Sound effects, played by event name through a switchable theme.
+ *
+ * Synthesized themes describe each event as a few oscillator tones; sample
+ * themes decode short files from /sounds through the same AudioContext,
+ * fetching each one the first time it is needed. Everything passes a master
+ * gain node for the volume and mute settings kept in localStorage. An event
+ * a theme has no sound for, or whose file failed to load, plays the classic
+ * tones instead.
+ */
+
+import { objectSetting } from "./settings-storage.js";
+
+export const SOUND_EVENTS = Object.freeze([
+  "move",
+  "capture",
+  "castle",
+  "promote",
+  "check",
+  "illegal",
+  "game_end",
+  "join",
+  "low_time",
+  "low_time_urgent",
+]);
+
+// Move types the server sends with "play-move-sound"
+export const MOVE_SOUND_TYPES = Object.freeze([
+  "move",
+  "capture",
+  "castle",
+  "promote",
+  "check",
+]);
+
+const tone = (frequency, type, gain, duration, delay = 0) => ({
+  frequency,
+  type,
+  gain,
+  duration,
+  delay,
+});
+
+const CLASSIC_TONES = {
+  move: [
+    tone(520, "triangle", 0.22, 0.14),
+    tone(660, "triangle", 0.18, 0.16, 0.1),
+  ],
+  capture: [
+    tone(330, "square", 0.12, 0.08),
+    tone(220, "triangle", 0.22, 0.18, 0.06),
+  ],
+  castle: [
+    tone(520, "triangle", 0.2, 0.12),
+    tone(520, "triangle", 0.2, 0.12, 0.12),
+    tone(660, "triangle", 0.18, 0.16, 0.24),
+  ],
+  promote: [
+    tone(523, "triangle", 0.18, 0.12),
+    tone(659, "triangle", 0.18, 0.12, 0.1),
+    tone(784, "triangle", 0.18, 0.2, 0.2),
+  ],
+  check: [
+    tone(880, "sawtooth", 0.08, 0.12),
+    tone(660, "sawtooth", 0.08, 0.16, 0.12),
+  ],
+  illegal: [tone(160, "square", 0.1, 0.18)],
+  game_end: [
+    tone(523, "sine", 0.18, 0.22),
+    tone(659, "sine", 0.16, 0.22, 0.18),
+    tone(784, "sine", 0.16, 0.22, 0.36),
+    tone(1047, "sine", 0.14, 0.4, 0.54),
+  ],
+  join: [tone(440, "sine", 0.18, 0.16), tone(660, "sine", 0.16, 0.2, 0.12)],
+  low_time: [
+    tone(700, "square", 0.1, 0.1),
+    tone(700, "square", 0.1, 0.1, 0.16),
+  ],
+  low_time_urgent: [
+    tone(880, "square", 0.1, 0.1),
+    tone(880, "square", 0.1, 0.1, 0.16),
+  ],
+};
+
+const SOFT_TONES = {
+  move: [tone(392, "sine", 0.2, 0.12)],
+  capture: [tone(294, "sine", 0.22, 0.16), tone(196, "sine", 0.16, 0.2, 0.05)],
+  castle: [tone(392, "sine", 0.18, 0.1), tone(440, "sine", 0.16, 0.14, 0.1)],
+  promote: [tone(392, "sine", 0.16, 0.12), tone(587, "sine", 0.16, 0.24, 0.12)],
+  check: [tone(587, "sine", 0.16, 0.1), tone(587, "sine", 0.14, 0.16, 0.14)],
+  illegal: [tone(147, "sine", 0.2, 0.2)],
+  game_end: [
+    tone(392, "sine", 0.16, 0.3),
+    tone(494, "sine", 0.14, 0.3, 0.2),
+    tone(587, "sine", 0.14, 0.5, 0.4),
+  ],
+  join: [tone(330, "sine", 0.16, 0.16), tone(494, "sine", 0.14, 0.22, 0.12)],
+  low_time: [
+    tone(523, "sine", 0.14, 0.12),
+    tone(523, "sine", 0.14, 0.12, 0.18),
+  ],
+  low_time_urgent: [
+    tone(659, "sine", 0.16, 0.12),
+    tone(659, "sine", 0.16, 0.12, 0.18),
+  ],
+};
+
+/**
+ * Themes by name. `tones` maps events to oscillator tones; `samples` gives
+ * the directory and the file for each event.
+ */
+export const SOUND_THEMES = Object.freeze({
+  classic: { label: "Classic", tones: CLASSIC_TONES },
+  soft: { label: "Soft", tones: SOFT_TONES },
+  wood: {
+    label: "Wood",
+    samples: {
+      path: "/sounds/wood",
+      files: {
+        move: "move.wav",
+        capture: "capture.wav",
+        castle: "castle.wav",
+        promote: "promote.wav",
+        check: "check.wav",
+        illegal: "illegal.wav",
+        game_end: "game_end.wav",
+        join: "join.wav",
+        low_time: "low_time.wav",
+        low_time_urgent: "low_time.wav",
+      },
+    },
+  },
+});
+
+export const DEFAULT_SOUND_SETTINGS = Object.freeze({
+  theme: "classic",
+  volume: 0.8,
+  muted: false,
+});
+
+const settingsStorage = objectSetting(
+  "live-chess:sound",
+  sanitizeSoundSettings
+);
+
+export function soundSettings(storage) {
+  return settingsStorage.load(storage);
+}
+
+/**
+ * Merge `changes` into the saved settings and apply them to sounds already
+ * routed through the master gain. Returns the new settings.
+ */
+export function saveSoundSettings(changes, storage) {
+  const settings = settingsStorage.save(changes, storage);
+  if (masterGain) masterGain.gain.value = outputLevel(settings);
+  return settings;
+}
+
+export function sanitizeSoundSettings(settings) {
+  const { theme, volume, muted } = settings || {};
+
+  return {
+    theme: Object.hasOwn(SOUND_THEMES, theme)
+      ? theme
+      : DEFAULT_SOUND_SETTINGS.theme,
+    volume:
+      typeof volume === "number" && Number.isFinite(volume)
+        ? Math.min(Math.max(volume, 0), 1)
+        : DEFAULT_SOUND_SETTINGS.volume,
+    muted: muted === true,
+  };
+}
+
+export function outputLevel({ volume, muted }) {
+  return muted ? 0 : volume;
+}
+
+/**
+ * How `theme` plays `event`: { sample } with the file's URL, or { tones }.
+ * Unknown events get no tones.
+ */
+export function resolveSound(theme, event) {
+  const { tones, samples } = SOUND_THEMES[theme] || SOUND_THEMES.classic;
+  const file = samples && samples.files[event];
+  if (file) return { sample: `${samples.path}/${file}` };
+
+  return { tones: (tones && tones[event]) || CLASSIC_TONES[event] || [] };
+}
+
+let audioContext;
+let masterGain;
+const sampleBuffers = new Map();
+
+export function getAudioContext() {
+  if (typeof window === "undefined") return null;
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return null;
+  if (!audioContext) {
+    audioContext = new Ctx();
+  }
+  return audioContext;
+}
+
+export async function resumeAudioContext() {
+  const ctx = getAudioContext();
+  if (ctx && ctx.state === "suspended") {
+    try {
+      await ctx.resume();
+    } catch (_error) {
+      // Browsers may prevent auto-resume without a user gesture.
+    }
+  }
+  return ctx;
+}
+
+export async function playSound(event) {
+  const settings = soundSettings();
+  if (outputLevel(settings) === 0) return;
+
+  const ctx = await resumeAudioContext();
+  if (!ctx) return;
+
+  const output = masterOutput(ctx, settings);
+  const sound = resolveSound(settings.theme, event);
+
+  if (sound.sample) {
+    const buffer = await loadSample(ctx, sound.sample);
+    if (buffer) {
+      const source = ctx.createBufferSource();
+      source.buffer = buffer;
+      source.connect(output);
+      source.start();
+      return;
+    }
+  }
+
+  const tones = sound.tones || resolveSound("classic", event).tones;
+  tones.forEach((options) => scheduleTone(ctx, output, options));
+}
+
+/**
+ * Fetch a sample theme's files ahead of time, e.g. right after picking it,
+ * so the first move does not wait for the network
+ */
+export function preloadTheme(theme) {
+  const { samples } = SOUND_THEMES[theme] || {};
+  const ctx = samples && getAudioContext();
+  if (!ctx) return;
+
+  new Set(Object.values(samples.files)).forEach((file) =>
+    loadSample(ctx, `${samples.path}/${file}`)
+  );
+}
+
+function masterOutput(ctx, settings) {
+  if (!masterGain) {
+    masterGain = ctx.createGain();
+    masterGain.connect(ctx.destination);
+  }
+  masterGain.gain.value = outputLevel(settings);
+  return masterGain;
+}
+
+// Resolves to the decoded buffer, or null when the file is missing or not
+// audio; either way it is only fetched once per page
+function loadSample(ctx, url) {
+  if (!sampleBuffers.has(url)) {
+    const buffer = fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`${url}: ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then((data) => ctx.decodeAudioData(data))
+      .catch(() => null);
+    sampleBuffers.set(url, buffer);
+  }
+  return sampleBuffers.get(url);
+}
+
+function scheduleTone(ctx, output, options) {
+  const {
+    frequency,
+    duration = 0.18,
+    type = "sine",
+    gain = 0.18,
+    delay = 0,
+  } = options;
+  const oscillator = ctx.createOscillator();
+  const gainNode = ctx.createGain();
+
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(frequency, ctx.currentTime + delay);
+
+  gainNode.gain.setValueAtTime(gain, ctx.currentTime + delay);
+  gainNode.gain.exponentialRampToValueAtTime(
+    0.0001,
+    ctx.currentTime + delay + duration
+  );
+
+  oscillator.connect(gainNode).connect(output);
+  oscillator.start(ctx.currentTime + delay);
+  oscillator.stop(ctx.currentTime + delay + duration + 0.05);
+}
@@ -2,126 +2,948 @@
  * Client-side Stockfish WebAssembly engine for position evaluation
  */
 
-let stockfishWorker = null;
-let isEngineReady = false;
-let pendingEvaluations = new Map();
-let evaluationCounter = 0;
+import { parseUciMove, uciToSan, validateFen } from "./chess-rules.js";
+import { cacheEvaluation, getCachedEvaluation } from "./eval-cache.js";
 
-// Initialize Stockfish engine
-export async function initStockfish(workerPath) {
-  if (stockfishWorker) return stockfishWorker;
+export {
+  clearEvaluationCache,
+  configureEvaluationCache,
+} from "./eval-cache.js";
+
+// Loading the WASM binary on a slow phone can take several seconds
+const HANDSHAKE_TIMEOUT_MS = 20000;
+const MAX_RESPAWN_ATTEMPTS = 3;
+const RESPAWN_DELAY_MS = 250;
+// How long a stopped search may take to report its bestmove
+const STOP_GRACE_MS = 3000;
+const MAX_MULTI_PV = 5;
+const DEFAULT_PROGRESS_INTERVAL_MS = 250;
+const DEFAULT_TIMEOUT_MS = 5000;
+// Extra time a budgeted search gets to report before it is stopped
+const TIMEOUT_GRACE_MS = 2000;
+
+// Once the device speed is known, a depth request is capped by the time the
+// lite network typically needs for it: roughly NODES_AT_DEPTH_12 nodes at
+// depth 12, growing by NODE_GROWTH_PER_PLY per extra ply.
+const NODES_AT_DEPTH_12 = 200000;
+const NODE_GROWTH_PER_PLY = 1.6;
+const BUDGET_HEADROOM = 1.5;
+const MIN_BUDGET_MS = 300;
+const MAX_BUDGET_MS = 3000;
+
+// Resources given to the analysis instance of the multi-threaded build.
+// navigator.deviceMemory is rounded and capped at 8 GB by the browser.
+const MAX_THREADS = 8;
+const HASH_MB_PER_GB = 16;
+const MIN_HASH_MB = 16;
+const MAX_HASH_MB = 256;
+
+// Logistic win/loss curves used when the engine reports no WDL: a side
+// reaches a 50% win chance at +WDL_MODEL_CENTER_CP, calibrated so that +3
+// reads as a clear but not yet decisive edge.
+const WDL_MODEL_CENTER_CP = 200;
+const WDL_MODEL_SCALE_CP = 150;
+
+// Options that belong to a single search rather than to the engine. Every
+// search states them explicitly so a weakened robot search can never leak
+// into the next analysis search. Values match Stockfish's own defaults.
+const SEARCH_OPTION_DEFAULTS = Object.freeze({
+  MultiPV: 1,
+  "Skill Level": 20,
+  UCI_LimitStrength: false,
+});
+
+export const EngineState = Object.freeze({
+  IDLE: "idle",
+  LOADING: "loading",
+  READY: "ready",
+  SEARCHING: "searching",
+  CRASHED: "crashed",
+});
+
+/**
+ * Error raised for every engine failure so callers can branch on `code`
+ * ("not_configured", "load_failed", "handshake_timeout", "crashed",
+ * "timeout", "cancelled", "superseded", "shutdown", "invalid_fen").
+ */
+export class EngineError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "EngineError";
+    this.code = code;
+  }
+}
+
+/**
+ * Named engine instances. Each has its own worker, UCI options, job queue
+ * and crash/respawn lifecycle, so a long analysis search never delays the
+ * robot and analysis settings never leak into its play.
+ */
+export const Engines = Object.freeze({
+  ANALYSIS: "analysis",
+  ROBOT: "robot",
+});
+
+const DEFAULT_ENGINE = Engines.ANALYSIS;
+
+// Shared by every instance; instances are spawned lazily on first use
+let enginePaths = null; // { single, threaded } worker script paths
+let threadedUnavailable = false;
+let deviceNps = null; // Measured nodes per second of the analysis instance
+const engines = new Map();
+let jobCounter = 0;
+
+function createEngine(name) {
+  return {
+    name,
+    worker: null,
+    state: EngineState.IDLE,
+    build: null, // Which Stockfish build and thread count the worker runs
+    ready: null, // Resolves once the current worker finished the UCI handshake
+    handshakeWaiters: [],
+    // UCI_ShowWDL adds engine win/draw/loss estimates to every scored info line
+    options: new Map([["UCI_ShowWDL", true]]),
+    respawnAttempts: 0,
+    respawnTimer: null,
+    // Jobs run strictly one at a time: searches and option changes share one queue
+    jobQueue: [],
+    activeJob: null,
+    appliedSearchOptions: { ...SEARCH_OPTION_DEFAULTS },
+    // Latest superseding request per channel, as { id, searchKey }
+    channelRequests: new Map(),
+  };
+}
+
+function engineFor(name = DEFAULT_ENGINE) {
+  if (!engines.has(name)) engines.set(name, createEngine(name));
+  return engines.get(name);
+}
+
+export function getEngineState(engineName = DEFAULT_ENGINE) {
+  const engine = engines.get(engineName);
+  return engine ? engine.state : EngineState.IDLE;
+}
+
+export function getEngineBuild(engineName = DEFAULT_ENGINE) {
+  const engine = engines.get(engineName);
+  return engine ? engine.build : null;
+}
+
+/**
+ * Initialize a Stockfish engine instance (default "analysis"). The worker
+ * paths are remembered for every instance, so other instances can be
+ * started later by name alone.
+ *
+ * `workerPaths` is either the path of the single-threaded build or a variant
+ * map { single, threaded }. The multi-threaded build is only used when the
+ * page is cross-origin isolated, so SharedArrayBuffer is available; if it
+ * fails to load, every instance falls back to the single-threaded build.
+ */
+export function initStockfish(workerPaths, engineName = DEFAULT_ENGINE) {
+  if (workerPaths) {
+    enginePaths =
+      typeof workerPaths === "string" ? { single: workerPaths } : workerPaths;
+  }
+
+  const engine = engineFor(engineName);
+  if (engine.ready) return engine.ready;
+
+  if (!enginePaths || !enginePaths.single) {
+    return Promise.reject(
+      new EngineError(
+        "Stockfish worker path is not configured",
+        "not_configured"
+      )
+    );
+  }
+
+  const variant = selectVariant();
+
+  engine.ready = spawnWorker(engine, variant).catch((err) => {
+    engine.ready = null;
+
+    if (
+      variant.threaded &&
+      (err.code === "load_failed" || err.code === "handshake_timeout")
+    ) {
+      console.warn("Multi-threaded Stockfish unavailable, falling back:", err);
+      threadedUnavailable = true;
+      return initStockfish(null, engineName);
+    }
+
+    throw err;
+  });
+
+  return engine.ready;
+}
+
+function selectVariant() {
+  const threaded =
+    Boolean(enginePaths.threaded) &&
+    !threadedUnavailable &&
+    globalThis.crossOriginIsolated === true &&
+    typeof SharedArrayBuffer !== "undefined";
+
+  return threaded
+    ? { path: enginePaths.threaded, threaded: true }
+    : { path: enginePaths.single, threaded: false };
+}
+
+// Threads and Hash sized for the device. Only the analysis instance gets
+// them: robot searches are short and should not compete for cores.
+function variantOptions(engine, variant) {
+  if (!variant.threaded || engine.name !== DEFAULT_ENGINE) return [];
+
+  const nav = typeof navigator !== "undefined" ? navigator : {};
+  // Leave one core for the page itself
+  const threads = Math.max(
+    1,
+    Math.min(MAX_THREADS, (nav.hardwareConcurrency || 2) - 1)
+  );
+  const hash = Math.max(
+    MIN_HASH_MB,
+    Math.min(MAX_HASH_MB, Math.round((nav.deviceMemory || 1) * HASH_MB_PER_GB))
+  );
+
+  return [
+    ["Threads", threads],
+    ["Hash", hash],
+  ];
+}
+
+async function spawnWorker(engine, variant) {
+  engine.state = EngineState.LOADING;
+
+  let worker;
+  try {
+    // Use the provided path from Phoenix (resolved correctly in both dev and prod)
+    worker = new Worker(variant.path);
+  } catch (err) {
+    console.error("Failed to initialize Stockfish:", err);
+    engine.state = EngineState.CRASHED;
+    throw new EngineError(
+      `Failed to start Stockfish: ${err.message}`,
+      "load_failed"
+    );
+  }
+
+  engine.worker = worker;
+  engine.appliedSearchOptions = { ...SEARCH_OPTION_DEFAULTS };
+  worker.onmessage = (event) => handleEngineMessage(engine, event.data);
+  worker.onerror = (event) => handleWorkerError(engine, worker, event);
+
+  await sendAndWait(engine, "uci", "uciok");
+
+  // Replay options so a respawned worker behaves like the one it replaces;
+  // options set explicitly win over the ones picked for the device
+  const options = new Map([
+    ...variantOptions(engine, variant),
+    ...engine.options,
+  ]);
+  for (const [name, value] of options) {
+    worker.postMessage(`setoption name ${name} value ${value}`);
+  }
+  await sendAndWait(engine, "isready", "readyok");
+
+  engine.build = variant.threaded
+    ? `lite-threads-${options.get("Threads") || 1}`
+    : "lite-single";
+  engine.state = EngineState.READY;
+  console.log(`Stockfish engine "${engine.name}" ready (${engine.build})`);
+  runNextJob(engine);
+  return worker;
+}
+
+// Post a command and wait for the matching acknowledgement ("uciok"/"readyok")
+function sendAndWait(engine, command, token) {
+  const worker = engine.worker;
 
   return new Promise((resolve, reject) => {
-    try {
-      // Use the provided path from Phoenix (resolved correctly in both dev and prod)
-      stockfishWorker = new Worker(workerPath);
-
-      // Set up message handler
-      stockfishWorker.onmessage = (event) => {
-        handleEngineMessage(event.data);
-      };
-
-      stockfishWorker.onerror = (error) => {
-        console.error("Stockfish worker error:", error);
-        reject(error);
-      };
-
-      // Initialize engine
-      stockfishWorker.postMessage("uci");
-
-      setTimeout(() => {
-        isEngineReady = true;
-        console.log("Stockfish engine ready (lite single-threaded)");
-        resolve(stockfishWorker);
-      }, 500);
-    } catch (err) {
-      console.error("Failed to initialize Stockfish:", err);
+    const waiter = { token, resolve: null, reject: null };
+
+    const timer = setTimeout(() => {
+      engine.handshakeWaiters = engine.handshakeWaiters.filter(
+        (w) => w !== waiter
+      );
+      const error = new EngineError(
+        `Stockfish did not answer "${command}" in time`,
+        "handshake_timeout"
+      );
+      reject(error);
+      handleWorkerError(engine, worker, error);
+    }, HANDSHAKE_TIMEOUT_MS);
+
+    waiter.resolve = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    waiter.reject = (err) => {
+      clearTimeout(timer);
       reject(err);
-    }
+    };
+
+    engine.handshakeWaiters.push(waiter);
+    worker.postMessage(command);
   });
 }
 
-function handleEngineMessage(message) {
-  // Parse engine output
-  if (message.includes("info") && message.includes("score")) {
-    // Extract evaluation from UCI info line
-    const match = message.match(/score (cp|mate) (-?\d+)/);
-    if (match) {
-      const [_, type, value] = match;
-      const score = {
-        type: type, // 'cp' for centipawns, 'mate' for mate
-        value: parseInt(value, 10),
-      };
-
-      // Find pending evaluation and resolve it
-      for (const [id, pending] of pendingEvaluations.entries()) {
-        if (message.includes(`multipv ${pending.multipv || 1}`)) {
-          pending.score = score;
-        }
-      }
+function handleEngineMessage(engine, message) {
+  if (typeof message !== "string") return;
+
+  const line = message.trim();
+  if (line === "uciok" || line === "readyok") {
+    const index = engine.handshakeWaiters.findIndex((w) => w.token === line);
+    if (index !== -1) {
+      const [waiter] = engine.handshakeWaiters.splice(index, 1);
+      waiter.resolve();
     }
-  } else if (message.includes("bestmove")) {
+    return;
+  }
+
+  // Only one search runs at a time, so all output belongs to the active job
+  const { activeJob } = engine;
+  const job = activeJob && activeJob.type === "search" ? activeJob : null;
+
+  // Parse engine output
+  if (line.startsWith("info")) {
+    if (!job || job.settled) return;
+
+    // Lines without a score are currmove/hashfull progress reports
+    const info = parseInfoLine(line);
+    if (!info.score) return;
+    info.pv = info.pv || [];
+
+    // Keep the latest line per rank; bound scores from an aspiration
+    // re-search only stand in until an exact score arrives.
+    const rank = info.multipv || 1;
+    if (rank > job.multiPv) return;
+    if (info.bound && job.lines.has(rank)) return;
+    job.lines.set(rank, info);
+    scheduleProgress(job);
+  } else if (line.startsWith("bestmove")) {
     // Extract best move from "bestmove e2e4 ponder ..."
     const bestmoveMatch = message.match(
       /bestmove\s+([a-h][1-8][a-h][1-8][qrbn]?)/
     );
     const bestMove = bestmoveMatch ? bestmoveMatch[1] : null;
 
-    // Evaluation complete
-    const currentId = Array.from(pendingEvaluations.keys())[0];
-    if (currentId !== undefined) {
-      const pending = pendingEvaluations.get(currentId);
-      if (pending && pending.resolve) {
-        const result = pending.score || { type: "cp", value: 0 };
-        result.bestMove = bestMove;
-        pending.resolve(result);
-        pendingEvaluations.delete(currentId);
-      }
+    if (job) finishSearch(engine, job, bestMove);
+  }
+}
+
+/**
+ * Parse a UCI "info" line into its numeric fields, score and principal variation
+ */
+function parseInfoLine(line) {
+  const tokens = line.split(/\s+/);
+  const info = {};
+
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    switch (token) {
+      case "depth":
+      case "seldepth":
+      case "multipv":
+      case "nodes":
+      case "nps":
+      case "time":
+        info[token] = parseInt(tokens[++i], 10);
+        break;
+      case "score":
+        info.score = {
+          type: tokens[++i], // 'cp' for centipawns, 'mate' for mate
+          value: parseInt(tokens[++i], 10),
+        };
+        if (tokens[i + 1] === "lowerbound" || tokens[i + 1] === "upperbound") {
+          info.bound = tokens[++i];
+        }
+        break;
+      case "wdl":
+        // Per mille from the side to move's perspective
+        info.wdl = tokens.slice(i + 1, i + 4).map((v) => parseInt(v, 10));
+        i += 3;
+        break;
+      case "pv":
+        info.pv = tokens.slice(i + 1);
+        i = tokens.length;
+        break;
+      case "string":
+        i = tokens.length;
+        break;
     }
   }
+
+  return info;
+}
+
+function runNextJob(engine) {
+  if (
+    engine.activeJob ||
+    !engine.worker ||
+    engine.state !== EngineState.READY
+  ) {
+    return;
+  }
+
+  const job = engine.jobQueue.shift();
+  if (!job) return;
+
+  engine.activeJob = job;
+
+  if (job.type === "option") {
+    runOptionJob(engine, job);
+  } else {
+    startSearch(engine, job);
+  }
+}
+
+async function startSearch(engine, job) {
+  engine.state = EngineState.SEARCHING;
+
+  job.timer = setTimeout(() => exhaustBudget(engine, job), job.timeout);
+
+  const changed = Object.entries(job.searchOptions).filter(
+    ([name, value]) => engine.appliedSearchOptions[name] !== value
+  );
+
+  if (changed.length > 0) {
+    for (const [name, value] of changed) {
+      engine.worker.postMessage(`setoption name ${name} value ${value}`);
+      engine.appliedSearchOptions[name] = value;
+    }
+
+    try {
+      await sendAndWait(engine, "isready", "readyok");
+    } catch (_err) {
+      // The crash handler already rejected this job
+      return;
+    }
+
+    // Cancelled before the search was sent: nothing to stop
+    if (job.settled) {
+      engine.activeJob = null;
+      engine.state = EngineState.READY;
+      runNextJob(engine);
+      return;
+    }
+  }
+
+  // Send position and evaluation command
+  job.started = true;
+  engine.worker.postMessage("position fen " + job.fen);
+  engine.worker.postMessage(goCommand(job));
+}
+
+function goCommand({ depth, movetime }) {
+  const limits = [];
+  if (depth) limits.push(`depth ${depth}`);
+  if (movetime) limits.push(`movetime ${movetime}`);
+  return ["go", ...limits].join(" ");
+}
+
+function finishSearch(engine, job, bestMove) {
+  clearTimeout(job.stopTimer);
+  engine.activeJob = null;
+  engine.state = EngineState.READY;
+
+  // A completed search proves the current worker is healthy again
+  engine.respawnAttempts = 0;
+
+  if (!job.settled) {
+    const lines = sortedLines(job);
+    const evaluation = convertToEvaluation(job.fen, { bestMove, lines });
+    evaluation.budget_exhausted =
+      job.budgetExhausted || Boolean(job.depth && evaluation.depth < job.depth);
+    settleJob(job).resolve(evaluation);
+  }
+
+  runNextJob(engine);
+}
+
+// A search that ran out of time answers with the best line found so far;
+// only a search that found nothing at all fails
+function exhaustBudget(engine, job) {
+  if (job.settled) return;
+
+  if (job !== engine.activeJob || !job.started || job.lines.size === 0) {
+    cancelJob(engine, job, new EngineError("Evaluation timed out", "timeout"));
+    return;
+  }
+
+  job.budgetExhausted = true;
+  stopSearch(engine, job);
+}
+
+async function runOptionJob(engine, job) {
+  engine.worker.postMessage(`setoption name ${job.name} value ${job.value}`);
+
+  try {
+    await sendAndWait(engine, "isready", "readyok");
+  } catch (_err) {
+    // The crash handler already rejected this job
+    return;
+  }
+
+  if (engine.activeJob === job) {
+    engine.activeJob = null;
+    settleJob(job).resolve();
+    runNextJob(engine);
+  }
+}
+
+// Mark a job as answered and hand back its callbacks
+function settleJob(job) {
+  job.settled = true;
+  clearTimeout(job.timer);
+  clearTimeout(job.progressTimer);
+  return job;
+}
+
+// Report intermediate results at most once per interval, and only once the
+// principal line reached a new depth. The trailing timer lets the remaining
+// MultiPV lines of that depth arrive before the snapshot is taken.
+function scheduleProgress(job) {
+  if (!job.onProgress || job.progressTimer) return;
+
+  const wait = Math.max(
+    0,
+    job.lastProgressAt + job.progressInterval - Date.now()
+  );
+
+  job.progressTimer = setTimeout(() => {
+    job.progressTimer = null;
+    if (job.settled) return;
+
+    const lines = sortedLines(job);
+    const depth = (lines[0] && lines[0].depth) || 0;
+    if (depth <= job.progressDepth) return;
+
+    job.progressDepth = depth;
+    job.lastProgressAt = Date.now();
+
+    const bestMove = lines[0] && lines[0].pv[0];
+    const evaluation = convertToEvaluation(job.fen, { bestMove, lines });
+    evaluation.partial = true;
+
+    try {
+      job.onProgress(evaluation);
+    } catch (err) {
+      console.error("Evaluation progress callback failed:", err);
+    }
+  }, wait);
+}
+
+function sortedLines(job) {
+  return Array.from(job.lines.values()).sort(
+    (a, b) => (a.multipv || 1) - (b.multipv || 1)
+  );
+}
+
+function cancelJob(engine, job, error) {
+  if (job.settled) return;
+  settleJob(job).reject(error);
+
+  if (job !== engine.activeJob) {
+    engine.jobQueue = engine.jobQueue.filter((queued) => queued !== job);
+    return;
+  }
+
+  // Still waiting for option changes; startSearch bails out on its own
+  if (!job.started) return;
+
+  stopSearch(engine, job);
+}
+
+// The next search may only start once the engine reported the stopped
+// search's bestmove, otherwise its output would bleed into the next job.
+function stopSearch(engine, job) {
+  if (!job.stopTimer) {
+    const worker = engine.worker;
+    worker.postMessage("stop");
+    job.stopTimer = setTimeout(() => {
+      handleWorkerError(
+        engine,
+        worker,
+        new EngineError("Stockfish did not stop searching", "crashed")
+      );
+    }, STOP_GRACE_MS);
+  }
+}
+
+function searchJobs(engine, predicate) {
+  const { activeJob } = engine;
+  const jobs = engine.jobQueue.filter((job) => job.type === "search");
+  if (activeJob && activeJob.type === "search" && !activeJob.settled) {
+    jobs.unshift(activeJob);
+  }
+  return jobs.filter(predicate);
+}
+
+function handleWorkerError(engine, worker, error) {
+  // Ignore late errors from a worker we already replaced or shut down
+  if (!worker || worker !== engine.worker) return;
+
+  console.error(`Stockfish worker "${engine.name}" error:`, error);
+
+  const wasRunning =
+    engine.state === EngineState.READY ||
+    engine.state === EngineState.SEARCHING;
+
+  const engineError =
+    error instanceof EngineError
+      ? error
+      : new EngineError(
+          error && error.message
+            ? `Stockfish worker crashed: ${error.message}`
+            : "Stockfish worker crashed",
+          wasRunning ? "crashed" : "load_failed"
+        );
+
+  teardownWorker(engine, engineError);
+  engine.state = EngineState.CRASHED;
+
+  // Respawn transparently if the engine dies mid-game; load failures are
+  // left to the next caller so a bad path does not spin forever.
+  if (wasRunning && engine.respawnAttempts < MAX_RESPAWN_ATTEMPTS) {
+    engine.respawnAttempts++;
+    engine.respawnTimer = setTimeout(() => {
+      engine.respawnTimer = null;
+      initStockfish(null, engine.name).catch((err) => {
+        console.error("Failed to respawn Stockfish:", err);
+      });
+    }, RESPAWN_DELAY_MS * engine.respawnAttempts);
+  }
+}
+
+function teardownWorker(engine, error) {
+  const worker = engine.worker;
+  engine.worker = null;
+  engine.ready = null;
+
+  if (worker) {
+    worker.onmessage = null;
+    worker.onerror = null;
+    worker.terminate();
+  }
+
+  const waiters = engine.handshakeWaiters;
+  engine.handshakeWaiters = [];
+  waiters.forEach((waiter) => waiter.reject(error));
+
+  const { activeJob, jobQueue } = engine;
+  const jobs = activeJob ? [activeJob, ...jobQueue] : jobQueue;
+  engine.activeJob = null;
+  engine.jobQueue = [];
+  jobs.forEach((job) => {
+    clearTimeout(job.stopTimer);
+    if (!job.settled) settleJob(job).reject(error);
+  });
+}
+
+/**
+ * Set a UCI option on one engine instance (default "analysis") and wait
+ * until it acknowledged the change with "readyok". The change is queued
+ * behind running searches, and options are remembered and replayed whenever
+ * the worker is respawned.
+ */
+export async function setEngineOption(
+  name,
+  value,
+  engineName = DEFAULT_ENGINE
+) {
+  const engine = engineFor(engineName);
+  engine.options.set(name, value);
+  await initStockfish(null, engineName);
+
+  return new Promise((resolve, reject) => {
+    engine.jobQueue.push({ type: "option", name, value, resolve, reject });
+    runNextJob(engine);
+  });
 }
 
 /**
  * Evaluate a position given in FEN notation
+ *
+ * Searches run on the `engine` instance named in the options (default
+ * "analysis") and are serialized per instance. A new request supersedes
+ * every earlier one on the same `channel` (default "analysis") of that
+ * instance, whether queued, running or still checking the cache, so only
+ * the latest position of e.g. the eval bar is ever searched or shown; pass
+ * `supersede: false` to keep older requests. An identical
+ * request joins the pending search.
+ *
+ * With `multiPv: N` the result carries the top N candidate `lines`, each
+ * with its score, depth and full principal variation in UCI notation.
+ *
+ * `onProgress(evaluation)` streams intermediate results (flagged `partial`)
+ * as the search deepens, throttled to one per `progressInterval` ms.
+ *
+ * `movetime` limits the search by time (alone or together with `depth`), and
+ * `strength` ({ skillLevel } or { elo }) weakens this one search only.
+ *
+ * Once setEngineSpeed() reported the device's speed, a search limited by
+ * depth alone also gets a time budget, so slow devices answer at a lower
+ * depth instead of timing out; pass `budget: false` to search to full depth.
+ * A search that hits its budget or `timeout` resolves with the best result
+ * found so far, flagged `budget_exhausted`.
+ *
+ * Full-strength searches limited by depth alone go through the evaluation
+ * cache: a stored result at least as deep and wide is returned at once with
+ * `source: "cache"`, and finished searches are stored. Pass `cache: false`
+ * to always search.
+ *
  * @param {string} fen - Position in FEN notation
- * @param {object} options - Evaluation options (depth, time)
+ * @param {object} options - Evaluation options (engine, depth, movetime,
+ *   multiPv, strength, timeout, budget, channel, supersede, onProgress,
+ *   progressInterval, cache)
  * @returns {Promise<object>} Evaluation result with score_cp, advantage, etc.
+ * @throws {EngineError} When the FEN is invalid, the engine is unavailable,
+ *   crashes, times out without any result, is stopped or the request was
+ *   superseded
  */
 export async function evaluatePosition(fen, options = {}) {
-  if (!stockfishWorker || !isEngineReady) {
-    await initStockfish();
+  // Stockfish can crash outright on an impossible position
+  const fenCheck = validateFen(fen);
+  if (!fenCheck.valid) {
+    throw new EngineError(`Invalid FEN: ${fenCheck.error}`, "invalid_fen");
   }
 
-  const depth = options.depth || 12;
-  const evalId = evaluationCounter++;
+  const depth = options.depth || (options.movetime ? null : 12);
+  const budget =
+    options.movetime || options.budget === false ? null : searchBudget(depth);
+  const movetime = options.movetime || budget;
+  const multiPv = Math.max(1, Math.min(MAX_MULTI_PV, options.multiPv || 1));
+  const channel = options.channel || "analysis";
+  const engine = engineFor(options.engine);
 
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      pendingEvaluations.delete(evalId);
-      reject(new Error("Evaluation timeout"));
-    }, options.timeout || 5000);
-
-    pendingEvaluations.set(evalId, {
-      resolve: (score) => {
-        clearTimeout(timeout);
-        resolve(convertToEvaluation(fen, score));
-      },
-      reject,
-      multipv: 1,
-      score: null,
-    });
-
-    // Send position and evaluation command
-    stockfishWorker.postMessage("position fen " + fen);
-    stockfishWorker.postMessage(`go depth ${depth}`);
+  // Time-limited and weakened searches are not reproducible enough to reuse
+  const cacheable =
+    options.cache !== false && !options.movetime && !options.strength;
+  const searchOptions = buildSearchOptions(multiPv, options.strength);
+  const searchKey = JSON.stringify([fen, depth, movetime, searchOptions]);
+  // Claimed before any await, so a request whose cache lookup or engine start
+  // finishes late cannot supersede one made after it
+  const request =
+    options.supersede !== false
+      ? claimChannel(engine, channel, searchKey)
+      : null;
+
+  if (cacheable) {
+    const cached = await getCachedEvaluation(fen, { depth, multiPv });
+    throwIfSuperseded(engine, channel, request);
+    if (cached) {
+      if (request !== null) supersedeChannel(engine, channel);
+      return cached;
+    }
+  }
+
+  await initStockfish(null, engine.name);
+  throwIfSuperseded(engine, channel, request);
+
+  if (request !== null) {
+    const duplicate = searchJobs(
+      engine,
+      (job) => job.channel === channel && job.searchKey === searchKey
+    )[0];
+    if (duplicate) {
+      duplicate.onProgress = duplicate.onProgress || options.onProgress;
+      return duplicate.promise;
+    }
+
+    supersedeChannel(engine, channel);
+  }
+
+  const job = {
+    type: "search",
+    id: jobCounter++,
+    fen,
+    depth,
+    movetime,
+    multiPv,
+    searchOptions,
+    searchKey,
+    channel,
+    timeout:
+      options.timeout ||
+      (movetime ? movetime + TIMEOUT_GRACE_MS : DEFAULT_TIMEOUT_MS),
+    lines: new Map(),
+    onProgress: options.onProgress || null,
+    progressInterval: options.progressInterval || DEFAULT_PROGRESS_INTERVAL_MS,
+    progressTimer: null,
+    progressDepth: 0,
+    lastProgressAt: 0,
+    started: false,
+    settled: false,
+    budgetExhausted: false,
+  };
+
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
   });
+
+  engine.jobQueue.push(job);
+  runNextJob(engine);
+
+  if (cacheable) {
+    // A search cut short only stands for the depth it actually reached
+    job.promise.then(
+      (evaluation) =>
+        cacheEvaluation(
+          fen,
+          {
+            depth: evaluation.budget_exhausted
+              ? evaluation.depth || 0
+              : Math.max(depth, evaluation.depth || 0),
+            multiPv,
+          },
+          evaluation
+        ),
+      () => {}
+    );
+  }
+
+  return job.promise;
 }
 
 /**
- * Convert Stockfish score to evaluation format expected by the app
+ * Tell the client how fast the engine runs on this device (nodes per
+ * second, see engine-benchmark.js) so depth requests get time budgets.
+ * Pass null to search by depth alone again.
+ */
+export function setEngineSpeed(nps) {
+  deviceNps = nps > 0 ? nps : null;
+}
+
+// Time in ms a depth-limited search may take on this device, or null while
+// the speed is unknown
+function searchBudget(depth) {
+  if (!deviceNps || !depth) return null;
+
+  const nodes = NODES_AT_DEPTH_12 * Math.pow(NODE_GROWTH_PER_PLY, depth - 12);
+  const ms = (nodes / deviceNps) * 1000 * BUDGET_HEADROOM;
+  return Math.round(Math.max(MIN_BUDGET_MS, Math.min(MAX_BUDGET_MS, ms)));
+}
+
+function supersededError() {
+  return new EngineError(
+    "Evaluation superseded by a newer position",
+    "superseded"
+  );
+}
+
+function supersedeChannel(engine, channel) {
+  const superseded = supersededError();
+  searchJobs(engine, (job) => job.channel === channel).forEach((job) =>
+    cancelJob(engine, job, superseded)
+  );
+}
+
+function claimChannel(engine, channel, searchKey) {
+  const latest = engine.channelRequests.get(channel);
+  const request = { id: latest ? latest.id + 1 : 1, searchKey };
+  engine.channelRequests.set(channel, request);
+  return request;
+}
+
+// A newer request on the channel arrived while this one was waiting; an
+// identical one does not count, since it joins this search
+function throwIfSuperseded(engine, channel, request) {
+  const latest = engine.channelRequests.get(channel);
+  if (
+    request !== null &&
+    latest !== request &&
+    latest.searchKey !== request.searchKey
+  ) {
+    throw supersededError();
+  }
+}
+
+function buildSearchOptions(multiPv, strength) {
+  const searchOptions = { ...SEARCH_OPTION_DEFAULTS, MultiPV: multiPv };
+
+  if (!strength) return searchOptions;
+
+  if (strength.elo) {
+    searchOptions.UCI_LimitStrength = true;
+    searchOptions.UCI_Elo = Math.round(strength.elo);
+  } else if (strength.skillLevel !== undefined) {
+    searchOptions["Skill Level"] = Math.max(
+      0,
+      Math.min(20, Math.round(strength.skillLevel))
+    );
+  }
+
+  return searchOptions;
+}
+
+/**
+ * Convert Stockfish search output to evaluation format expected by the app
  * Always returns evaluation from White's perspective (positive = White better)
  */
-function convertToEvaluation(fen, score) {
+function convertToEvaluation(fen, { bestMove, lines }) {
+  const primary = lines[0] || { score: { type: "cp", value: 0 } };
+  const { scoreCp, displayScore, mate } = whitePerspectiveScore(
+    fen,
+    primary.score
+  );
+  const { win, draw, loss } = whitePerspectiveWdl(fen, primary);
+
+  // Advantage based on White's perspective
+  // Use 50 centipawns (0.5 pawns) threshold - anything more is a clear advantage
+  const advantage = scoreCp > 50 ? "white" : scoreCp < -50 ? "black" : "equal";
+
+  // White's expected score: a draw counts as half a win
+  const whitePercentage = win + draw / 2;
+
+  const evaluation = {
+    score_cp: scoreCp,
+    display_score: displayScore,
+    mate: mate,
+    white_percentage: parseFloat(whitePercentage.toFixed(2)),
+    win: parseFloat(win.toFixed(1)),
+    draw: parseFloat(draw.toFixed(1)),
+    loss: parseFloat(loss.toFixed(1)),
+    wdl_source:
+      primary.wdl && primary.score.type !== "mate" ? "engine" : "model",
+    advantage: advantage,
+    depth: primary.depth || null,
+    nodes: primary.nodes || null,
+    nps: primary.nps || null,
+    lines: lines.map((line) => convertLine(fen, line)),
+    source: "stockfish_wasm",
+  };
+
+  // Include best move if available
+  if (bestMove) {
+    evaluation.best_move = parseBestMove(fen, bestMove);
+  }
+
+  return evaluation;
+}
+
+function convertLine(fen, line) {
+  const { scoreCp, displayScore, mate } = whitePerspectiveScore(
+    fen,
+    line.score
+  );
+
+  return {
+    rank: line.multipv || 1,
+    score_cp: scoreCp,
+    display_score: displayScore,
+    mate: mate,
+    depth: line.depth || null,
+    seldepth: line.seldepth || null,
+    nodes: line.nodes || null,
+    nps: line.nps || null,
+    move: line.pv[0] || null,
+    pv: line.pv,
+  };
+}
+
+function whitePerspectiveScore(fen, score) {
   // Parse FEN to determine whose turn it is
   // FEN format: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
   // The second field (w/b) indicates whose turn it is
@@ -138,10 +960,6 @@ function convertToEvaluation(fen, score) {
     scoreCp = -scoreCp;
   }
 
-  // Advantage based on White's perspective
-  // Use 50 centipawns (0.5 pawns) threshold - anything more is a clear advantage
-  const advantage = scoreCp > 50 ? "white" : scoreCp < -50 ? "black" : "equal";
-
   // Display score from White's perspective
   const displayScore =
     score.type === "mate"
@@ -150,41 +968,55 @@ function convertToEvaluation(fen, score) {
         : `-M${Math.abs(score.value)}`
       : formatScore(scoreCp);
 
-  // White's win percentage
-  const whitePercentage = clampToPercentage(scoreCp);
+  // Signed moves to mate: positive when White mates, negative when Black does
+  const mate =
+    score.type === "mate"
+      ? (scoreCp > 0 ? 1 : -1) * Math.abs(score.value)
+      : null;
 
-  const evaluation = {
-    score_cp: scoreCp,
-    display_score: displayScore,
-    white_percentage: parseFloat(whitePercentage.toFixed(2)),
-    advantage: advantage,
-    source: "stockfish_wasm",
-  };
+  return { scoreCp, displayScore, mate };
+}
 
-  // Include best move if available
-  if (score.bestMove) {
-    evaluation.best_move = parseBestMove(score.bestMove);
+/**
+ * Win/draw/loss percentages from White's perspective, taken from the
+ * engine's UCI_ShowWDL output when present and from the logistic model
+ * otherwise. Forced mates are reported as certain.
+ */
+function whitePerspectiveWdl(fen, line) {
+  const isBlackToMove = fen.split(" ")[1] === "b";
+  const { score } = line;
+
+  let wdl;
+  if (score.type === "mate") {
+    // "mate 0" means the side to move is already checkmated
+    wdl = score.value > 0 ? [1000, 0, 0] : [0, 0, 1000];
+  } else if (line.wdl && line.wdl.length === 3) {
+    wdl = line.wdl;
+  } else {
+    wdl = modelWdl(score.value);
   }
 
-  return evaluation;
+  const [win, draw, loss] = isBlackToMove ? [wdl[2], wdl[1], wdl[0]] : wdl;
+  return { win: win / 10, draw: draw / 10, loss: loss / 10 };
+}
+
+function modelWdl(cp) {
+  const win =
+    1 / (1 + Math.exp((WDL_MODEL_CENTER_CP - cp) / WDL_MODEL_SCALE_CP));
+  const loss =
+    1 / (1 + Math.exp((WDL_MODEL_CENTER_CP + cp) / WDL_MODEL_SCALE_CP));
+  return [win * 1000, (1 - win - loss) * 1000, loss * 1000];
 }
 
 /**
- * Parse UCI move format (e.g., "e2e4", "e7e8q") into structured format
+ * Parse UCI move format (e.g., "e2e4", "e7e8q") into structured format,
+ * adding its SAN. `promotion` is only set when the engine named a piece.
  */
-function parseBestMove(uciMove) {
-  if (!uciMove || uciMove.length < 4) return null;
-
-  const from = uciMove.substring(0, 2);
-  const to = uciMove.substring(2, 4);
-  const promotion = uciMove.length > 4 ? uciMove.substring(4, 5) : "q";
+function parseBestMove(fen, uciMove) {
+  const move = parseUciMove(uciMove);
+  if (!move) return null;
 
-  return {
-    from: from,
-    to: to,
-    promotion: promotion,
-    uci: uciMove,
-  };
+  return { ...move, san: uciToSan(fen, uciMove) };
 }
 
 function formatScore(cp) {
@@ -192,27 +1024,46 @@ function formatScore(cp) {
   return pawns >= 0 ? `+${pawns.toFixed(2)}` : pawns.toFixed(2);
 }
 
-function clampToPercentage(cp) {
-  // Convert centipawns to percentage using a sigmoid-like function
-  // Similar to the server-side implementation
-  const cappedCp = Math.max(-1500, Math.min(1500, cp));
-  const normalized = cappedCp / 1500; // -1 to 1
-  // Map to 0-100% with a smoother curve
-  return 50 + normalized * 50;
-}
+/**
+ * Cancel queued and running searches, optionally only those on one channel
+ * and/or one engine instance
+ */
+export function stopEvaluation(channel, engineName) {
+  const cancelled = new EngineError("Evaluation cancelled", "cancelled");
 
-export function stopEvaluation() {
-  if (stockfishWorker && isEngineReady) {
-    stockfishWorker.postMessage("stop");
-    pendingEvaluations.clear();
+  for (const engine of enginesNamed(engineName)) {
+    searchJobs(engine, (job) => !channel || job.channel === channel).forEach(
+      (job) => cancelJob(engine, job, cancelled)
+    );
   }
 }
 
-export function shutdownEngine() {
-  if (stockfishWorker) {
-    stockfishWorker.postMessage("quit");
-    stockfishWorker = null;
-    isEngineReady = false;
-    pendingEvaluations.clear();
+/**
+ * Quit one engine instance, or every instance when no name is given
+ */
+export function shutdownEngine(engineName) {
+  const shutdown = new EngineError(
+    "Stockfish engine was shut down",
+    "shutdown"
+  );
+
+  for (const engine of enginesNamed(engineName)) {
+    if (engine.respawnTimer) {
+      clearTimeout(engine.respawnTimer);
+      engine.respawnTimer = null;
+    }
+
+    if (engine.worker) {
+      engine.worker.postMessage("quit");
+    }
+
+    teardownWorker(engine, shutdown);
+    engine.state = EngineState.IDLE;
+    engine.respawnAttempts = 0;
   }
 }
+
+function enginesNamed(engineName) {
+  if (!engineName) return Array.from(engines.values());
+  return engines.has(engineName) ? [engines.get(engineName)] : [];
+}
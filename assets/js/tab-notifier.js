@@ -0,0 +1,225 @@
+/**
+ * Tells a player whose tab is in the background that something happened:
+ * the tab title flashes, the favicon gets a badge and, if they opted in and
+ * the browser allows it, a system notification pops up. Sounds alone are
+ * not enough there, since autoplay rules or the mute setting may silence
+ * them. Everything is undone as soon as the tab is visible again.
+ */
+
+import { objectSetting } from "./settings-storage.js";
+
+const FLASH_INTERVAL_MS = 1000;
+const ICON_SIZE = 64;
+const BADGE_COLOR = "#dc2626";
+
+// Title shown for each event the server sends with "notify"
+export const NOTIFY_EVENTS = Object.freeze({
+  opponent_moved: "♟ Your move",
+  opponent_joined: "♟ Opponent joined",
+  game_ended: "♟ Game over",
+});
+
+// One switch per event, plus `desktop` for system notifications
+export const DEFAULT_NOTIFY_SETTINGS = Object.freeze({
+  opponent_moved: true,
+  opponent_joined: true,
+  game_ended: true,
+  desktop: false,
+});
+
+const settingsStorage = objectSetting("live-chess:notifications", (stored) => {
+  const settings = { ...DEFAULT_NOTIFY_SETTINGS };
+  for (const key of Object.keys(settings)) {
+    if (stored && typeof stored[key] === "boolean") settings[key] = stored[key];
+  }
+  return settings;
+});
+
+export function notifySettings(storage) {
+  return settingsStorage.load(storage);
+}
+
+export function saveNotifySettings(changes, storage) {
+  return settingsStorage.save(changes, storage);
+}
+
+export class TabNotifier {
+  /**
+   * @param {Document} doc - Whose title and favicon to change
+   * @param {function} settings - Returns the current notifySettings()
+   */
+  constructor(doc, settings = notifySettings) {
+    this.doc = doc;
+    this.settings = settings;
+    this.alertTitle = null;
+    this.originalTitle = null;
+    this.flashTimer = null;
+    this.icons = null;
+    this.notification = null;
+
+    this.handleVisibilityChange = () => {
+      if (!this.doc.hidden) this.clear();
+    };
+    doc.addEventListener("visibilitychange", this.handleVisibilityChange);
+  }
+
+  destroy() {
+    this.clear();
+    this.doc.removeEventListener(
+      "visibilitychange",
+      this.handleVisibilityChange
+    );
+  }
+
+  notify(event, body) {
+    const title = NOTIFY_EVENTS[event];
+    const settings = this.settings();
+    if (!title || !this.doc.hidden || !settings[event]) return;
+
+    this.flashTitle(title);
+    this.showBadge();
+    if (settings.desktop) this.showNotification(title, body);
+  }
+
+  clear() {
+    clearInterval(this.flashTimer);
+    this.flashTimer = null;
+    if (this.alertTitle && this.doc.title === this.alertTitle) {
+      this.doc.title = this.originalTitle;
+    }
+    this.alertTitle = null;
+
+    if (this.icons) {
+      this.icons.forEach(({ link, href, type }) => {
+        link.href = href;
+        if (type) {
+          link.type = type;
+        } else {
+          link.removeAttribute("type");
+        }
+      });
+      this.icons = null;
+    }
+
+    if (this.notification) {
+      this.notification.close();
+      this.notification = null;
+    }
+  }
+
+  // Alternate between the page's title and `title`; the latest event wins
+  flashTitle(title) {
+    this.alertTitle = title;
+    if (!this.flashTimer) {
+      this.originalTitle = this.doc.title;
+      this.flashTimer = setInterval(
+        () => this.toggleTitle(),
+        FLASH_INTERVAL_MS
+      );
+    }
+    this.doc.title = title;
+  }
+
+  toggleTitle() {
+    const current = this.doc.title;
+    // LiveView may have set a new page title in the meantime
+    if (current !== this.alertTitle && current !== this.originalTitle) {
+      this.originalTitle = current;
+    }
+    this.doc.title =
+      current === this.alertTitle ? this.originalTitle : this.alertTitle;
+  }
+
+  showBadge() {
+    if (this.icons) return;
+
+    const links = Array.from(this.doc.querySelectorAll('link[rel~="icon"]'));
+    if (links.length === 0) return;
+
+    const icons = links.map((link) => ({
+      link,
+      href: link.href,
+      type: link.type,
+    }));
+    this.icons = icons;
+
+    badgedIcon(this.doc, links[0].href).then(
+      (url) => {
+        // The tab may have come back while the icon was drawn
+        if (this.icons !== icons) return;
+        links.forEach((link) => {
+          link.type = "image/png";
+          link.href = url;
+        });
+      },
+      () => {
+        // Keep the plain favicon; the title still flashes
+      }
+    );
+  }
+
+  showNotification(title, body) {
+    const Notify = globalThis.Notification;
+    if (!Notify || Notify.permission !== "granted") return;
+
+    if (this.notification) this.notification.close();
+    try {
+      const notification = new Notify(title, { body, tag: "live-chess" });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+      this.notification = notification;
+    } catch (_err) {
+      // Some mobile browsers only allow notifications from a service worker
+    }
+  }
+}
+
+/**
+ * Ask for permission to show system notifications; resolves to whether it
+ * was granted. Must be called from a user gesture.
+ */
+export async function requestNotifyPermission() {
+  const Notify = globalThis.Notification;
+  if (!Notify) return false;
+  if (Notify.permission !== "default") return Notify.permission === "granted";
+
+  try {
+    return (await Notify.requestPermission()) === "granted";
+  } catch (_err) {
+    return false;
+  }
+}
+
+// The favicon at `src` with a red dot in its corner, as a data URL
+function badgedIcon(doc, src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = doc.createElement("canvas");
+      canvas.width = ICON_SIZE;
+      canvas.height = ICON_SIZE;
+
+      const ctx = canvas.getContext("2d");
+      ctx.drawImage(image, 0, 0, ICON_SIZE, ICON_SIZE);
+      ctx.beginPath();
+      ctx.arc(
+        ICON_SIZE * 0.74,
+        ICON_SIZE * 0.26,
+        ICON_SIZE * 0.24,
+        0,
+        2 * Math.PI
+      );
+      ctx.fillStyle = BADGE_COLOR;
+      ctx.fill();
+      ctx.lineWidth = ICON_SIZE * 0.06;
+      ctx.strokeStyle = "#ffffff";
+      ctx.stroke();
+
+      resolve(canvas.toDataURL("image/png"));
+    };
+    image.onerror = reject;
+    image.src = src;
+  });
+}
@@ -0,0 +1,92 @@
+/**
+ * Build the bundled opening book and opening names from an ECO table.
+ *
+ *     node scripts/build-opening-book.js path/to/codes.json
+ *
+ * The input maps FENs to { eco, name, moves } with `moves` in SAN, as in
+ * the MIT-licensed `chess-eco-codes` package. Every named line becomes a
+ * path through the Polyglot book (weighted by how many named lines share
+ * each move), and every named position an entry in openings.json.
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { START_FEN, findMove, makeMove, parseFen } from "../js/chess-rules.js";
+import { polyglotKey } from "../js/opening-book.js";
+
+const ASSETS_DIR = join(dirname(fileURLToPath(import.meta.url)), "..");
+const PROMOTION_CODES = { n: 1, b: 2, r: 3, q: 4 };
+const CASTLING_TARGETS = { e1g1: "h1", e1c1: "a1", e8g8: "h8", e8c8: "a8" };
+
+const [input] = process.argv.slice(2);
+if (!input) {
+  console.error("Usage: node scripts/build-opening-book.js path/to/codes.json");
+  process.exit(1);
+}
+
+const table = JSON.parse(readFileSync(input, "utf8"));
+const weights = new Map(); // "key:move" -> number of lines through it
+const names = {};
+
+for (const { eco, name, moves } of Object.values(table)) {
+  const sans = moves.split(/\s+/).filter((token) => !/^\d+\.$/.test(token));
+  let position = parseFen(START_FEN);
+
+  for (const san of sans) {
+    const move = findMove(position, san);
+    if (!move) {
+      console.warn(`Skipping ${eco} ${name}: illegal move ${san}`);
+      break;
+    }
+
+    const entry = `${polyglotKey(position)}:${encodeMove(move)}`;
+    weights.set(entry, (weights.get(entry) || 0) + 1);
+    position = makeMove(position, move.uci);
+  }
+
+  const key = polyglotKey(position).toString(16).padStart(16, "0");
+  names[key] = names[key] || [eco, name];
+}
+
+const entries = [...weights.entries()]
+  .map(([entry, weight]) => {
+    const [key, move] = entry.split(":");
+    return { key: BigInt(key), move: Number(move), weight };
+  })
+  .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : a.move - b.move));
+
+const book = new DataView(new ArrayBuffer(entries.length * 16));
+entries.forEach(({ key, move, weight }, index) => {
+  book.setBigUint64(index * 16, key);
+  book.setUint16(index * 16 + 8, move);
+  book.setUint16(index * 16 + 10, Math.min(weight, 0xffff));
+  book.setUint32(index * 16 + 12, 0);
+});
+
+writeFileSync(
+  join(ASSETS_DIR, "opening-book.bin"),
+  new Uint8Array(book.buffer)
+);
+writeFileSync(join(ASSETS_DIR, "openings.json"), JSON.stringify(names));
+
+console.log(
+  `Wrote ${entries.length} book entries and ${Object.keys(names).length} names`
+);
+
+// Polyglot move bits, with castling written as the king taking its rook
+function encodeMove(move) {
+  const to =
+    CASTLING_TARGETS[move.uci] && move.flag === "castle"
+      ? CASTLING_TARGETS[move.uci]
+      : move.to;
+  const square = (name) =>
+    (name.charCodeAt(1) - 49) * 8 + (name.charCodeAt(0) - 97);
+
+  return (
+    square(to) |
+    (square(move.from) << 6) |
+    ((PROMOTION_CODES[move.promotion] || 0) << 12)
+  );
+}
@@ -0,0 +1,58 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { planAnimation } from "../js/board-animation.js";
+
+describe("move animation plan", () => {
+  test("slides a moved piece and fades out what it captured", () => {
+    const plan = planAnimation(
+      { e4: "wp", d5: "bp", e1: "wk" },
+      { d5: "wp", e1: "wk" }
+    );
+
+    assert.deepEqual(plan, {
+      moves: [{ from: "e4", to: "d5", promotion: false }],
+      captures: ["d5"],
+      appears: [],
+    });
+  });
+
+  test("moves king and rook when castling", () => {
+    const plan = planAnimation({ e1: "wk", h1: "wr" }, { g1: "wk", f1: "wr" });
+
+    assert.deepEqual(plan.moves.map(({ from, to }) => from + to).sort(), [
+      "e1g1",
+      "h1f1",
+    ]);
+  });
+
+  test("fades out the pawn taken en passant", () => {
+    const plan = planAnimation({ e5: "wp", d5: "bp" }, { d6: "wp" });
+
+    assert.deepEqual(plan.moves, [{ from: "e5", to: "d6", promotion: false }]);
+    assert.deepEqual(plan.captures, ["d5"]);
+  });
+
+  test("turns the pawn into the promoted piece, both ways", () => {
+    const forward = planAnimation({ e7: "wp", d8: "br" }, { d8: "wq" });
+    assert.deepEqual(forward.moves, [
+      { from: "e7", to: "d8", promotion: true },
+    ]);
+    assert.deepEqual(forward.captures, ["d8"]);
+
+    const back = planAnimation({ d8: "wq" }, { e7: "wp", d8: "br" });
+    assert.deepEqual(back.moves, [{ from: "d8", to: "e7", promotion: true }]);
+    assert.deepEqual(back.appears, ["d8"]);
+  });
+
+  test("gives up on changes bigger than one ply", () => {
+    assert.equal(planAnimation({ e2: "wp" }, { e2: "wp" }), null);
+    assert.equal(
+      planAnimation(
+        { e2: "wp", d2: "wp", g1: "wn" },
+        { e4: "wp", d4: "wp", f3: "wn" }
+      ),
+      null
+    );
+  });
+});
@@ -0,0 +1,70 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  NO_ANNOTATIONS,
+  brushFor,
+  loadAnnotations,
+  sanitizeAnnotations,
+  saveAnnotations,
+  toggleAnnotation,
+} from "../js/board-annotations.js";
+import { MemoryStorage } from "./support/memory-storage.js";
+
+describe("board annotations", () => {
+  test("modifier keys pick the brush", () => {
+    assert.equal(brushFor({}), "green");
+    assert.equal(brushFor({ shiftKey: true }), "red");
+    assert.equal(brushFor({ altKey: true }), "blue");
+    assert.equal(brushFor({ ctrlKey: true }), "blue");
+    assert.equal(brushFor({ shiftKey: true, altKey: true }), "yellow");
+  });
+
+  test("drawing a shape again recolours or removes it", () => {
+    const arrow = { from: "e2", to: "e4", brush: "green" };
+    const mark = { square: "d5", brush: "red" };
+
+    let annotations = toggleAnnotation(NO_ANNOTATIONS, arrow);
+    annotations = toggleAnnotation(annotations, mark);
+    assert.deepEqual(annotations, { arrows: [arrow], marks: [mark] });
+
+    annotations = toggleAnnotation(annotations, { ...mark, brush: "blue" });
+    assert.deepEqual(annotations.marks, [{ square: "d5", brush: "blue" }]);
+
+    annotations = toggleAnnotation(annotations, arrow);
+    assert.deepEqual(annotations.arrows, []);
+  });
+
+  test("are stored per room and ply", () => {
+    const storage = new MemoryStorage();
+    const drawn = {
+      arrows: [{ from: "g1", to: "f3", brush: "green" }],
+      marks: [],
+    };
+
+    saveAnnotations("room1", 4, drawn, storage);
+    assert.deepEqual(loadAnnotations("room1", 4, storage), drawn);
+    assert.deepEqual(loadAnnotations("room1", 5, storage), NO_ANNOTATIONS);
+    assert.deepEqual(loadAnnotations("room2", 4, storage), NO_ANNOTATIONS);
+
+    saveAnnotations("room1", 4, NO_ANNOTATIONS, storage);
+    assert.equal(storage.items.size, 0);
+  });
+
+  test("drop malformed shapes", () => {
+    const annotations = sanitizeAnnotations({
+      arrows: [
+        { from: "e2", to: "e4", brush: "green", extra: 1 },
+        { from: "e2", to: "z9", brush: "green" },
+        { from: "e2", to: "e4", brush: "purple" },
+      ],
+      marks: "d5",
+    });
+
+    assert.deepEqual(annotations, {
+      arrows: [{ from: "e2", to: "e4", brush: "green" }],
+      marks: [],
+    });
+    assert.deepEqual(sanitizeAnnotations(null), NO_ANNOTATIONS);
+  });
+});
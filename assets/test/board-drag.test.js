@@ -0,0 +1,28 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { isLegalDrop } from "../js/board-drag.js";
+
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+// White to move, in check from the bishop on b4
+const CHECK_FEN =
+  "rnbqk1nr/pppp1ppp/8/4p3/1b1P4/8/PPP1PPPP/RNBQKBNR w KQkq - 1 3";
+
+describe("drop decisions", () => {
+  test("legal moves are accepted without waiting for move dots", () => {
+    assert.equal(isLegalDrop(START_FEN, "e2", "e4"), true);
+    assert.equal(isLegalDrop(START_FEN, "g1", "f3"), true);
+  });
+
+  test("illegal targets, the origin and the opponent's pieces are refused", () => {
+    assert.equal(isLegalDrop(START_FEN, "e2", "e5"), false);
+    assert.equal(isLegalDrop(START_FEN, "e2", "e2"), false);
+    assert.equal(isLegalDrop(START_FEN, "e7", "e5"), false);
+    assert.equal(isLegalDrop(undefined, "e2", "e4"), false);
+  });
+
+  test("a drop that leaves the king in check is refused", () => {
+    assert.equal(isLegalDrop(CHECK_FEN, "a2", "a3"), false);
+    assert.equal(isLegalDrop(CHECK_FEN, "c2", "c3"), true);
+  });
+});
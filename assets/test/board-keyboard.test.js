@@ -0,0 +1,194 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { BoardKeyboard } from "../js/board-keyboard.js";
+
+const SQUARE_SELECTOR = 'button[phx-click="select_square"]';
+const FILES = "abcdefgh";
+
+// A freshly rendered square button: LiveView leaves buttons in the tab
+// order until the cursor takes them out
+class FakeButton {
+  constructor(board, square, active) {
+    this.board = board;
+    this.square = square;
+    this.active = active;
+    this.tabIndex = 0;
+  }
+
+  getAttribute(name) {
+    return name === "phx-value-square" ? this.square : null;
+  }
+
+  closest(selector) {
+    return selector === SQUARE_SELECTOR ? this : null;
+  }
+
+  focus() {
+    this.board.focused = this;
+    this.board.dispatch("focusin", { target: this });
+  }
+}
+
+// The board's buttons in screen order, White's side down unless `flipped`
+class FakeBoard {
+  constructor({ flipped = false } = {}) {
+    this.flipped = flipped;
+    this.listeners = [];
+    this.focused = null;
+    this.render();
+  }
+
+  render(selected = null) {
+    const ranks = this.flipped ? "12345678" : "87654321";
+    const files = this.flipped ? [...FILES].reverse().join("") : FILES;
+    this.buttons = [...ranks].flatMap((rank) =>
+      [...files].map(
+        (file) => new FakeButton(this, file + rank, file + rank === selected)
+      )
+    );
+  }
+
+  button(square) {
+    return this.buttons.find((button) => button.square === square);
+  }
+
+  querySelectorAll(selector) {
+    return selector === SQUARE_SELECTOR ? this.buttons : [];
+  }
+
+  querySelector(selector) {
+    if (selector !== `${SQUARE_SELECTOR}.chess-square-active`) return null;
+    return this.buttons.find((button) => button.active) || null;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push({ type, listener });
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter(
+      (item) => item.type !== type || item.listener !== listener
+    );
+  }
+
+  dispatch(type, event) {
+    this.listeners
+      .filter((item) => item.type === type)
+      .forEach((item) => item.listener(event));
+  }
+
+  // Press `key` on the focused square; whether the board took it
+  press(key, modifiers = {}) {
+    let prevented = false;
+    this.dispatch("keydown", {
+      key,
+      target: this.focused,
+      preventDefault: () => (prevented = true),
+      ...modifiers,
+    });
+    return prevented;
+  }
+
+  // The squares in the tab order
+  tabStops() {
+    return this.buttons
+      .filter((button) => button.tabIndex === 0)
+      .map((button) => button.square);
+  }
+}
+
+// Focus `square`, press `keys` in turn, and say where the focus ended up
+const walk = (board, square, keys) => {
+  board.button(square).focus();
+  keys.forEach((key) => board.press(key));
+  return board.focused.square;
+};
+
+describe("BoardKeyboard", () => {
+  test("arrow keys move the cursor over the board", () => {
+    const board = new FakeBoard();
+    new BoardKeyboard(board);
+
+    assert.equal(walk(board, "e2", ["ArrowUp", "ArrowUp"]), "e4");
+    assert.equal(walk(board, "e2", ["ArrowRight"]), "f2");
+    assert.equal(walk(board, "e2", ["ArrowLeft", "ArrowDown"]), "d1");
+    assert.equal(walk(board, "e2", ["Home"]), "a2");
+    assert.equal(walk(board, "e2", ["End"]), "h2");
+  });
+
+  test("follow the screen when the board is flipped", () => {
+    const board = new FakeBoard({ flipped: true });
+    new BoardKeyboard(board);
+
+    assert.equal(walk(board, "e7", ["ArrowUp", "ArrowUp"]), "e5");
+    assert.equal(walk(board, "e7", ["ArrowRight"]), "d7");
+    assert.equal(walk(board, "e7", ["ArrowLeft", "ArrowDown"]), "f8");
+    assert.equal(walk(board, "e7", ["Home"]), "h7");
+  });
+
+  test("stop at the edges", () => {
+    const board = new FakeBoard();
+    new BoardKeyboard(board);
+
+    assert.equal(walk(board, "a1", ["ArrowLeft", "ArrowDown"]), "a1");
+    assert.equal(walk(board, "h8", ["ArrowRight", "ArrowUp"]), "h8");
+    assert.equal(walk(board, "a8", Array(10).fill("ArrowRight")), "h8");
+
+    // The key is still taken, so the page does not scroll instead
+    board.button("a1").focus();
+    assert.equal(board.press("ArrowDown"), true);
+  });
+
+  test("leaves other keys and shortcuts alone", () => {
+    const board = new FakeBoard();
+    new BoardKeyboard(board);
+    board.button("e2").focus();
+
+    assert.equal(board.press("Enter"), false);
+    assert.equal(board.press("ArrowUp", { altKey: true }), false);
+    assert.equal(board.press("ArrowUp", { metaKey: true }), false);
+    assert.equal(board.focused.square, "e2");
+  });
+
+  test("the board is one tab stop, at the cursor", () => {
+    const board = new FakeBoard();
+    new BoardKeyboard(board);
+    assert.deepEqual(board.tabStops(), ["a8"]);
+
+    walk(board, "e2", ["ArrowUp"]);
+    assert.deepEqual(board.tabStops(), ["e3"]);
+  });
+
+  test("the tab stop survives a re-render", () => {
+    const board = new FakeBoard();
+    const keyboard = new BoardKeyboard(board);
+    walk(board, "g1", ["ArrowUp"]);
+
+    board.render("b1");
+    keyboard.refresh();
+    assert.deepEqual(board.tabStops(), ["g2"]);
+  });
+
+  test("before any key, the tab stop is the selected square", () => {
+    const board = new FakeBoard();
+    const keyboard = new BoardKeyboard(board);
+
+    board.render("b1");
+    keyboard.refresh();
+    assert.deepEqual(board.tabStops(), ["b1"]);
+
+    board.render();
+    keyboard.refresh();
+    assert.deepEqual(board.tabStops(), ["a8"]);
+  });
+
+  test("stops listening once destroyed", () => {
+    const board = new FakeBoard();
+    new BoardKeyboard(board).destroy();
+
+    board.button("e2").focus();
+    assert.equal(board.press("ArrowUp"), false);
+    assert.equal(board.listeners.length, 0);
+  });
+});
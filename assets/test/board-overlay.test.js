@@ -0,0 +1,57 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ARROW_COLORS, BoardOverlay } from "../js/board-overlay.js";
+import { drawn, installFakeBoard } from "./support/fake-board.js";
+
+const hint = { from: "g1", to: "f3", color: ARROW_COLORS.hint };
+const threat = { from: "d8", to: "h4", color: ARROW_COLORS.threat };
+
+describe("BoardOverlay", () => {
+  let svg;
+  let overlay;
+
+  beforeEach(() => {
+    svg = installFakeBoard();
+    overlay = new BoardOverlay(svg, "chess-board");
+  });
+
+  test("draws arrows between square centers", () => {
+    overlay.setArrows("engine", [hint]);
+
+    assert.deepEqual(drawn(svg), [`polygon ${ARROW_COLORS.hint}`]);
+    // The tip is at the middle of f3
+    const tip = svg.children[0].getAttribute("points").split(" ")[3];
+    const [x, y] = tip.split(",").map(Number);
+    assert.ok(Math.abs(x - 275) < 1e-9 && Math.abs(y - 275) < 1e-9, tip);
+  });
+
+  test("marks go under arrows, whatever the layer order", () => {
+    overlay.setArrows("engine", [hint]);
+    overlay.setMarks("annotations", [{ square: "e4", color: "red" }]);
+
+    assert.deepEqual(drawn(svg), [
+      "circle red",
+      `polygon ${ARROW_COLORS.hint}`,
+    ]);
+  });
+
+  test("layers are cleared on their own", () => {
+    overlay.setArrows("engine", [hint, threat]);
+    overlay.setArrows("annotations", [{ from: "e2", to: "e4", color: "blue" }]);
+
+    overlay.clear("engine");
+    assert.deepEqual(drawn(svg), ["polygon blue"]);
+
+    overlay.clear();
+    assert.deepEqual(drawn(svg), []);
+  });
+
+  test("skips arrows that go nowhere or off the board", () => {
+    overlay.setArrows("engine", [
+      { from: "e2", to: "e2", color: "blue" },
+      { from: "e2", to: "e9", color: "blue" },
+    ]);
+    assert.deepEqual(drawn(svg), []);
+  });
+});
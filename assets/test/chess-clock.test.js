@@ -0,0 +1,59 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ClockModel,
+  LowTimeAlerts,
+  formatClock,
+  lowTimeThresholds,
+} from "../js/chess-clock.js";
+
+const SNAPSHOT = {
+  white_ms: 60000,
+  black_ms: 45000,
+  running: "white",
+  initial_ms: 180000,
+  increment_ms: 2000,
+};
+
+describe("chess clock", () => {
+  test("counts the running side down from the snapshot", () => {
+    const model = new ClockModel();
+    model.sync(SNAPSHOT, 1000);
+
+    assert.equal(model.remaining("white", 3500), 57500);
+    assert.equal(model.remaining("black", 3500), 45000);
+    assert.equal(model.remaining("white", 100000), 0);
+  });
+
+  test("compensates for half the round trip", () => {
+    const model = new ClockModel();
+    model.recordRoundTrip(200);
+    model.sync(SNAPSHOT, 1000);
+
+    // The snapshot was taken 100ms before it arrived
+    assert.equal(model.remaining("white", 1000), 59900);
+  });
+
+  test("raises each low-time alert once until time is added back", () => {
+    const alerts = new LowTimeAlerts(lowTimeThresholds(180000));
+    assert.deepEqual(alerts.thresholds, [30000, 10000]);
+
+    assert.equal(alerts.check(31000), -1);
+    assert.equal(alerts.nextIn(31000), 1000);
+    assert.equal(alerts.check(29000), 0);
+    assert.equal(alerts.check(28000), -1);
+    assert.equal(alerts.check(9000), 1);
+    assert.equal(alerts.nextIn(9000), null);
+
+    assert.equal(alerts.check(31000), -1);
+    assert.equal(alerts.check(5000), 1);
+  });
+
+  test("formats minutes, hours and tenths", () => {
+    assert.equal(formatClock(245000), "4:05");
+    assert.equal(formatClock(3723000), "1:02:03");
+    assert.equal(formatClock(8470), "8.4");
+    assert.equal(formatClock(0), "0.0");
+  });
+});
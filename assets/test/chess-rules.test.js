@@ -0,0 +1,231 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  START_FEN,
+  ChessRulesError,
+  parseFen,
+  toFen,
+  validateFen,
+  normalizeFen,
+  legalMoves,
+  findMove,
+  makeMove,
+  nullMove,
+  gameStatus,
+  uciToSan,
+  sanToUci,
+  uciLineToSan,
+  parseUciMove,
+  perft,
+} from "../js/chess-rules.js";
+
+// Reference node counts from https://www.chessprogramming.org/Perft_Results
+const PERFT_SUITE = [
+  { name: "initial position", fen: START_FEN, counts: [20, 400, 8902] },
+  {
+    name: "kiwipete",
+    fen: "r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1",
+    counts: [48, 2039, 97862],
+  },
+  {
+    name: "position 3",
+    fen: "8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1",
+    counts: [14, 191, 2812, 43238],
+  },
+  {
+    name: "position 4",
+    fen: "r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1",
+    counts: [6, 264, 9467],
+  },
+  {
+    name: "position 5",
+    fen: "rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8",
+    counts: [44, 1486, 62379],
+  },
+  {
+    name: "position 6",
+    fen: "r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10",
+    counts: [46, 2079, 89890],
+  },
+];
+
+describe("perft", () => {
+  for (const { name, fen, counts } of PERFT_SUITE) {
+    test(name, () => {
+      const position = parseFen(fen);
+      counts.forEach((expected, index) => {
+        assert.equal(
+          perft(position, index + 1),
+          expected,
+          `depth ${index + 1}`
+        );
+      });
+    });
+  }
+});
+
+describe("FEN", () => {
+  test("round-trips the suite positions", () => {
+    for (const { fen } of PERFT_SUITE) {
+      assert.equal(toFen(parseFen(fen)), fen);
+    }
+  });
+
+  test("fills in missing move counters", () => {
+    const fen = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq -";
+    assert.equal(toFen(parseFen(fen)), START_FEN);
+  });
+
+  test("rejects malformed and impossible positions", () => {
+    const invalid = [
+      "",
+      "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP w KQkq - 0 1",
+      "rnbqkbnr/pppppppp/9/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+      "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR x KQkq - 0 1",
+      "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQ1BNR w KQkq - 0 1",
+      "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBN1 w K - 0 1",
+      "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq e3 0 1",
+      "4k3/8/8/8/8/8/8/4K2p w - - 0 1",
+      "4k3/8/8/8/8/8/8/4R1K1 w - - 0 1",
+    ];
+
+    for (const fen of invalid) {
+      assert.equal(validateFen(fen).valid, false, fen);
+      assert.throws(
+        () => parseFen(fen),
+        (error) =>
+          error instanceof ChessRulesError && error.code === "invalid_fen"
+      );
+    }
+  });
+
+  test("normalizes away counters and uncapturable en passant squares", () => {
+    assert.equal(
+      normalizeFen(makeMove(START_FEN, "e2e4")),
+      "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq -"
+    );
+    assert.equal(
+      normalizeFen("4k3/8/8/3pP3/8/8/8/4K3 w - d6 12 40"),
+      "4k3/8/8/3pP3/8/8/8/4K3 w - d6"
+    );
+  });
+
+  test("sets the en passant square after a double push", () => {
+    const position = makeMove(START_FEN, "e2e4");
+    assert.equal(
+      toFen(position),
+      "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1"
+    );
+  });
+});
+
+describe("moves", () => {
+  test("castling moves the rook and drops both rights", () => {
+    const fen = "r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1";
+    assert.equal(
+      toFen(makeMove(fen, "O-O")),
+      "r3k2r/8/8/8/8/8/8/R4RK1 b kq - 1 1"
+    );
+    assert.equal(
+      toFen(makeMove(fen, "e1c1")),
+      "r3k2r/8/8/8/8/8/8/2KR3R b kq - 1 1"
+    );
+  });
+
+  test("cannot castle through an attacked square", () => {
+    const fen = "r3k2r/8/8/8/8/8/5r2/R3K2R w KQkq - 0 1";
+    assert.equal(findMove(fen, "O-O"), null);
+    assert.equal(findMove(fen, "O-O-O").uci, "e1c1");
+  });
+
+  test("en passant removes the captured pawn", () => {
+    const fen = "4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1";
+    assert.equal(uciToSan(fen, "e5d6"), "exd6");
+    assert.equal(
+      toFen(makeMove(fen, "e5d6")),
+      "4k3/8/3P4/8/8/8/8/4K3 b - - 0 1"
+    );
+  });
+
+  test("promotion requires a piece and offers all four", () => {
+    const fen = "7k/4P3/8/8/8/8/8/4K3 w - - 0 1";
+    const promotions = legalMoves(fen)
+      .filter((move) => move.from === "e7")
+      .map((move) => move.san);
+
+    assert.deepEqual(promotions, ["e8=Q+", "e8=R+", "e8=B", "e8=N"]);
+    assert.equal(findMove(fen, "e7e8"), null);
+    assert.equal(sanToUci(fen, "e8=N"), "e7e8n");
+  });
+
+  test("rejects illegal moves", () => {
+    assert.throws(
+      () => makeMove(START_FEN, "e2e5"),
+      (error) =>
+        error instanceof ChessRulesError && error.code === "illegal_move"
+    );
+  });
+
+  test("parses UCI moves without inventing a promotion", () => {
+    assert.deepEqual(parseUciMove("e2e4"), {
+      from: "e2",
+      to: "e4",
+      promotion: null,
+      uci: "e2e4",
+    });
+    assert.equal(parseUciMove("a7a8q").promotion, "q");
+    assert.equal(parseUciMove("e2"), null);
+  });
+
+  test("passes the turn with a null move, but not out of check", () => {
+    const afterE4 = makeMove(START_FEN, "e2e4");
+    assert.equal(
+      toFen(nullMove(afterE4)),
+      "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 1 2"
+    );
+    assert.throws(
+      () => nullMove("4k3/8/8/8/8/8/8/4R1K1 b - - 0 1"),
+      (error) => error.code === "illegal_move"
+    );
+  });
+});
+
+describe("SAN", () => {
+  test("disambiguates by file, rank or both", () => {
+    const fen = "4k3/8/8/8/1N3N2/8/1N6/4K3 w - - 0 1";
+    assert.equal(uciToSan(fen, "f4d3"), "Nfd3");
+    assert.equal(uciToSan(fen, "b4d3"), "Nb4d3");
+    assert.equal(uciToSan(fen, "b2d3"), "N2d3");
+    assert.equal(uciToSan(fen, "b4c6"), "Nc6");
+  });
+
+  test("marks check and mate", () => {
+    const foolsMate = uciLineToSan(START_FEN, ["f2f3", "e7e5", "g2g4", "d8h4"]);
+    assert.deepEqual(foolsMate, ["f3", "e5", "g4", "Qh4#"]);
+  });
+
+  test("converts SAN back to UCI", () => {
+    assert.equal(sanToUci(START_FEN, "Nf3"), "g1f3");
+    assert.equal(sanToUci(START_FEN, "e4"), "e2e4");
+    assert.equal(sanToUci(START_FEN, "Ke2"), null);
+  });
+
+  test("stops a line at the first illegal move", () => {
+    assert.deepEqual(uciLineToSan(START_FEN, ["e2e4", "e2e4"]), ["e4"]);
+  });
+});
+
+describe("game status", () => {
+  test("detects checkmate, stalemate and check", () => {
+    assert.equal(
+      gameStatus(
+        "rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3"
+      ),
+      "checkmate"
+    );
+    assert.equal(gameStatus("7k/5Q2/6K1/8/8/8/8/8 b - - 0 1"), "stalemate");
+    assert.equal(gameStatus("4k3/8/8/8/8/8/8/4R1K1 b - - 0 1"), "check");
+    assert.equal(gameStatus(START_FEN), "ongoing");
+  });
+});
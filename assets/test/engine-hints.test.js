@@ -0,0 +1,211 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ARROW_COLORS, BoardOverlay } from "../js/board-overlay.js";
+import { EngineArrows, findHint, findThreat } from "../js/engine-hints.js";
+import { initStockfish, shutdownEngine } from "../js/stockfish-client.js";
+import { drawn, installFakeBoard } from "./support/fake-board.js";
+
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+// The start position with White having passed
+const PASSED_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 1 1";
+const AFTER_E4_FEN =
+  "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1";
+const AFTER_E4_PASSED_FEN =
+  "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 1 2";
+// Black to move and in check from the rook
+const CHECK_FEN = "4k3/8/8/8/8/8/8/4RK2 b - - 0 1";
+
+// The engine's best move per position; others search until stopped
+const bestMoves = new Map([
+  [START_FEN, "g1f3"],
+  [PASSED_FEN, "e7e5"],
+  [AFTER_E4_PASSED_FEN, "d2d4"],
+]);
+
+// Just enough UCI to drive the client without a WASM build
+class FakeWorker {
+  static instances = [];
+
+  constructor() {
+    this.positions = [];
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(command) {
+    if (command === "uci") this.reply("uciok");
+    if (command === "isready") this.reply("readyok");
+    if (command.startsWith("position fen ")) {
+      this.positions.push(command.slice("position fen ".length));
+    }
+
+    const bestMove = bestMoves.get(this.positions.at(-1));
+    if (command.startsWith("go") && bestMove) {
+      this.reply(`info depth 12 multipv 1 score cp 30 pv ${bestMove}`);
+      this.reply(`bestmove ${bestMove}`);
+    }
+    if (command === "stop") this.reply("bestmove (none)");
+  }
+
+  reply(data) {
+    setTimeout(() => this.onmessage && this.onmessage({ data }), 0);
+  }
+
+  terminate() {}
+}
+
+const wait = (ms = 10) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves to "pending" while `promise` has not settled
+const state = (promise) =>
+  Promise.race([
+    promise.then(
+      () => "resolved",
+      (err) => err.code
+    ),
+    wait().then(() => "pending"),
+  ]);
+
+describe("hints and threats", () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    globalThis.Worker = FakeWorker;
+    initStockfish("/stockfish.js");
+  });
+
+  afterEach(() => {
+    shutdownEngine();
+  });
+
+  test("the hint is the best move for the side to move", async () => {
+    assert.deepEqual(await findHint(START_FEN), {
+      from: "g1",
+      to: "f3",
+      san: "Nf3",
+    });
+  });
+
+  test("the threat is searched with the side to move passing", async () => {
+    assert.deepEqual(await findThreat(START_FEN), {
+      from: "e7",
+      to: "e5",
+      san: "e5",
+    });
+    assert.deepEqual(await findThreat(AFTER_E4_FEN), {
+      from: "d2",
+      to: "d4",
+      san: "d4",
+    });
+    assert.deepEqual(FakeWorker.instances[0].positions, [
+      PASSED_FEN,
+      AFTER_E4_PASSED_FEN,
+    ]);
+  });
+
+  test("there is no threat while in check", async () => {
+    assert.equal(await findThreat(CHECK_FEN), null);
+    await wait();
+    assert.deepEqual(FakeWorker.instances[0]?.positions ?? [], []);
+  });
+
+  test("hints and threats replace only their own kind", async () => {
+    const SLOW_FEN = "4k3/8/8/8/8/8/8/4K2R w K - 0 1";
+    const SLOW_PASSED_FEN = "4k3/8/8/8/8/8/8/4K2R b K - 1 1";
+
+    const hint = findHint(SLOW_FEN);
+    const threat = findThreat(SLOW_FEN);
+    await wait();
+    assert.equal(await state(hint), "pending");
+    assert.equal(await state(threat), "pending");
+
+    // A newer threat replaces the older one, and leaves the hint alone
+    const newerThreat = findThreat(START_FEN);
+    assert.equal(await state(threat), "superseded");
+    assert.equal(await state(hint), "pending");
+
+    const newerHint = findHint(START_FEN);
+    assert.equal(await state(hint), "superseded");
+    assert.equal((await newerThreat).san, "e5");
+    assert.equal((await newerHint).san, "Nf3");
+    assert.ok(FakeWorker.instances[0].positions.includes(SLOW_FEN));
+    assert.ok(!FakeWorker.instances[0].positions.includes(SLOW_PASSED_FEN));
+  });
+});
+
+describe("EngineArrows", () => {
+  let svg;
+  let errors;
+
+  // Finders answering from `moves`, by kind and position
+  const arrowsWith = (moves) => {
+    const find = (kind) => async (fen) => {
+      const move = moves[kind][fen];
+      if (move instanceof Error) throw move;
+      return move ?? null;
+    };
+    return new EngineArrows(new BoardOverlay(svg, "chess-board"), {
+      finders: { hint: find("hint"), threat: find("threat") },
+      onError: (kind, err) => errors.push([kind, err.message]),
+    });
+  };
+
+  const moves = {
+    hint: { [START_FEN]: { from: "g1", to: "f3", san: "Nf3" } },
+    threat: { [START_FEN]: { from: "e7", to: "e5", san: "e5" } },
+  };
+
+  beforeEach(() => {
+    svg = installFakeBoard();
+    errors = [];
+  });
+
+  test("shows each kind in its colour, and hides them one by one", async () => {
+    const arrows = arrowsWith(moves);
+    await arrows.show("hint", START_FEN);
+    await arrows.show("threat", START_FEN);
+    assert.deepEqual(drawn(svg), [
+      `polygon ${ARROW_COLORS.hint}`,
+      `polygon ${ARROW_COLORS.threat}`,
+    ]);
+
+    arrows.hide("hint");
+    assert.deepEqual(drawn(svg), [`polygon ${ARROW_COLORS.threat}`]);
+  });
+
+  test("clearing removes the arrows, and those still being searched", async () => {
+    const arrows = arrowsWith(moves);
+    await arrows.show("hint", START_FEN);
+    const threat = arrows.show("threat", START_FEN);
+
+    arrows.clear();
+    assert.deepEqual(drawn(svg), []);
+    await threat;
+    assert.deepEqual(drawn(svg), []);
+  });
+
+  test("leaves the annotations alone when clearing", async () => {
+    const overlay = new BoardOverlay(svg, "chess-board");
+    const arrows = new EngineArrows(overlay, {
+      finders: { hint: async () => moves.hint[START_FEN] },
+    });
+    overlay.setArrows("annotations", [{ from: "e2", to: "e4", color: "blue" }]);
+    await arrows.show("hint", START_FEN);
+
+    arrows.clear();
+    assert.deepEqual(drawn(svg), ["polygon blue"]);
+  });
+
+  test("reports failed searches, but not replaced ones", async () => {
+    const superseded = Object.assign(new Error("superseded"), {
+      code: "superseded",
+    });
+    const arrows = arrowsWith({
+      hint: { [START_FEN]: new Error("crashed") },
+      threat: { [START_FEN]: superseded },
+    });
+
+    await arrows.show("hint", START_FEN);
+    await arrows.show("threat", START_FEN);
+    assert.deepEqual(errors, [["hint", "crashed"]]);
+  });
+});
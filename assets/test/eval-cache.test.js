@@ -0,0 +1,68 @@
+import { test, describe, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  cacheEvaluation,
+  clearEvaluationCache,
+  configureEvaluationCache,
+  getCachedEvaluation,
+} from "../js/eval-cache.js";
+
+const FEN = "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1";
+
+function evaluation(depth, lineCount) {
+  const lines = Array.from({ length: lineCount }, (_, index) => ({
+    rank: index + 1,
+  }));
+  return { score_cp: 30, depth, lines, source: "stockfish_wasm" };
+}
+
+// Node has no IndexedDB, so these cover the memory layer on its own
+describe("evaluation cache", () => {
+  beforeEach(async () => {
+    configureEvaluationCache({ memoryEntries: 500 });
+    await clearEvaluationCache();
+  });
+
+  test("a deeper, wider result satisfies a shallower request", async () => {
+    cacheEvaluation(FEN, { depth: 16, multiPv: 3 }, evaluation(16, 3));
+
+    const cached = await getCachedEvaluation(FEN, { depth: 12, multiPv: 1 });
+    assert.equal(cached.source, "cache");
+    assert.equal(cached.cache_layer, "memory");
+    assert.equal(cached.lines.length, 1);
+
+    assert.equal(await getCachedEvaluation(FEN, { depth: 18 }), null);
+    assert.equal(
+      await getCachedEvaluation(FEN, { depth: 12, multiPv: 4 }),
+      null
+    );
+  });
+
+  test("ignores move counters and an uncapturable en passant square", async () => {
+    cacheEvaluation(FEN, { depth: 12 }, evaluation(12, 1));
+
+    const other = "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 4 9";
+    assert.notEqual(await getCachedEvaluation(other, { depth: 12 }), null);
+  });
+
+  test("keeps the deeper entry", async () => {
+    cacheEvaluation(FEN, { depth: 20 }, evaluation(20, 1));
+    cacheEvaluation(FEN, { depth: 10 }, evaluation(10, 1));
+
+    const cached = await getCachedEvaluation(FEN, { depth: 12 });
+    assert.equal(cached.depth, 20);
+  });
+
+  test("evicts the least recently used entries", async () => {
+    configureEvaluationCache({ memoryEntries: 1 });
+    cacheEvaluation(FEN, { depth: 12 }, evaluation(12, 1));
+    cacheEvaluation(
+      "4k3/8/8/8/8/8/8/4K3 w - - 0 1",
+      { depth: 12 },
+      evaluation(12, 1)
+    );
+
+    assert.equal(await getCachedEvaluation(FEN, { depth: 12 }), null);
+  });
+});
@@ -0,0 +1,98 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  classify,
+  moveAccuracy,
+  summarize,
+  winPercentage,
+} from "../js/game-analysis.js";
+
+// 1. e4 e5 2. Nf3 Qh4
+const FENS = [
+  "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+  "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1",
+  "rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2",
+  "rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2",
+  "rnb1kbnr/pppp1ppp/8/4p3/4P2q/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3",
+];
+
+const best = (uci) => ({ uci, san: null });
+const SCORES = [
+  { scoreCp: 30, bestMove: best("e2e4") },
+  { scoreCp: 30, bestMove: best("e7e5") },
+  // Nf3 is not the engine's choice but gives nothing away
+  { scoreCp: 30, bestMove: best("b1c3") },
+  { scoreCp: 30, bestMove: best("b8c6") },
+  { scoreCp: 600, bestMove: best("f3h4") },
+];
+
+describe("game analysis", () => {
+  test("win percentage is even at 0 and capped at 1000cp", () => {
+    assert.equal(winPercentage(0), 50);
+    assert.ok(winPercentage(300) > 70);
+    assert.equal(winPercentage(5000), winPercentage(1000));
+    assert.ok(Math.abs(winPercentage(-300) + winPercentage(300) - 100) < 1e-9);
+  });
+
+  test("moves are tagged at 10, 20 and 30 points lost", () => {
+    assert.equal(classify(9.9, false), "good");
+    assert.equal(classify(10, false), "inaccuracy");
+    assert.equal(classify(19.9, false), "inaccuracy");
+    assert.equal(classify(20, false), "mistake");
+    assert.equal(classify(29.9, false), "mistake");
+    assert.equal(classify(30, false), "blunder");
+  });
+
+  test("the engine's move is best whatever the scores say", () => {
+    assert.equal(classify(0, true), "best");
+    assert.equal(classify(0, false), "good");
+    assert.equal(classify(35, true), "best");
+  });
+
+  test("accuracy falls from 100 as more is lost", () => {
+    assert.equal(moveAccuracy(0).toFixed(1), "100.0");
+    assert.equal(moveAccuracy(10).toFixed(1), "63.6");
+    assert.equal(moveAccuracy(30).toFixed(1), "24.8");
+    assert.equal(moveAccuracy(100), 0);
+  });
+
+  test("summarizes each move and each colour", () => {
+    const { moves, players } = summarize(FENS, SCORES);
+
+    assert.deepEqual(
+      moves.map(({ ply, color, san, classification, loss }) => [
+        ply,
+        color,
+        san,
+        classification,
+        loss,
+      ]),
+      [
+        [1, "white", "e4", "best", 0],
+        [2, "black", "e5", "best", 0],
+        [3, "white", "Nf3", "good", 0],
+        [4, "black", "Qh4", "blunder", 37.3],
+      ]
+    );
+    assert.equal(moves[3].accuracy, 17.1);
+    assert.equal(moves[3].best_move, "b8c6");
+
+    assert.deepEqual(players.white, {
+      accuracy: 100,
+      best: 1,
+      good: 1,
+      inaccuracy: 0,
+      mistake: 0,
+      blunder: 0,
+    });
+    assert.deepEqual(players.black, {
+      accuracy: 58.5,
+      best: 1,
+      good: 0,
+      inaccuracy: 0,
+      mistake: 0,
+      blunder: 1,
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_HAPTIC_INTENSITY,
+  HapticQueue,
+  detectHapticBackend,
+  hapticIntensity,
+  scalePattern,
+  setHapticIntensity,
+} from "../js/haptics.js";
+import { MemoryStorage } from "./support/memory-storage.js";
+
+// Dispatches gestures the way a browser would: capture listeners on the
+// window first, then the target's, then bubbling ones on the window
+class FakeWindow {
+  constructor() {
+    this.listeners = [];
+  }
+
+  addEventListener(type, listener, capture = false) {
+    this.listeners.push({ type, listener, capture });
+  }
+
+  removeEventListener(type, listener, capture = false) {
+    this.listeners = this.listeners.filter(
+      (item) =>
+        item.type !== type ||
+        item.listener !== listener ||
+        item.capture !== capture
+    );
+  }
+
+  dispatch(type, atTarget = () => {}) {
+    const run = (capture) =>
+      this.listeners
+        .filter((item) => item.type === type && item.capture === capture)
+        .forEach((item) => item.listener({ type }));
+    run(true);
+    atTarget();
+    run(false);
+  }
+}
+
+const recorder = () => {
+  const calls = [];
+  return {
+    calls,
+    vibrate: (pattern) => calls.push(pattern),
+    tick: () => calls.push("tick"),
+  };
+};
+
+describe("haptics", () => {
+  test("intensity stretches the pulses but not the pauses", () => {
+    assert.deepEqual(scalePattern([100, 50, 100], 1.5), [150, 50, 150]);
+    assert.deepEqual(scalePattern([1], 0.1), [1]);
+  });
+
+  test("intensity is stored", () => {
+    const storage = new MemoryStorage();
+    assert.equal(hapticIntensity(storage), DEFAULT_HAPTIC_INTENSITY);
+
+    setHapticIntensity("strong", storage);
+    assert.equal(hapticIntensity(storage), "strong");
+    setHapticIntensity("max", storage);
+    assert.equal(hapticIntensity(storage), "strong");
+  });
+
+  test("backend comes from feature detection", () => {
+    class SwitchInput {}
+    SwitchInput.prototype.switch = false;
+
+    assert.equal(
+      detectHapticBackend({ navigator: { vibrate() {} } }),
+      "vibrate"
+    );
+    assert.equal(
+      detectHapticBackend({
+        navigator: { maxTouchPoints: 5 },
+        HTMLInputElement: SwitchInput,
+      }),
+      "switch"
+    );
+    assert.equal(
+      detectHapticBackend({
+        navigator: { maxTouchPoints: 0 },
+        HTMLInputElement: SwitchInput,
+      }),
+      null
+    );
+    assert.equal(detectHapticBackend({}), null);
+  });
+
+  test("a gesture plays its strongest request once", () => {
+    const env = new FakeWindow();
+    const output = recorder();
+    const haptics = new HapticQueue(env, { backend: "vibrate", output });
+
+    env.dispatch("click", () => {
+      haptics.play("move", "normal");
+      haptics.play("capture", "normal");
+      assert.deepEqual(output.calls, []);
+    });
+    assert.deepEqual(output.calls, [[60, 40, 40]]);
+
+    haptics.play("your_turn", "light");
+    assert.deepEqual(output.calls.at(-1), [48]);
+    haptics.destroy();
+  });
+
+  test("the iOS switch only ticks inside a gesture", () => {
+    const env = new FakeWindow();
+    const output = recorder();
+    const haptics = new HapticQueue(env, { backend: "switch", output });
+
+    haptics.play("your_turn", "normal");
+    assert.deepEqual(output.calls, []);
+
+    env.dispatch("pointerup", () => haptics.play("move", "normal"));
+    assert.deepEqual(output.calls, ["tick"]);
+
+    env.dispatch("pointerup", () => haptics.play("move", "off"));
+    assert.deepEqual(output.calls, ["tick"]);
+    haptics.destroy();
+    assert.equal(env.listeners.length, 0);
+  });
+});
@@ -0,0 +1,37 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { START_FEN } from "../js/chess-rules.js";
+import { moveSuggestions, parseTypedMove } from "../js/move-input.js";
+
+const CASTLING_FEN = "r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1";
+const PROMOTION_FEN = "8/4P3/8/8/8/8/k7/4K3 w - - 0 1";
+
+describe("typed moves", () => {
+  test("reads SAN and UCI, forgiving habits", () => {
+    assert.equal(parseTypedMove(START_FEN, "Nf3").uci, "g1f3");
+    assert.equal(parseTypedMove(START_FEN, "E2E4").san, "e4");
+    assert.equal(parseTypedMove(START_FEN, "1. d4").uci, "d2d4");
+    assert.equal(parseTypedMove(CASTLING_FEN, "o-o-o").uci, "e1c1");
+    assert.equal(parseTypedMove(CASTLING_FEN, "0-0").uci, "e1g1");
+    assert.equal(parseTypedMove(PROMOTION_FEN, "e8=N").promotion, "n");
+  });
+
+  test("rejects moves that are not legal", () => {
+    assert.equal(parseTypedMove(START_FEN, "Nf6"), null);
+    assert.equal(parseTypedMove(START_FEN, "e2e5"), null);
+    assert.equal(parseTypedMove(START_FEN, ""), null);
+    assert.equal(parseTypedMove("not a fen", "e4"), null);
+  });
+
+  test("suggests legal moves by SAN or UCI prefix", () => {
+    const knight = moveSuggestions(START_FEN, "N").map((move) => move.san);
+    assert.deepEqual(knight.sort(), ["Na3", "Nc3", "Nf3", "Nh3"]);
+
+    const fromE2 = moveSuggestions(START_FEN, "e2").map((move) => move.uci);
+    assert.deepEqual(fromE2.sort(), ["e2e3", "e2e4"]);
+
+    assert.equal(moveSuggestions(START_FEN, "").length, 8);
+    assert.equal(moveSuggestions(START_FEN, "", 20).length, 20);
+  });
+});
@@ -0,0 +1,103 @@
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { START_FEN, makeMove, toFen } from "../js/chess-rules.js";
+import {
+  bookMoves,
+  identifyOpening,
+  initOpeningBook,
+  polyglotKey,
+} from "../js/opening-book.js";
+
+// Reference keys from the Polyglot book format specification
+const SPEC_KEYS = [
+  { moves: [], key: "463b96181691fc9c" },
+  { moves: ["e2e4"], key: "823c9b50fd114196" },
+  { moves: ["e2e4", "d7d5"], key: "0756b94461c50fb0" },
+  { moves: ["e2e4", "d7d5", "e4e5"], key: "662fafb965db29d4" },
+  { moves: ["e2e4", "d7d5", "e4e5", "f7f5"], key: "22a48b5a8e47ff78" },
+  { moves: ["e2e4", "d7d5", "e4e5", "f7f5", "e1e2"], key: "652a607ca3f242c1" },
+  {
+    moves: ["e2e4", "d7d5", "e4e5", "f7f5", "e1e2", "e8f7"],
+    key: "00fdd303c946bdd9",
+  },
+  {
+    moves: ["a2a4", "b7b5", "h2h4", "b5b4", "c2c4"],
+    key: "3c8123ea7b067637",
+  },
+  {
+    moves: ["a2a4", "b7b5", "h2h4", "b5b4", "c2c4", "b4c3", "a1a3"],
+    key: "5c3f9b829b279560",
+  },
+];
+
+function play(moves) {
+  return moves.reduce((position, move) => makeMove(position, move), START_FEN);
+}
+
+describe("polyglotKey", () => {
+  for (const { moves, key } of SPEC_KEYS) {
+    test(moves.join(" ") || "initial position", () => {
+      assert.equal(
+        polyglotKey(play(moves)).toString(16).padStart(16, "0"),
+        key
+      );
+    });
+  }
+});
+
+describe("bundled book", () => {
+  before(() => {
+    const assets = {
+      "/book.bin": readFileSync(
+        new URL("../opening-book.bin", import.meta.url)
+      ),
+      "/openings.json": readFileSync(
+        new URL("../openings.json", import.meta.url)
+      ),
+    };
+
+    globalThis.fetch = async (path) => {
+      const body = assets[path];
+      return {
+        ok: true,
+        arrayBuffer: async () =>
+          body.buffer.slice(body.byteOffset, body.byteOffset + body.length),
+        json: async () => JSON.parse(body.toString("utf8")),
+      };
+    };
+
+    initOpeningBook({ bookPath: "/book.bin", namesPath: "/openings.json" });
+  });
+
+  test("offers legal, weighted moves from the initial position", async () => {
+    const moves = await bookMoves(START_FEN);
+    const sans = moves.map((move) => move.san);
+
+    assert.ok(sans.includes("e4") && sans.includes("d4"));
+    assert.ok(moves.every((move) => move.weight > 0));
+  });
+
+  test("decodes castling written as king takes rook", async () => {
+    const fen = toFen(
+      play(["e2e4", "e7e5", "g1f3", "b8c6", "f1b5", "a7a6", "b5a4", "g8f6"])
+    );
+    const moves = await bookMoves(fen);
+
+    assert.ok(moves.some((move) => move.uci === "e1g1" && move.san === "O-O"));
+  });
+
+  test("names the deepest known position", async () => {
+    const line = ["e2e4", "c7c5", "g1f3", "d7d6", "d2d4", "c5d4", "f3d4"];
+    const najdorf = [...line, "g8f6", "b1c3", "a7a6", "h2h4"];
+    const fens = najdorf.map((_, index) =>
+      toFen(play(najdorf.slice(0, index + 1)))
+    );
+
+    assert.deepEqual(await identifyOpening(fens), {
+      eco: "B90",
+      name: "Sicilian: Najdorf",
+    });
+  });
+});
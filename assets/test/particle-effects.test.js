@@ -0,0 +1,97 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  effectNames,
+  getEffect,
+  registerEffect,
+} from "../js/particle-effects.js";
+
+const AREA = { width: 800, height: 600 };
+
+const FRAME_S = 1 / 60;
+
+// Run an effect's particles at 60fps without drawing until they are all gone
+const framesToFinish = (effect, options, limit = 10000) => {
+  const particles = Array.from({ length: effect.count }, () => {
+    const particle = {};
+    effect.spawn(particle, AREA, options, false);
+    return particle;
+  });
+  for (let frame = 1; frame <= limit; frame++) {
+    const alive = particles.filter((particle) =>
+      effect.update(particle, FRAME_S, AREA)
+    );
+    if (alive.length === 0) return frame;
+    particles.splice(0, particles.length, ...alive);
+  }
+  return Infinity;
+};
+
+describe("particle effects", () => {
+  test("built-in effects are registered", () => {
+    for (const name of [
+      "confetti",
+      "tears",
+      "fireworks",
+      "handshake",
+      "capture_burst",
+    ]) {
+      assert.ok(effectNames().includes(name), name);
+    }
+    assert.equal(getEffect("missing"), null);
+  });
+
+  test("registering needs spawn, update and draw", () => {
+    assert.throws(
+      () => registerEffect("broken", { spawn() {}, update() {} }),
+      TypeError
+    );
+
+    registerEffect("dot", {
+      spawn: (particle) => {
+        particle.life = 1;
+      },
+      update: (particle, dt) => (particle.life -= dt) > 0,
+      draw() {},
+    });
+    assert.deepEqual(
+      { ...getEffect("dot"), spawn: null, update: null, draw: null },
+      {
+        name: "dot",
+        spawn: null,
+        update: null,
+        draw: null,
+        lifetime: 0,
+        count: 1,
+        linger: 0,
+      }
+    );
+  });
+
+  test("a capture burst starts on its square and dies out quickly", () => {
+    const effect = getEffect("capture_burst");
+    const particle = {};
+    effect.spawn(particle, AREA, { x: 120, y: 340, size: 48 }, true);
+    assert.deepEqual([particle.x, particle.y], [120, 340]);
+    assert.equal(effect.lifetime, 0);
+    assert.ok(framesToFinish(effect, { x: 120, y: 340 }) < 60);
+  });
+
+  test("falling and rising effects leave the screen", () => {
+    for (const name of ["confetti", "tears", "fireworks", "handshake"]) {
+      assert.ok(framesToFinish(getEffect(name), {}) < 2000, name);
+    }
+  });
+
+  test("particles move by time, not by frame", () => {
+    const effect = getEffect("confetti");
+    const at60 = {};
+    effect.spawn(at60, AREA, {}, false);
+    const at30 = { ...at60 };
+
+    for (let i = 0; i < 60; i++) effect.update(at60, 1 / 60, AREA);
+    for (let i = 0; i < 30; i++) effect.update(at30, 1 / 30, AREA);
+    assert.ok(Math.abs(at60.y - at30.y) < 10, `${at60.y} vs ${at30.y}`);
+  });
+});
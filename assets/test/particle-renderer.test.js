@@ -0,0 +1,179 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { registerEffect } from "../js/particle-effects.js";
+import { ParticleRenderer, frameLoop } from "../js/particle-renderer.js";
+
+// A 2D context that only remembers its canvas size and transform
+const fakeContext = () => ({
+  canvas: { width: 0, height: 0 },
+  transform: null,
+  setTransform(...args) {
+    this.transform = args;
+  },
+  clearRect() {},
+});
+
+// Each particle lives for `life` seconds
+registerEffect("test_spark", {
+  count: 20,
+  spawn(particle, _area, options) {
+    particle.age = 0;
+    particle.life = options.life ?? 0.1;
+  },
+  update(particle, dt) {
+    particle.age += dt;
+    return particle.age < particle.life;
+  },
+  draw() {},
+});
+
+registerEffect("test_stream", {
+  count: 40,
+  lifetime: Infinity,
+  linger: 100,
+  spawn(particle) {
+    particle.age = 0;
+  },
+  update(particle, dt) {
+    particle.age += dt;
+    return particle.age < 0.05;
+  },
+  draw() {},
+});
+
+// A clock the test moves by hand; every read adds `work` ms, which is how
+// long each frame seems to take
+const manualClock = () => {
+  const clock = () => {
+    const now = clock.now;
+    clock.now += clock.work;
+    return now;
+  };
+  clock.now = 0;
+  clock.work = 0;
+  return clock;
+};
+
+const runFrames = (renderer, clock, frames, stepMs = 16) => {
+  for (let i = 0; i < frames; i++) {
+    clock.now += stepMs;
+    renderer.frame(clock.now);
+  }
+};
+
+describe("ParticleRenderer", () => {
+  test("sizes the canvas in device pixels and draws in CSS pixels", () => {
+    const ctx = fakeContext();
+    const renderer = new ParticleRenderer(ctx);
+    renderer.resize(800, 600, 2);
+
+    assert.deepEqual([ctx.canvas.width, ctx.canvas.height], [1600, 1200]);
+    assert.deepEqual(ctx.transform, [2, 0, 0, 2, 0, 0]);
+    assert.deepEqual([renderer.width, renderer.height], [800, 600]);
+  });
+
+  test("reuses particles from a finished effect", () => {
+    const clock = manualClock();
+    const renderer = new ParticleRenderer(fakeContext(), { clock });
+    renderer.resize(800, 600);
+
+    renderer.play("test_spark");
+    const first = new Set(renderer.emitters[0].particles);
+    runFrames(renderer, clock, 20);
+    assert.equal(renderer.busy, false);
+
+    renderer.play("test_spark");
+    const second = renderer.emitters[0].particles;
+    assert.equal(second.length, 20);
+    assert.ok(second.every((particle) => first.has(particle)));
+  });
+
+  test("updates by the time between frames", () => {
+    const clock = manualClock();
+    const renderer = new ParticleRenderer(fakeContext(), { clock });
+
+    renderer.play("test_spark", { life: 1 });
+    renderer.frame(0);
+    renderer.frame(50);
+    assert.ok(
+      Math.abs(renderer.emitters[0].particles[0].age - 1 / 60 - 0.05) < 1e-9
+    );
+
+    // A long pause only counts as one short step
+    renderer.frame(5050);
+    assert.equal(renderer.busy, true);
+  });
+
+  test("keeps fewer particles while frames take too long", () => {
+    const clock = manualClock();
+    const renderer = new ParticleRenderer(fakeContext(), { clock });
+    renderer.play("test_stream");
+
+    clock.work = 10;
+    runFrames(renderer, clock, 200);
+    assert.ok(renderer.quality < 0.5, `quality ${renderer.quality}`);
+    assert.ok(renderer.emitters[0].particles.length <= 0.5 * 40);
+
+    // And more again once they are fast
+    const lowered = renderer.quality;
+    clock.work = 0;
+    runFrames(renderer, clock, 400);
+    assert.ok(renderer.quality > lowered);
+  });
+
+  test("stopped effects linger, then end", () => {
+    const clock = manualClock();
+    const renderer = new ParticleRenderer(fakeContext(), { clock });
+    renderer.play("test_stream");
+    runFrames(renderer, clock, 5);
+
+    renderer.stop("test_stream");
+    runFrames(renderer, clock, 2);
+    assert.equal(renderer.busy, true);
+    runFrames(renderer, clock, 10);
+    assert.equal(renderer.busy, false);
+  });
+
+  test("clear drops everything into the pools", () => {
+    const renderer = new ParticleRenderer(fakeContext());
+    renderer.play("test_spark");
+    renderer.clear();
+
+    assert.equal(renderer.busy, false);
+    assert.equal(renderer.pools.get("test_spark").length, 20);
+    assert.equal(renderer.play("missing"), false);
+  });
+});
+
+describe("frameLoop", () => {
+  test("runs until idle and can be cancelled", () => {
+    const clock = manualClock();
+    const renderer = new ParticleRenderer(fakeContext(), { clock });
+    const queued = [];
+    let idle = 0;
+    const loop = frameLoop(
+      renderer,
+      (callback) => queued.push(callback),
+      () => idle++
+    );
+
+    renderer.play("test_spark");
+    loop.request();
+    loop.request();
+    assert.equal(queued.length, 1);
+
+    while (queued.length > 0) {
+      clock.now += 16;
+      queued.shift()(clock.now);
+    }
+    assert.equal(idle, 1);
+
+    renderer.play("test_spark");
+    loop.request();
+    loop.cancel();
+    queued.shift()(clock.now + 16);
+    assert.equal(queued.length, 0);
+    assert.equal(renderer.busy, true);
+  });
+});
@@ -0,0 +1,49 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { START_FEN, makeMove, toFen } from "../js/chess-rules.js";
+import { PremoveQueue } from "../js/premoves.js";
+
+// Black to move, so White is the one premoving
+const AFTER_E4 = toFen(makeMove(START_FEN, "e2e4"));
+
+describe("premove queue", () => {
+  test("accepts plausible moves that are not legal yet", () => {
+    const queue = new PremoveQueue();
+
+    // exd5 captures nothing until Black plays ...d5
+    assert.equal(queue.add(AFTER_E4, "w", "b8", "c6"), false);
+    assert.equal(queue.add(AFTER_E4, "w", "e4", "d5"), true);
+    assert.equal(queue.add(AFTER_E4, "w", "d2", "d4"), true);
+    assert.deepEqual(queue.squares(), ["e4", "d5", "d2", "d4"]);
+  });
+
+  test("rejects moves no piece could make", () => {
+    const queue = new PremoveQueue();
+
+    assert.equal(queue.add(AFTER_E4, "w", "g1", "g3"), false);
+    assert.equal(queue.add(AFTER_E4, "w", "f1", "f3"), false);
+    assert.equal(queue.add(AFTER_E4, "w", "a1", "a2"), false);
+    assert.equal(queue.size, 0);
+  });
+
+  test("follows the queued moves when starting the next one", () => {
+    const queue = new PremoveQueue();
+    queue.add(AFTER_E4, "w", "g1", "f3");
+
+    assert.equal(queue.ownsSquare(AFTER_E4, "w", "f3"), true);
+    assert.equal(queue.ownsSquare(AFTER_E4, "w", "g1"), false);
+  });
+
+  test("plays the next premove once legal and drops the rest otherwise", () => {
+    const queue = new PremoveQueue();
+    queue.add(START_FEN, "w", "e2", "e4");
+    queue.add(START_FEN, "w", "d1", "h5");
+
+    assert.equal(queue.next(START_FEN).san, "e4");
+
+    const blocked = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+    assert.equal(queue.next(blocked), null);
+    assert.equal(queue.size, 0);
+  });
+});
@@ -0,0 +1,60 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { choiceSetting, objectSetting } from "../js/settings-storage.js";
+import { MemoryStorage } from "./support/memory-storage.js";
+
+// Like Safari's storage in private browsing on older versions
+const brokenStorage = {
+  getItem() {
+    throw new Error("SecurityError");
+  },
+  setItem() {
+    throw new Error("QuotaExceededError");
+  },
+};
+
+describe("settings storage", () => {
+  test("a choice setting keeps only known values", () => {
+    const storage = new MemoryStorage();
+    const setting = choiceSetting("speed", { slow: 1, fast: 2 }, "slow");
+
+    assert.equal(setting.load(storage), "slow");
+    setting.save("fast", storage);
+    assert.equal(setting.load(storage), "fast");
+    setting.save("warp", storage);
+    assert.equal(setting.load(storage), "fast");
+
+    storage.setItem("speed", "toString");
+    assert.equal(setting.load(storage), "slow");
+  });
+
+  test("an object setting merges changes through sanitize", () => {
+    const storage = new MemoryStorage();
+    const setting = objectSetting("audio", (stored) => ({
+      volume: typeof stored?.volume === "number" ? stored.volume : 1,
+      muted: stored?.muted === true,
+    }));
+
+    assert.deepEqual(setting.load(storage), { volume: 1, muted: false });
+    assert.deepEqual(setting.save({ muted: true }, storage), {
+      volume: 1,
+      muted: true,
+    });
+    setting.save({ volume: 0.5 }, storage);
+    assert.deepEqual(setting.load(storage), { volume: 0.5, muted: true });
+
+    storage.setItem("audio", "{not json");
+    assert.deepEqual(setting.load(storage), { volume: 1, muted: false });
+  });
+
+  test("unavailable storage falls back to defaults", () => {
+    const choice = choiceSetting("speed", { slow: 1 }, "slow");
+    const object = objectSetting("audio", (stored) => ({ on: !!stored?.on }));
+
+    assert.equal(choice.load(brokenStorage), "slow");
+    assert.doesNotThrow(() => choice.save("slow", brokenStorage));
+    assert.deepEqual(object.load(brokenStorage), { on: false });
+    assert.deepEqual(object.save({ on: true }, brokenStorage), { on: true });
+  });
+});
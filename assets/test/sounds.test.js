@@ -0,0 +1,71 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_SOUND_SETTINGS,
+  MOVE_SOUND_TYPES,
+  SOUND_EVENTS,
+  SOUND_THEMES,
+  outputLevel,
+  resolveSound,
+  saveSoundSettings,
+  soundSettings,
+} from "../js/sounds.js";
+import { MemoryStorage } from "./support/memory-storage.js";
+
+describe("sounds", () => {
+  test("every theme has a sound for every event", () => {
+    for (const theme of Object.keys(SOUND_THEMES)) {
+      for (const event of SOUND_EVENTS) {
+        const sound = resolveSound(theme, event);
+        assert.ok(
+          sound.sample || sound.tones.length > 0,
+          `${theme} has no ${event}`
+        );
+      }
+    }
+    assert.ok(MOVE_SOUND_TYPES.every((type) => SOUND_EVENTS.includes(type)));
+  });
+
+  test("sample themes point at their files", () => {
+    assert.deepEqual(resolveSound("wood", "capture"), {
+      sample: "/sounds/wood/capture.wav",
+    });
+    assert.deepEqual(
+      resolveSound("missing", "move"),
+      resolveSound("classic", "move")
+    );
+    assert.deepEqual(resolveSound("classic", "unknown"), { tones: [] });
+  });
+
+  test("settings are saved and merged", () => {
+    const storage = new MemoryStorage();
+    assert.deepEqual(soundSettings(storage), DEFAULT_SOUND_SETTINGS);
+
+    saveSoundSettings({ theme: "wood", volume: 0.5 }, storage);
+    saveSoundSettings({ muted: true }, storage);
+    assert.deepEqual(soundSettings(storage), {
+      theme: "wood",
+      volume: 0.5,
+      muted: true,
+    });
+  });
+
+  test("bad stored settings fall back to the defaults", () => {
+    const storage = new MemoryStorage();
+    storage.setItem("live-chess:sound", "{not json");
+    assert.deepEqual(soundSettings(storage), DEFAULT_SOUND_SETTINGS);
+
+    saveSoundSettings({ theme: "disco", volume: 7, muted: "yes" }, storage);
+    assert.deepEqual(soundSettings(storage), {
+      theme: DEFAULT_SOUND_SETTINGS.theme,
+      volume: 1,
+      muted: false,
+    });
+  });
+
+  test("mute silences the master volume", () => {
+    assert.equal(outputLevel({ volume: 0.6, muted: false }), 0.6);
+    assert.equal(outputLevel({ volume: 0.6, muted: true }), 0);
+  });
+});
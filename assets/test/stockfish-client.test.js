@@ -0,0 +1,667 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  Engines,
+  evaluatePosition,
+  initStockfish,
+  setEngineSpeed,
+  shutdownEngine,
+  stopEvaluation,
+} from "../js/stockfish-client.js";
+
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+// Searches of this position report one line, then only end when stopped
+const SLOW_FEN = "4k3/8/8/8/8/8/8/4K2R w K - 0 1";
+const AFTER_E4_FEN =
+  "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1";
+// Searches of this position only report what a test sends them
+const QUIET_FEN = "4k3/8/8/8/8/8/8/3QK3 w - - 0 1";
+// Searches of this position never answer, not even to "stop"
+const STUCK_FEN = "4k3/8/8/8/8/8/8/R3K3 w Q - 0 1";
+
+// What `go` answers for a position: its `info` lines, then a bestmove
+// unless `endless`. Endless searches end when stopped, unless `ignoreStop`.
+// Unscripted positions answer at once.
+const scripts = new Map([
+  [
+    SLOW_FEN,
+    { info: ["info depth 1 multipv 1 score cp 500 pv h1h8"], endless: true },
+  ],
+]);
+
+// Just enough UCI to drive the client without a WASM build
+class FakeWorker {
+  static instances = [];
+
+  constructor(path) {
+    this.path = path;
+    this.received = [];
+    this.position = null;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(command) {
+    this.received.push(command);
+
+    if (this.path.includes("missing")) {
+      setTimeout(() => this.onerror && this.onerror(new Error("404")), 0);
+      return;
+    }
+
+    if (command === "uci") this.reply("uciok");
+    if (command === "isready") this.reply("readyok");
+    if (command.startsWith("position fen ")) {
+      this.position = command.slice("position fen ".length);
+    }
+    if (command.startsWith("go")) {
+      const script = scripts.get(this.position);
+      if (!script) {
+        this.finishSearch();
+      } else {
+        (script.info || []).forEach((line) => this.reply(line));
+        if (!script.endless) this.reply(`bestmove ${script.bestmove}`);
+      }
+    }
+    if (command === "stop" && !scripts.get(this.position)?.ignoreStop) {
+      this.finishSearch();
+    }
+  }
+
+  finishSearch() {
+    this.reply("info depth 1 multipv 1 score cp 20 pv e2e4");
+    this.reply("bestmove e2e4");
+  }
+
+  reply(data) {
+    setTimeout(() => this.onmessage && this.onmessage({ data }), 0);
+  }
+
+  terminate() {}
+}
+
+const wait = (ms = 10) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Positions the worker was asked to search, in order
+const searched = (worker) =>
+  worker.received
+    .filter((command) => command.startsWith("position fen "))
+    .map((command) => command.slice("position fen ".length));
+
+describe("engine pool", () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    globalThis.Worker = FakeWorker;
+    initStockfish("/stockfish.js");
+  });
+
+  afterEach(() => {
+    shutdownEngine();
+  });
+
+  test("the robot does not wait behind an analysis search", async () => {
+    const analysis = evaluatePosition(SLOW_FEN, { depth: 30, cache: false });
+    analysis.catch(() => {});
+
+    const robot = await evaluatePosition(START_FEN, {
+      movetime: 100,
+      engine: Engines.ROBOT,
+      channel: "robot",
+    });
+    assert.equal(robot.best_move.uci, "e2e4");
+    assert.equal(FakeWorker.instances.length, 2);
+
+    stopEvaluation("analysis", Engines.ANALYSIS);
+    await assert.rejects(analysis, { code: "cancelled" });
+  });
+
+  test("analysis options never reach the robot instance", async () => {
+    await evaluatePosition(START_FEN, { multiPv: 3, cache: false });
+    await evaluatePosition(START_FEN, {
+      movetime: 100,
+      engine: Engines.ROBOT,
+    });
+
+    const [analysisWorker, robotWorker] = FakeWorker.instances;
+    assert.ok(
+      analysisWorker.received.includes("setoption name MultiPV value 3")
+    );
+    assert.ok(
+      !robotWorker.received.some((command) => command.includes("MultiPV"))
+    );
+  });
+});
+
+describe("search budgets", () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    globalThis.Worker = FakeWorker;
+    initStockfish("/stockfish.js");
+  });
+
+  afterEach(() => {
+    setEngineSpeed(null);
+    shutdownEngine();
+  });
+
+  test("a search that runs out of time returns its best line", async () => {
+    const evaluation = await evaluatePosition(SLOW_FEN, {
+      timeout: 50,
+      cache: false,
+    });
+
+    assert.equal(evaluation.budget_exhausted, true);
+    assert.equal(evaluation.depth, 1);
+    assert.equal(evaluation.best_move.uci, "e2e4");
+  });
+
+  test("depth requests get a time budget once the speed is known", async () => {
+    setEngineSpeed(100000);
+    await evaluatePosition(START_FEN, { depth: 12, cache: false });
+    await evaluatePosition(START_FEN, {
+      depth: 12,
+      budget: false,
+      cache: false,
+    });
+
+    const [worker] = FakeWorker.instances;
+    assert.ok(worker.received.includes("go depth 12 movetime 3000"));
+    assert.ok(worker.received.includes("go depth 12"));
+  });
+});
+
+describe("build variants", () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    globalThis.Worker = FakeWorker;
+    globalThis.navigator = { hardwareConcurrency: 4, deviceMemory: 4 };
+  });
+
+  afterEach(() => {
+    shutdownEngine();
+    delete globalThis.crossOriginIsolated;
+    delete globalThis.navigator;
+  });
+
+  test("stays single-threaded without cross-origin isolation", async () => {
+    await initStockfish({ single: "/single.js", threaded: "/threaded.js" });
+
+    const [worker] = FakeWorker.instances;
+    assert.equal(worker.path, "/single.js");
+    assert.ok(!worker.received.some((command) => command.includes("Threads")));
+  });
+
+  test("sizes the threaded build for the device", async () => {
+    globalThis.crossOriginIsolated = true;
+    await initStockfish({ single: "/single.js", threaded: "/threaded.js" });
+    await evaluatePosition(START_FEN, { movetime: 100, engine: Engines.ROBOT });
+
+    const [analysisWorker, robotWorker] = FakeWorker.instances;
+    assert.equal(analysisWorker.path, "/threaded.js");
+    assert.ok(
+      analysisWorker.received.includes("setoption name Threads value 3")
+    );
+    assert.ok(analysisWorker.received.includes("setoption name Hash value 64"));
+    assert.ok(
+      !robotWorker.received.some((command) => command.includes("Threads"))
+    );
+  });
+
+  test("falls back when the threaded build fails to load", async () => {
+    globalThis.crossOriginIsolated = true;
+    await initStockfish({ single: "/single.js", threaded: "/missing.js" });
+
+    assert.deepEqual(
+      FakeWorker.instances.map((worker) => worker.path),
+      ["/missing.js", "/single.js"]
+    );
+  });
+});
+
+describe("job queue", () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    globalThis.Worker = FakeWorker;
+    initStockfish("/stockfish.js");
+  });
+
+  afterEach(() => {
+    shutdownEngine();
+  });
+
+  test("searches run one at a time", async () => {
+    const first = evaluatePosition(SLOW_FEN, { channel: "a", cache: false });
+    const second = evaluatePosition(START_FEN, { channel: "b", cache: false });
+    await wait();
+
+    const [worker] = FakeWorker.instances;
+    assert.deepEqual(searched(worker), [SLOW_FEN]);
+
+    stopEvaluation("a");
+    await assert.rejects(first, { code: "cancelled" });
+    await second;
+    assert.deepEqual(searched(worker), [SLOW_FEN, START_FEN]);
+    // The next search waited for the stopped one's bestmove
+    assert.ok(
+      worker.received.indexOf("stop") <
+        worker.received.indexOf(`position fen ${START_FEN}`)
+    );
+  });
+
+  test("a newer request on the channel replaces running and queued ones", async () => {
+    const running = evaluatePosition(SLOW_FEN, { cache: false });
+    await wait();
+    const other = evaluatePosition(SLOW_FEN, { channel: "b", cache: false });
+    await wait();
+
+    const queued = evaluatePosition(START_FEN, { cache: false });
+    await assert.rejects(running, { code: "superseded" });
+    await wait();
+    const latest = evaluatePosition(AFTER_E4_FEN, { cache: false });
+    await assert.rejects(queued, { code: "superseded" });
+
+    stopEvaluation("b");
+    await assert.rejects(other, { code: "cancelled" });
+    await latest;
+
+    const [worker] = FakeWorker.instances;
+    assert.deepEqual(searched(worker), [SLOW_FEN, SLOW_FEN, AFTER_E4_FEN]);
+  });
+
+  test("identical searches are joined", async () => {
+    const first = evaluatePosition(SLOW_FEN, { cache: false });
+    await wait();
+    const second = evaluatePosition(SLOW_FEN, { cache: false });
+    await wait();
+
+    stopEvaluation();
+    await assert.rejects(first, { code: "cancelled" });
+    await assert.rejects(second, { code: "cancelled" });
+
+    const [worker] = FakeWorker.instances;
+    assert.deepEqual(searched(worker), [SLOW_FEN]);
+  });
+
+  test("a search that ignores stop is given up after a grace period", async () => {
+    scripts.set(STUCK_FEN, { endless: true, ignoreStop: true });
+    const stuck = evaluatePosition(STUCK_FEN, { cache: false });
+    await wait();
+    const next = evaluatePosition(START_FEN, { cache: false });
+    await assert.rejects(stuck, { code: "superseded" });
+
+    // Starting now would mix the stuck search's output into this one
+    await wait(1000);
+    assert.deepEqual(searched(FakeWorker.instances[0]), [STUCK_FEN]);
+
+    // After STOP_GRACE_MS the worker is replaced
+    await assert.rejects(next, { code: "crashed" });
+    await wait(400);
+    assert.equal(FakeWorker.instances.length, 2);
+    scripts.delete(STUCK_FEN);
+  });
+});
+
+// Search `fen` with the worker answering `info` lines, then `bestmove`
+const scriptedSearch = async (fen, info, options = {}, bestmove = "e2e4") => {
+  scripts.set(fen, { info, bestmove });
+  try {
+    return await evaluatePosition(fen, { cache: false, ...options });
+  } finally {
+    scripts.delete(fen);
+  }
+};
+
+describe("candidate lines", () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    globalThis.Worker = FakeWorker;
+    initStockfish("/stockfish.js");
+  });
+
+  afterEach(() => {
+    shutdownEngine();
+  });
+
+  test("lines are sorted by their multipv rank", async () => {
+    const evaluation = await scriptedSearch(
+      START_FEN,
+      [
+        "info depth 10 multipv 2 score cp 20 nodes 900 pv d2d4 d7d5",
+        "info depth 10 multipv 3 score cp 10 nodes 900 pv g1f3",
+        "info depth 10 multipv 1 score cp 35 nodes 900 pv e2e4 e7e5 g1f3",
+        // More lines than asked for are dropped
+        "info depth 10 multipv 4 score cp 0 nodes 900 pv a2a3",
+      ],
+      { multiPv: 3 }
+    );
+
+    assert.deepEqual(
+      evaluation.lines.map(({ rank, move, score_cp }) => [
+        rank,
+        move,
+        score_cp,
+      ]),
+      [
+        [1, "e2e4", 35],
+        [2, "d2d4", 20],
+        [3, "g1f3", 10],
+      ]
+    );
+    assert.equal(evaluation.score_cp, 35);
+    assert.equal(evaluation.depth, 10);
+    assert.equal(evaluation.best_move.san, "e4");
+  });
+
+  test("mate scores are told apart from centipawns", async () => {
+    const evaluation = await scriptedSearch(
+      START_FEN,
+      [
+        "info depth 12 multipv 1 score mate 3 pv e2e4 e7e5",
+        "info depth 12 multipv 2 score cp -40 pv d2d4",
+        "info depth 12 multipv 3 score mate -2 pv f2f3",
+      ],
+      { multiPv: 3 }
+    );
+
+    assert.deepEqual(
+      evaluation.lines.map(({ score_cp, mate, display_score }) => [
+        score_cp,
+        mate,
+        display_score,
+      ]),
+      [
+        [10000, 3, "+M3"],
+        [-40, null, "-0.40"],
+        [-10000, -2, "-M2"],
+      ]
+    );
+    assert.equal(evaluation.mate, 3);
+  });
+
+  test("scores are turned from the side to move to White's view", async () => {
+    const evaluation = await scriptedSearch(
+      AFTER_E4_FEN,
+      [
+        "info depth 10 multipv 1 score cp 80 pv e7e5",
+        "info depth 10 multipv 2 score mate 4 pv c7c5",
+      ],
+      { multiPv: 2 },
+      "e7e5"
+    );
+
+    assert.equal(evaluation.score_cp, -80);
+    assert.equal(evaluation.display_score, "-0.80");
+    assert.equal(evaluation.advantage, "black");
+    assert.deepEqual(
+      [evaluation.lines[1].mate, evaluation.lines[1].display_score],
+      [-4, "-M4"]
+    );
+    assert.equal(evaluation.best_move.san, "e5");
+  });
+
+  test("each rank keeps its latest exact line, PV and all", async () => {
+    const evaluation = await scriptedSearch(START_FEN, [
+      "info depth 8 multipv 1 score cp 30 pv e2e4 e7e5 g1f3 b8c6",
+      // An aspiration re-search bound does not replace an exact score
+      "info depth 9 multipv 1 score cp 45 lowerbound pv e2e4",
+      "info depth 9 currmove e2e4 currmovenumber 1",
+      "info string NNUE evaluation using nn-small.nnue",
+      // The latest line wins, even when its PV is shorter
+      "info depth 9 multipv 1 score cp 40 pv e2e4 c7c5",
+    ]);
+
+    assert.equal(evaluation.lines.length, 1);
+    assert.deepEqual(evaluation.lines[0].pv, ["e2e4", "c7c5"]);
+    assert.equal(evaluation.score_cp, 40);
+    assert.equal(evaluation.depth, 9);
+  });
+});
+
+describe("search progress", () => {
+  let updates;
+  let worker;
+
+  // Start a search of QUIET_FEN reporting progress every 50ms
+  const startQuietSearch = async () => {
+    const search = evaluatePosition(QUIET_FEN, {
+      cache: false,
+      progressInterval: 50,
+      onProgress: (evaluation) =>
+        updates.push({ at: Date.now(), ...evaluation }),
+    });
+    await wait();
+    [worker] = FakeWorker.instances;
+    // Wrapped, or awaiting this would wait for the search itself
+    return { search };
+  };
+
+  const info = (depth) =>
+    `info depth ${depth} multipv 1 score cp ${depth} pv d1d8`;
+
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    globalThis.Worker = FakeWorker;
+    scripts.set(QUIET_FEN, { endless: true });
+    initStockfish("/stockfish.js");
+    updates = [];
+  });
+
+  afterEach(() => {
+    shutdownEngine();
+    scripts.delete(QUIET_FEN);
+  });
+
+  test("updates come at most once per interval", async () => {
+    const { search } = await startQuietSearch();
+    for (let depth = 1; depth <= 20; depth++) {
+      worker.reply(info(depth));
+      await wait(10);
+    }
+    worker.reply("bestmove d1d8");
+    const evaluation = await search;
+
+    assert.ok(updates.length >= 2, `${updates.length} updates`);
+    assert.ok(updates.length <= 6, `${updates.length} updates`);
+    updates.slice(1).forEach((update, i) => {
+      assert.ok(update.depth > updates[i].depth);
+      // The first update's timestamp includes warming up the converter
+      if (i > 0) assert.ok(update.at - updates[i].at >= 45, "too soon");
+    });
+    assert.ok(updates.every((update) => update.partial));
+
+    assert.equal(evaluation.partial, undefined);
+    assert.equal(evaluation.depth, 20);
+  });
+
+  test("the final result is delivered even while an update waits", async () => {
+    const { search } = await startQuietSearch();
+    worker.reply(info(1));
+    await wait();
+    // Held back by the interval, then overtaken by the bestmove
+    worker.reply(info(2));
+    worker.reply("bestmove d1d8");
+
+    const evaluation = await search;
+    await wait(100);
+    assert.equal(evaluation.depth, 2);
+    assert.deepEqual(
+      updates.map((update) => update.depth),
+      [1]
+    );
+  });
+
+  test("progress stops once the search is superseded", async () => {
+    const { search } = await startQuietSearch();
+    worker.reply(info(1));
+    await wait();
+    worker.reply(info(2));
+
+    const newer = evaluatePosition(START_FEN, { cache: false });
+    worker.reply(info(3));
+    await assert.rejects(search, { code: "superseded" });
+    await newer;
+    await wait(100);
+
+    assert.deepEqual(
+      updates.map((update) => update.depth),
+      [1]
+    );
+  });
+});
+
+describe("win/draw/loss", () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    globalThis.Worker = FakeWorker;
+    initStockfish("/stockfish.js");
+  });
+
+  afterEach(() => {
+    shutdownEngine();
+  });
+
+  const wdlOf = ({ win, draw, loss, wdl_source }) => [
+    win,
+    draw,
+    loss,
+    wdl_source,
+  ];
+
+  // Evaluate `fen` at a single centipawn score, without engine WDL
+  const modelAt = (cp, fen = START_FEN) =>
+    scriptedSearch(fen, [`info depth 10 score cp ${cp} pv e2e4`]);
+
+  test("the engine's numbers are turned to White's view", async () => {
+    const white = await scriptedSearch(START_FEN, [
+      "info depth 10 score cp 30 wdl 300 500 200 pv e2e4",
+    ]);
+    assert.deepEqual(wdlOf(white), [30, 50, 20, "engine"]);
+    assert.equal(white.white_percentage, 55);
+
+    const black = await scriptedSearch(
+      AFTER_E4_FEN,
+      ["info depth 10 score cp 30 wdl 300 500 200 pv e7e5"],
+      {},
+      "e7e5"
+    );
+    assert.deepEqual(wdlOf(black), [20, 50, 30, "engine"]);
+    assert.equal(black.white_percentage, 45);
+  });
+
+  test("the model is even at 0cp and sums to 100%", async () => {
+    const even = await modelAt(0);
+    assert.equal(even.wdl_source, "model");
+    assert.equal(even.win, even.loss);
+    assert.equal(even.white_percentage, 50);
+
+    for (const cp of [-900, -250, -40, 0, 75, 200, 600]) {
+      const { win, draw, loss } = await modelAt(cp);
+      assert.ok(Math.abs(win + draw + loss - 100) <= 0.15, `at ${cp}cp`);
+      assert.ok(draw >= 0, `at ${cp}cp`);
+    }
+  });
+
+  test("the model is symmetric around 0cp", async () => {
+    for (const cp of [40, 150, 420]) {
+      const ahead = await modelAt(cp);
+      const behind = await modelAt(-cp);
+      assert.equal(ahead.win, behind.loss, `at ${cp}cp`);
+      assert.equal(ahead.draw, behind.draw, `at ${cp}cp`);
+      assert.equal(ahead.loss, behind.win, `at ${cp}cp`);
+    }
+  });
+
+  test("the model wins half the time at its 200cp center", async () => {
+    assert.equal((await modelAt(200)).win, 50);
+    // Side to move's +200cp is White's -200cp when Black is to move
+    assert.equal((await modelAt(200, AFTER_E4_FEN)).loss, 50);
+  });
+
+  test("forced mates are certain, whatever the engine says", async () => {
+    const mating = await scriptedSearch(START_FEN, [
+      "info depth 20 score mate 3 wdl 900 100 0 pv e2e4",
+    ]);
+    assert.deepEqual(wdlOf(mating), [100, 0, 0, "model"]);
+
+    const mated = await scriptedSearch(
+      AFTER_E4_FEN,
+      ["info depth 20 score mate 2 pv e7e5"],
+      {},
+      "e7e5"
+    );
+    assert.deepEqual(wdlOf(mated), [0, 0, 100, "model"]);
+  });
+});
+
+// An empty evaluation cache whose every read answers after `readDelay` ms
+const slowIndexedDB = {
+  readDelay: 0,
+  open() {
+    const request = (result) => {
+      const pending = { result };
+      setTimeout(() => pending.onsuccess(), 0);
+      return pending;
+    };
+    const transaction = () => {
+      const store = {
+        get() {
+          const pending = { result: undefined };
+          setTimeout(() => pending.onsuccess(), slowIndexedDB.readDelay);
+          return pending;
+        },
+        put() {
+          setTimeout(() => tx.oncomplete(), 0);
+        },
+        count: () => request(0),
+      };
+      const tx = { objectStore: () => store };
+      return tx;
+    };
+    return request({ transaction });
+  },
+};
+
+describe("superseding", () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    globalThis.Worker = FakeWorker;
+    globalThis.indexedDB = slowIndexedDB;
+    initStockfish("/stockfish.js");
+  });
+
+  afterEach(() => {
+    shutdownEngine();
+    delete globalThis.indexedDB;
+  });
+
+  test("a late cache lookup does not replace a newer position", async () => {
+    slowIndexedDB.readDelay = 30;
+    const older = evaluatePosition(START_FEN, { depth: 12 });
+    const newer = evaluatePosition(AFTER_E4_FEN, { depth: 12, cache: false });
+
+    await assert.rejects(older, { code: "superseded" });
+    const evaluation = await newer;
+    assert.equal(evaluation.best_move.uci, "e2e4");
+
+    const [worker] = FakeWorker.instances;
+    const searched = worker.received.filter((command) =>
+      command.startsWith("position fen ")
+    );
+    assert.deepEqual(searched, [`position fen ${AFTER_E4_FEN}`]);
+  });
+
+  test("identical requests made together share one search", async () => {
+    slowIndexedDB.readDelay = 30;
+    const [first, second] = await Promise.all([
+      evaluatePosition(START_FEN, { depth: 12 }),
+      evaluatePosition(START_FEN, { depth: 12 }),
+    ]);
+
+    assert.equal(first, second);
+    const [worker] = FakeWorker.instances;
+    assert.equal(
+      worker.received.filter((command) => command.startsWith("go")).length,
+      1
+    );
+  });
+});
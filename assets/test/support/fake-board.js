@@ -0,0 +1,78 @@
+// Just enough DOM for a BoardOverlay: a board of 50px square buttons with
+// White at the bottom, an SVG over it and the elements drawn into it
+
+const SQUARE_SIZE = 50;
+
+class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName;
+    this.attributes = new Map();
+    this.children = [];
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+    return child;
+  }
+
+  replaceChildren(...children) {
+    this.children = children;
+  }
+
+  getBoundingClientRect() {
+    return { left: 0, top: 0, width: 8 * SQUARE_SIZE, height: 8 * SQUARE_SIZE };
+  }
+}
+
+const squareButton = (square) => {
+  const file = square.charCodeAt(0) - 97;
+  const rank = Number(square[1]) - 1;
+  return {
+    getBoundingClientRect: () => ({
+      left: file * SQUARE_SIZE,
+      top: (7 - rank) * SQUARE_SIZE,
+      width: SQUARE_SIZE,
+      height: SQUARE_SIZE,
+    }),
+  };
+};
+
+/**
+ * Install a document holding a board with id `boardId`, and a
+ * ResizeObserver that never fires. Returns the SVG to draw into.
+ */
+export function installFakeBoard(boardId = "chess-board") {
+  const board = {
+    querySelector(selector) {
+      const match = selector.match(/^\[phx-value-square="([a-h][1-8])"\]$/);
+      return match ? squareButton(match[1]) : null;
+    },
+  };
+
+  globalThis.document = {
+    getElementById: (id) => (id === boardId ? board : null),
+    createElementNS: (_namespace, tagName) => new FakeElement(tagName),
+  };
+  globalThis.ResizeObserver = class {
+    observe() {}
+    disconnect() {}
+  };
+
+  return new FakeElement("svg");
+}
+
+// The drawn shapes, as their tag and colour, e.g. "circle red"
+export const drawn = (svg) =>
+  svg.children.map((shape) => {
+    const fill = shape.getAttribute("fill");
+    const color = fill === "none" ? shape.getAttribute("stroke") : fill;
+    return `${shape.tagName} ${color}`;
+  });
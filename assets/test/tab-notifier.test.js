@@ -0,0 +1,84 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_NOTIFY_SETTINGS,
+  TabNotifier,
+  notifySettings,
+  saveNotifySettings,
+} from "../js/tab-notifier.js";
+import { MemoryStorage } from "./support/memory-storage.js";
+
+class FakeDocument {
+  constructor() {
+    this.title = "Room abc";
+    this.hidden = true;
+    this.listeners = new Map();
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.set(type, listener);
+  }
+
+  removeEventListener(type) {
+    this.listeners.delete(type);
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  show() {
+    this.hidden = false;
+    this.listeners.get("visibilitychange")();
+  }
+}
+
+describe("tab notifier", () => {
+  test("settings are saved per event", () => {
+    const storage = new MemoryStorage();
+    assert.deepEqual(notifySettings(storage), DEFAULT_NOTIFY_SETTINGS);
+
+    saveNotifySettings({ opponent_joined: false, desktop: "yes" }, storage);
+    assert.deepEqual(notifySettings(storage), {
+      ...DEFAULT_NOTIFY_SETTINGS,
+      opponent_joined: false,
+    });
+  });
+
+  test("flashes the title until the tab is visible again", () => {
+    const doc = new FakeDocument();
+    const notifier = new TabNotifier(doc, () => DEFAULT_NOTIFY_SETTINGS);
+
+    notifier.notify("opponent_moved", "Black played e5");
+    assert.equal(doc.title, "♟ Your move");
+    notifier.toggleTitle();
+    assert.equal(doc.title, "Room abc");
+
+    notifier.notify("game_ended", "Checkmate! Black wins");
+    assert.equal(doc.title, "♟ Game over");
+
+    doc.show();
+    assert.equal(doc.title, "Room abc");
+    assert.equal(notifier.flashTimer, null);
+    notifier.destroy();
+    assert.equal(doc.listeners.size, 0);
+  });
+
+  test("stays quiet in a visible tab or for switched off events", () => {
+    const doc = new FakeDocument();
+    const notifier = new TabNotifier(doc, () => ({
+      ...DEFAULT_NOTIFY_SETTINGS,
+      opponent_joined: false,
+    }));
+
+    notifier.notify("opponent_joined", "White joined the game");
+    notifier.notify("unknown", "");
+    assert.equal(doc.title, "Room abc");
+
+    doc.hidden = false;
+    notifier.notify("opponent_moved", "Black played e5");
+    assert.equal(doc.title, "Room abc");
+    notifier.destroy();
+  });
+});
@@ -6,19 +6,23 @@ defmodule LiveChess.GameServer do
 
   alias Chess.Game, as: ChessGame
   alias LiveChess.Games.Board
-  alias LiveChess.Games.{Notation, Storage}
+  alias LiveChess.Games.{Clock, Notation, Storage}
 
   @type room_id :: String.t()
   @type player_token :: String.t()
 
+  @robot_levels 1..8
+  @default_robot_level 4
+
   ## Client API
 
   def start_link(room_id) when is_binary(room_id) do
     GenServer.start_link(__MODULE__, room_id, name: via(room_id))
   end
 
-  def create(room_id, creator_token) do
-    GenServer.call(via(room_id), {:create, creator_token})
+  # `opts` may set a `time_control: {initial_ms, increment_ms}` for the game
+  def create(room_id, creator_token, opts \\ []) do
+    GenServer.call(via(room_id), {:create, creator_token, opts})
   end
 
   def join(room_id, player_token) do
@@ -29,10 +33,13 @@ defmodule LiveChess.GameServer do
     GenServer.call(via(room_id), {:connect, player_token})
   end
 
-  def add_robot(room_id, color) do
-    GenServer.call(via(room_id), {:add_robot, color})
+  def add_robot(room_id, color, opts \\ []) do
+    GenServer.call(via(room_id), {:add_robot, color, opts})
   end
 
+  def robot_levels, do: @robot_levels
+  def default_robot_level, do: @default_robot_level
+
   def available_moves(room_id, player_token, from_square) do
     GenServer.call(via(room_id), {:available_moves, player_token, from_square})
   end
@@ -92,20 +99,24 @@ defmodule LiveChess.GameServer do
         :error -> new_state(room_id)
       end
 
-    {:ok, state}
+    {:ok, schedule_flag(state)}
   end
 
   @impl true
-  def handle_call({:create, token}, _from, state) do
+  def handle_call({:create, token, opts}, _from, state) do
     color = first_available_color(state)
 
     with {:ok, state} <- ensure_slot(state, token, color) do
-      state = broadcast(state)
+      state =
+        state
+        |> maybe_put_clock(Keyword.get(opts, :time_control))
+        |> broadcast()
+
       {:reply, {:ok, payload(state, token, color)}, state}
     end
   end
 
-  def handle_call({:add_robot, color}, _from, state) when color in [:white, :black] do
+  def handle_call({:add_robot, color, opts}, _from, state) when color in [:white, :black] do
     cond do
       state.robot != nil ->
         {:reply, {:error, :robot_already_present}, state}
@@ -115,18 +126,24 @@ defmodule LiveChess.GameServer do
 
       true ->
         robot_token = robot_token(state.room_id, color)
+        level = normalize_robot_level(Keyword.get(opts, :level))
+        human? = Keyword.get(opts, :human?, false) == true
 
         robot_player = %{
           token: robot_token,
           connected?: true,
           robot?: true,
-          name: "Robot (Stockfish.wasm)"
+          name: "Robot (Stockfish.wasm)",
+          level: level,
+          human?: human?
         }
 
         robot_state = %{
           color: color,
           token: robot_token,
-          delay_ms: 700
+          delay_ms: 700,
+          level: level,
+          human?: human?
         }
 
         state =
@@ -141,7 +158,7 @@ defmodule LiveChess.GameServer do
     end
   end
 
-  def handle_call({:add_robot, _color}, _from, state) do
+  def handle_call({:add_robot, _color, _opts}, _from, state) do
     {:reply, {:error, :invalid_color}, state}
   end
 
@@ -203,12 +220,14 @@ defmodule LiveChess.GameServer do
     with {:player, color} <- player_role(state, token),
          :active <- state.status,
          :ok <- validate_turn(state, color),
+         :ok <- validate_time(state, color),
          {:ok, move_value} <- format_move(from, to),
          {:ok, game} <- ChessGame.play(state.game, move_value, promotion) do
       updated =
         state
         |> Map.put(:game, game)
         |> Map.put(:last_move, %{from: from, to: to, promotion: promotion, color: color})
+        |> press_clock(color)
         |> maybe_finish(game)
         |> maybe_queue_robot_move()
 
@@ -217,6 +236,7 @@ defmodule LiveChess.GameServer do
     else
       {:player, _} -> {:reply, {:error, :game_not_active}, state}
       :waiting -> {:reply, {:error, :game_not_active}, state}
+      {:error, :flagged} -> {:reply, {:error, :game_not_active}, flag(state)}
       {:error, reason} -> {:reply, {:error, reason}, state}
       :spectator -> {:reply, {:error, :not_authorized}, state}
       {:spectator, _} -> {:reply, {:error, :not_authorized}, state}
@@ -233,6 +253,7 @@ defmodule LiveChess.GameServer do
         |> Map.put(:status, :resigned)
         |> Map.put(:winner, winner)
         |> Map.put(:last_move, %{action: :resigned, color: color})
+        |> stop_clock()
         |> cancel_robot_timer()
 
       updated = broadcast(updated)
@@ -289,6 +310,7 @@ defmodule LiveChess.GameServer do
           color: color,
           robot?: true
         })
+        |> press_clock(color)
         |> maybe_finish(game)
         |> maybe_queue_robot_move()
 
@@ -306,6 +328,17 @@ defmodule LiveChess.GameServer do
     {:noreply, state}
   end
 
+  def handle_info({:flag, color}, state) do
+    state = %{state | flag_timer: nil}
+
+    if game_active?(state) and state.clock != nil and state.clock.running == color and
+         Clock.flagged?(state.clock, color) do
+      {:noreply, flag(state)}
+    else
+      {:noreply, schedule_flag(state)}
+    end
+  end
+
   @impl true
   def handle_cast({:leave, token}, state) do
     state =
@@ -369,7 +402,68 @@ defmodule LiveChess.GameServer do
   end
 
   defp maybe_finish(state, %ChessGame{status: status}) do
-    %{state | status: status, winner: Map.get(state, :winner)}
+    stop_clock(%{state | status: status, winner: Map.get(state, :winner)})
+  end
+
+  ## Clocks
+
+  defp maybe_put_clock(%{clock: nil, status: :waiting} = state, {initial_ms, increment_ms})
+       when is_integer(initial_ms) and initial_ms > 0 and is_integer(increment_ms) and
+              increment_ms >= 0 do
+    %{state | clock: Clock.new(initial_ms, increment_ms)}
+  end
+
+  defp maybe_put_clock(state, _time_control), do: state
+
+  defp validate_time(%{clock: nil}, _color), do: :ok
+
+  defp validate_time(%{clock: clock}, color) do
+    if Clock.flagged?(clock, color), do: {:error, :flagged}, else: :ok
+  end
+
+  defp press_clock(%{clock: nil} = state, _color), do: state
+
+  defp press_clock(state, color) do
+    schedule_flag(%{state | clock: Clock.press(state.clock, color)})
+  end
+
+  defp stop_clock(%{clock: nil} = state), do: state
+
+  defp stop_clock(state) do
+    cancel_flag_timer(%{state | clock: Clock.stop(state.clock, Clock.now())})
+  end
+
+  # The side to move ran out of time: the opponent wins
+  defp flag(%{clock: %{running: color}} = state) when color in [:white, :black] do
+    state
+    |> Map.put(:status, :timeout)
+    |> Map.put(:winner, opponent_color(color))
+    |> Map.put(:last_move, %{action: :timeout, color: color})
+    |> stop_clock()
+    |> cancel_robot_timer()
+    |> broadcast()
+  end
+
+  defp flag(state), do: state
+
+  defp schedule_flag(state) do
+    state = cancel_flag_timer(state)
+
+    with %{clock: clock} when clock != nil <- state,
+         true <- game_active?(state),
+         ms when is_integer(ms) <- Clock.flag_in(clock, Clock.now()) do
+      # A moment late rather than early, so the flag is never premature
+      %{state | flag_timer: Process.send_after(self(), {:flag, clock.running}, ms + 50)}
+    else
+      _ -> state
+    end
+  end
+
+  defp cancel_flag_timer(%{flag_timer: nil} = state), do: state
+
+  defp cancel_flag_timer(state) do
+    _ = Process.cancel_timer(state.flag_timer)
+    %{state | flag_timer: nil}
   end
 
   defp validate_turn(%{game: %ChessGame{current_fen: fen}}, color) do
@@ -494,6 +588,7 @@ defmodule LiveChess.GameServer do
       in_check: outcome.in_check,
       players: serialize_players(state.players),
       last_move: state.last_move,
+      clock: state.clock && Clock.snapshot(state.clock),
       board: Board.from_game(state.game),
       turn: current_turn(state.game.current_fen),
       history: Enum.map(annotated_history, & &1.san),
@@ -546,7 +641,10 @@ defmodule LiveChess.GameServer do
 
     base =
       if Map.get(player, :robot?) do
-        Map.put(base, :robot?, true)
+        base
+        |> Map.put(:robot?, true)
+        |> Map.put(:level, Map.get(player, :level, @default_robot_level))
+        |> Map.put(:human?, Map.get(player, :human?, false))
       else
         base
       end
@@ -594,6 +692,8 @@ defmodule LiveChess.GameServer do
       winner: nil,
       robot: nil,
       robot_timer: nil,
+      clock: nil,
+      flag_timer: nil,
       evaluation: nil,
       evaluation_fen: nil,
       evaluation_status: nil,
@@ -609,6 +709,8 @@ defmodule LiveChess.GameServer do
     |> Map.put_new(:winner, nil)
     |> Map.put_new(:robot, nil)
     |> Map.put(:robot_timer, nil)
+    |> Map.put_new(:clock, nil)
+    |> Map.put(:flag_timer, nil)
     |> Map.put_new(:evaluation, nil)
     |> Map.put_new(:evaluation_fen, nil)
     |> Map.put_new(:evaluation_status, nil)
@@ -645,6 +747,18 @@ defmodule LiveChess.GameServer do
 
   defp robot_token(room_id, color), do: "robot:#{room_id}:#{color}"
 
+  defp normalize_robot_level(level) when is_integer(level) and level in @robot_levels,
+    do: level
+
+  defp normalize_robot_level(level) when is_binary(level) do
+    case Integer.parse(level) do
+      {parsed, ""} -> normalize_robot_level(parsed)
+      _ -> @default_robot_level
+    end
+  end
+
+  defp normalize_robot_level(_level), do: @default_robot_level
+
   defp robot_turn?(%{robot: %{color: color}} = state) do
     state.status == :active and current_turn(state.game.current_fen) == color
   end
@@ -684,6 +798,7 @@ defmodule LiveChess.GameServer do
   defp persistable_state(state) do
     state
     |> Map.put(:robot_timer, nil)
+    |> Map.put(:flag_timer, nil)
   end
 
   # Check if a move is actually a promotion (pawn reaching back rank)
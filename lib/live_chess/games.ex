@@ -15,24 +15,24 @@ defmodule LiveChess.Games do
     |> Base.url_encode64(padding: false)
   end
 
-  def create_game(creator_token) do
+  def create_game(creator_token, opts \\ []) do
     room_id = unique_room_id()
 
     case GameSupervisor.start_game(room_id) do
       {:ok, pid} when is_pid(pid) ->
-        case GameServer.create(room_id, creator_token) do
+        case GameServer.create(room_id, creator_token, opts) do
           {:ok, _result} -> {:ok, room_id}
           error -> error
         end
 
       {:ok, :already_started} ->
-        case GameServer.create(room_id, creator_token) do
+        case GameServer.create(room_id, creator_token, opts) do
           {:ok, _result} -> {:ok, room_id}
           error -> error
         end
 
       {:error, {:already_started, _pid}} ->
-        case GameServer.create(room_id, creator_token) do
+        case GameServer.create(room_id, creator_token, opts) do
           {:ok, _result} -> {:ok, room_id}
           error -> error
         end
@@ -49,7 +49,8 @@ defmodule LiveChess.Games do
          {:ok, %{role: human_color}} <- GameServer.create(room_id, creator_token),
          robot_color <- Keyword.get(opts, :robot_color, opponent_color(human_color)),
          true <- robot_color in [:white, :black],
-         {:ok, _state} <- GameServer.add_robot(room_id, robot_color) do
+         {:ok, _state} <-
+           GameServer.add_robot(room_id, robot_color, Keyword.take(opts, [:level, :human?])) do
       {:ok, room_id}
     else
       {:error, reason} -> {:error, reason}
@@ -90,6 +91,21 @@ defmodule LiveChess.Games do
     Phoenix.PubSub.subscribe(LiveChess.PubSub, "game:" <> room_id)
   end
 
+  # Board drawings shared between spectators. A topic of their own, so game
+  # subscribers are not woken up by every arrow.
+  def subscribe_annotations(room_id) do
+    Phoenix.PubSub.subscribe(LiveChess.PubSub, "annotations:" <> room_id)
+  end
+
+  def share_annotations(room_id, annotations) do
+    Phoenix.PubSub.broadcast_from(
+      LiveChess.PubSub,
+      self(),
+      "annotations:" <> room_id,
+      {:shared_annotations, annotations}
+    )
+  end
+
   defp unique_room_id do
     room_id =
       Base.encode32(:crypto.strong_rand_bytes(5), padding: false)
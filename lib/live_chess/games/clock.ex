@@ -0,0 +1,89 @@
+defmodule LiveChess.Games.Clock do
+  @moduledoc false
+
+  # Fischer clock for timed games. Times are wall-clock milliseconds
+  # (System.system_time/1), so a running clock survives a server restart
+  # with the downtime counted against the side to move.
+
+  @type color :: :white | :black
+  @type t :: %{
+          initial_ms: non_neg_integer(),
+          increment_ms: non_neg_integer(),
+          white_ms: integer(),
+          black_ms: integer(),
+          running: color() | nil,
+          since: integer() | nil
+        }
+
+  def new(initial_ms, increment_ms)
+      when is_integer(initial_ms) and initial_ms > 0 and is_integer(increment_ms) and
+             increment_ms >= 0 do
+    %{
+      initial_ms: initial_ms,
+      increment_ms: increment_ms,
+      white_ms: initial_ms,
+      black_ms: initial_ms,
+      running: nil,
+      since: nil
+    }
+  end
+
+  def now, do: System.system_time(:millisecond)
+
+  # Time left for `color`, counting the running period up to `now`.
+  def remaining(clock, color, now \\ now())
+
+  def remaining(%{running: color, since: since} = clock, color, now) do
+    Map.fetch!(clock, key(color)) - (now - since)
+  end
+
+  def remaining(clock, color, _now), do: Map.fetch!(clock, key(color))
+
+  def flagged?(clock, color, now \\ now()), do: remaining(clock, color, now) <= 0
+
+  # `color` finished a move: charge it the time used, add the increment and
+  # start the opponent's clock. The first press just starts the clock, so
+  # nobody is charged before the game got going.
+  def press(clock, color, now \\ now()) do
+    clock =
+      if clock.running == color do
+        used = remaining(clock, color, now)
+        Map.put(clock, key(color), used + clock.increment_ms)
+      else
+        clock
+      end
+
+    %{clock | running: opponent(color), since: now}
+  end
+
+  # Stop both clocks, keeping the time left at `now`.
+  def stop(%{running: nil} = clock, _now), do: clock
+
+  def stop(%{running: color} = clock, now) do
+    clock
+    |> Map.put(key(color), max(remaining(clock, color, now), 0))
+    |> Map.merge(%{running: nil, since: nil})
+  end
+
+  # Milliseconds until the running side runs out of time, or nil when stopped.
+  def flag_in(%{running: nil}, _now), do: nil
+  def flag_in(%{running: color} = clock, now), do: max(remaining(clock, color, now), 0)
+
+  # What clients need to draw the clocks: the time left for both sides as of
+  # `now` and which one is counting down.
+  def snapshot(clock, now \\ now()) do
+    %{
+      white_ms: max(remaining(clock, :white, now), 0),
+      black_ms: max(remaining(clock, :black, now), 0),
+      running: clock.running,
+      initial_ms: clock.initial_ms,
+      increment_ms: clock.increment_ms
+    }
+  end
+
+  defp key(:white), do: :white_ms
+  defp key(:black), do: :black_ms
+
+  defp opponent(:white), do: :black
+  defp opponent(:black), do: :white
+end
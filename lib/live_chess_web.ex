@@ -17,7 +17,7 @@ defmodule LiveChessWeb do
   those modules here.
   """
 
-  def static_paths, do: ~w(assets fonts images robots.txt site.webmanifest)
+  def static_paths, do: ~w(assets fonts images sounds robots.txt site.webmanifest)
 
   def router do
     quote do
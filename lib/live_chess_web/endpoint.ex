@@ -24,7 +24,9 @@ defmodule LiveChessWeb.Endpoint do
     at: "/",
     from: :live_chess,
     gzip: not code_reloading?,
-    only: LiveChessWeb.static_paths()
+    only: LiveChessWeb.static_paths(),
+    # Workers of a cross-origin isolated page must opt in as well
+    headers: %{"cross-origin-embedder-policy" => "require-corp"}
 
   # Code reloading can be explicitly enabled under the
   # :code_reloader configuration of your endpoint.
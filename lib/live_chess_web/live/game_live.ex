@@ -8,6 +8,44 @@ defmodule LiveChessWeb.GameLive do
   alias LiveChessWeb.Presence
 
   @auto_join_retry_ms 1_500
+  @analysis_multi_pv 3
+  @analysis_progress_ms 250
+  @eval_line_preview_moves 8
+  @default_analysis_depth 12
+  @postmortem_depth 12
+  # Eval bar depth by the speed the client's engine measured (nodes per
+  # second); anything slower than the last entry gets the slow-device depth
+  @analysis_depth_by_nps [{2_000_000, 16}, {600_000, 14}, {150_000, 12}]
+  @slow_device_analysis_depth 10
+  # Named openings rarely run longer than this
+  @opening_lookup_plies 30
+  @move_classifications ~w(best good inaccuracy mistake blunder)
+  @engine_arrow_kinds ~w(hint threat)
+  # Values match ANIMATION_SPEEDS in assets/js/board-animation.js
+  @animation_speeds [{"fast", "Fast"}, {"normal", "Normal"}, {"slow", "Slow"}, {"off", "Off"}]
+  # Values match HAPTIC_INTENSITIES in assets/js/haptics.js
+  @haptic_intensities [
+    {"light", "Light"},
+    {"normal", "Normal"},
+    {"strong", "Strong"},
+    {"off", "Off"}
+  ]
+  @annotation_brushes ~w(green red blue yellow)
+  @max_shared_annotations 64
+  @squares for file <- ~w(a b c d e f g h), rank <- 1..8, do: "#{file}#{rank}"
+  @piece_names %{
+    "p" => "pawn",
+    "n" => "knight",
+    "b" => "bishop",
+    "r" => "rook",
+    "q" => "queen",
+    "k" => "king"
+  }
+  # The client picks the multi-threaded build when the page is cross-origin isolated
+  @stockfish_paths %{
+    single: "/assets/stockfish-17.1-lite-single-03e3232.js",
+    threaded: "/assets/stockfish-17.1-lite-51f59da.js"
+  }
 
   @finished_statuses [
     :completed,
@@ -22,6 +60,14 @@ defmodule LiveChessWeb.GameLive do
     :abandoned
   ]
 
+  @drawn_statuses [
+    :stalemate,
+    :draw,
+    :insufficient_material,
+    :threefold_repetition,
+    :fifty_move_rule
+  ]
+
   @impl true
   def mount(%{"room_id" => room_id}, _session, socket) do
     socket =
@@ -46,11 +92,19 @@ defmodule LiveChessWeb.GameLive do
       |> assign(:history_pairs, [])
       |> assign(:history_selected_ply, nil)
       |> assign(:endgame_overlay_dismissed, false)
+      |> assign(:game_analysis, nil)
+      |> assign(:opening, nil)
+      |> assign(:opening_plies, 0)
+      |> assign(:stockfish_paths, @stockfish_paths)
+      |> assign(:engine_nps, nil)
+      |> assign(:engine_arrows, [])
+      |> assign(:share_annotations, false)
       |> assign(:auto_join_attempt, %{target: nil, attempted_at: nil})
       |> assign(:page_title, "LiveView Chess")
 
     if connected?(socket) do
       Games.subscribe(room_id)
+      Games.subscribe_annotations(room_id)
 
       # Subscribe to presence updates
       topic = "game:#{room_id}"
@@ -79,6 +133,8 @@ defmodule LiveChessWeb.GameLive do
             |> set_final_evaluation_if_finished(state)
             |> request_client_evaluation(state)
             |> maybe_request_robot_move(state)
+            |> maybe_request_opening_name(state)
+            |> maybe_request_game_analysis(state)
 
           {:ok, maybe_auto_join(socket, state)}
 
@@ -223,6 +279,12 @@ defmodule LiveChessWeb.GameLive do
       socket.assigns[:show_leave_modal] ->
         {:noreply, assign(socket, :show_leave_modal, false)}
 
+      socket.assigns.selected_square != nil ->
+        {:noreply,
+         socket
+         |> assign(:selected_square, nil)
+         |> assign(:available_moves, MapSet.new())}
+
       show_surrender_button?(socket.assigns.role, socket.assigns.game) ->
         {:noreply, assign(socket, :show_surrender_modal, true)}
 
@@ -239,25 +301,13 @@ defmodule LiveChessWeb.GameLive do
     {:noreply, socket}
   end
 
-  def handle_event("client_eval_result", %{"evaluation" => evaluation}, socket) do
-    # Update game state with client-side evaluation
-    # Keep as strings from JavaScript
-    normalized_evaluation = %{
-      "score_cp" => Map.get(evaluation, "score_cp"),
-      "display_score" => Map.get(evaluation, "display_score"),
-      "white_percentage" => Map.get(evaluation, "white_percentage"),
-      "advantage" => Map.get(evaluation, "advantage", "equal"),
-      "source" => Map.get(evaluation, "source", "stockfish_wasm")
-    }
-
-    game = socket.assigns.game
+  def handle_event("client_eval_result", %{"evaluation" => evaluation} = params, socket) do
+    {:noreply, apply_client_evaluation(socket, evaluation, params["fen"])}
+  end
 
-    if game do
-      updated_game = Map.put(game, :evaluation, normalized_evaluation)
-      {:noreply, assign(socket, :game, updated_game)}
-    else
-      {:noreply, socket}
-    end
+  # Intermediate depths streamed while the client-side search is still running
+  def handle_event("client_eval_progress", %{"evaluation" => evaluation} = params, socket) do
+    {:noreply, apply_client_evaluation(socket, evaluation, params["fen"])}
   end
 
   def handle_event("client_eval_error", %{"error" => _error}, socket) do
@@ -265,8 +315,106 @@ defmodule LiveChessWeb.GameLive do
     {:noreply, socket}
   end
 
+  # Hint and threat arrows drawn by the board overlay from the client's engine
+  def handle_event("toggle_engine_arrow", %{"kind" => kind}, socket)
+      when kind in @engine_arrow_kinds do
+    arrows = socket.assigns.engine_arrows
+
+    cond do
+      kind in arrows ->
+        {:noreply,
+         socket
+         |> assign(:engine_arrows, List.delete(arrows, kind))
+         |> push_event("hide_engine_arrow", %{kind: kind})}
+
+      engine_assist_available?(socket) ->
+        {:noreply,
+         socket
+         |> assign(:engine_arrows, [kind | arrows])
+         |> push_event("show_engine_arrow", %{kind: kind, fen: socket.assigns.game.current_fen})}
+
+      true ->
+        {:noreply, socket}
+    end
+  end
+
+  def handle_event("engine_arrow_error", %{"kind" => kind}, socket) do
+    {:noreply, assign(socket, :engine_arrows, List.delete(socket.assigns.engine_arrows, kind))}
+  end
+
+  # Spectators may show their board drawings to the other spectators
+  def handle_event("toggle_annotation_sharing", _params, socket) do
+    cond do
+      socket.assigns.role != :spectator ->
+        {:noreply, socket}
+
+      socket.assigns.share_annotations ->
+        stop_sharing_annotations(socket)
+        {:noreply, assign(socket, :share_annotations, false)}
+
+      true ->
+        {:noreply, assign(socket, :share_annotations, true)}
+    end
+  end
+
+  def handle_event("share_annotations", %{"ply" => ply} = params, socket)
+      when is_integer(ply) do
+    if socket.assigns.role == :spectator and socket.assigns.share_annotations do
+      Games.share_annotations(socket.assigns.room_id, %{
+        sender: socket.id,
+        ply: ply,
+        arrows: sanitize_annotations(params["arrows"], ["from", "to"]),
+        marks: sanitize_annotations(params["marks"], ["square"])
+      })
+    end
+
+    {:noreply, socket}
+  end
+
+  def handle_event("share_annotations", _params, socket), do: {:noreply, socket}
+
+  # Nodes per second the client's engine measured on this device
+  def handle_event("engine_benchmark", %{"nps" => nps}, socket)
+      when is_number(nps) and nps > 0 do
+    {:noreply, assign(socket, :engine_nps, nps)}
+  end
+
+  def handle_event("engine_benchmark", _params, socket), do: {:noreply, socket}
+
+  # Answered right away, so the client can time the round trip for its clocks
+  def handle_event("clock_ping", _params, socket), do: {:reply, %{}, socket}
+
+  def handle_event("opening_identified", %{"opening" => opening}, socket) do
+    case opening do
+      %{"eco" => eco, "name" => name} when is_binary(eco) and is_binary(name) ->
+        {:noreply, assign(socket, :opening, %{eco: eco, name: name})}
+
+      _ ->
+        {:noreply, assign(socket, :opening, nil)}
+    end
+  end
+
+  def handle_event("game_analysis_progress", %{"done" => done, "total" => total}, socket) do
+    case socket.assigns.game_analysis do
+      %{status: :running} = analysis ->
+        {:noreply, assign(socket, :game_analysis, %{analysis | done: done, total: total})}
+
+      _ ->
+        {:noreply, socket}
+    end
+  end
+
+  def handle_event("game_analysis_result", %{"analysis" => analysis}, socket) do
+    {:noreply, assign(socket, :game_analysis, normalize_game_analysis(analysis))}
+  end
+
+  def handle_event("game_analysis_error", %{"error" => _error}, socket) do
+    {:noreply, assign(socket, :game_analysis, %{status: :failed})}
+  end
+
   def handle_event("robot_move_ready", %{"move" => move}, socket) do
-    # Client has calculated the best move for the robot
+    # Client has chosen the robot's move; the accompanying "settings" only
+    # echo the strength parameters it was picked with
     room_id = socket.assigns.room_id
 
     case LiveChess.GameServer.robot_move(room_id, move) do
@@ -280,6 +428,15 @@ defmodule LiveChessWeb.GameLive do
     {:noreply, socket}
   end
 
+  # Whole moves from the client: typed moves and premoves sent once it is our turn
+  def handle_event("submit_move", %{"from" => from, "to" => to} = params, socket) do
+    if viewing_live?(socket) and active_player?(socket) do
+      attempt_move(socket, from, to, Map.get(params, "promotion") || "q")
+    else
+      {:noreply, socket}
+    end
+  end
+
   def handle_event("select_square", %{"square" => square}, socket) do
     cond do
       not viewing_live?(socket) ->
@@ -322,13 +479,17 @@ defmodule LiveChessWeb.GameLive do
       |> set_game_state(state)
       |> assign(:error_message, nil)
       |> maybe_reset_selection(state)
+      |> maybe_clear_engine_arrows(previous_game, state)
       |> request_client_evaluation(state)
       |> maybe_request_robot_move(state)
+      |> maybe_request_opening_name(state)
 
     # Set or preserve definitive evaluation for finished games
     socket =
       if finished_status?(new_status) do
-        set_final_evaluation_if_finished(socket, state)
+        socket
+        |> set_final_evaluation_if_finished(state)
+        |> maybe_request_game_analysis(state)
       else
         socket
       end
@@ -343,8 +504,19 @@ defmodule LiveChessWeb.GameLive do
     {:noreply, update_spectator_count_from_presence(socket, topic)}
   end
 
+  # Players never see shared drawings: they would be outside help
+  @impl true
+  def handle_info({:shared_annotations, annotations}, socket) do
+    if socket.assigns.role == :spectator do
+      {:noreply, push_event(socket, "shared_annotations", annotations)}
+    else
+      {:noreply, socket}
+    end
+  end
+
   @impl true
   def terminate(_reason, socket) do
+    if socket.assigns[:share_annotations], do: stop_sharing_annotations(socket)
     Games.leave(socket.assigns.room_id, socket.assigns.player_token)
     :ok
   end
@@ -364,38 +536,44 @@ defmodule LiveChessWeb.GameLive do
     end
   end
 
-  defp attempt_move(socket, from, to) do
-    case Games.make_move(socket.assigns.room_id, socket.assigns.player_token, from, to) do
+  defp attempt_move(socket, from, to, promotion \\ "q") do
+    %{room_id: room_id, player_token: token} = socket.assigns
+
+    case Games.make_move(room_id, token, from, to, promotion) do
       {:ok, %{state: state}} ->
         {:noreply,
          socket
          |> set_game_state(state)
          |> assign(:selected_square, nil)
          |> assign(:available_moves, MapSet.new())
-         |> assign(:error_message, nil)
-         |> push_event("vibrate-move", %{})}
+         |> assign(:error_message, nil)}
 
       {:error, :not_your_turn} ->
-        {:noreply, assign(socket, :error_message, "It's not your turn.")}
+        {:noreply, reject_move(socket, "It's not your turn.")}
 
       {:error, :invalid_square} ->
-        {:noreply, assign(socket, :error_message, "Select a valid destination square.")}
+        {:noreply, reject_move(socket, "Select a valid destination square.")}
 
       {:error, :game_not_active} ->
-        {:noreply,
-         assign(socket, :error_message, "Waiting for both players before moves can be made.")}
+        {:noreply, reject_move(socket, "Waiting for both players before moves can be made.")}
 
       {:error, :not_authorized} ->
-        {:noreply, assign(socket, :error_message, "Only players can make moves.")}
+        {:noreply, reject_move(socket, "Only players can make moves.")}
 
       {:error, message} when is_binary(message) ->
-        {:noreply, assign(socket, :error_message, message)}
+        {:noreply, reject_move(socket, message)}
 
       {:error, _} ->
-        {:noreply, assign(socket, :error_message, "That move is not allowed.")}
+        {:noreply, reject_move(socket, "That move is not allowed.")}
     end
   end
 
+  defp reject_move(socket, message) do
+    socket
+    |> assign(:error_message, message)
+    |> push_event("play-sound", %{event: "illegal"})
+  end
+
   defp maybe_reset_selection(socket, state) do
     cond do
       socket.assigns.selected_square == nil ->
@@ -462,6 +640,8 @@ defmodule LiveChessWeb.GameLive do
     |> assign(:history_pairs, history.pairs)
     |> assign(:history_selected_ply, history.selected_ply)
     |> maybe_reset_endgame_overlay(previous_game, state)
+    |> maybe_announce_game_end(previous_game, state)
+    |> maybe_play_capture_effect(previous_game, state)
   end
 
   defp set_game_state(socket, _state), do: socket
@@ -477,6 +657,9 @@ defmodule LiveChessWeb.GameLive do
           "score_cp" => if(winner == :white, do: 10_000, else: -10_000),
           "display_score" => if(winner == :white, do: "+♔", else: "−♔"),
           "white_percentage" => if(winner == :white, do: 100.0, else: 0.0),
+          "win" => if(winner == :white, do: 100.0, else: 0.0),
+          "draw" => 0.0,
+          "loss" => if(winner == :white, do: 0.0, else: 100.0),
           "advantage" => Atom.to_string(winner),
           "source" => "game_result"
         }
@@ -520,6 +703,7 @@ defmodule LiveChessWeb.GameLive do
     |> assign(:history_selected_ply, history.selected_ply)
     |> assign(:selected_square, nil)
     |> assign(:available_moves, MapSet.new())
+    |> clear_engine_arrows()
   end
 
   defp history_assignments(nil, _desired_cursor) do
@@ -867,7 +1051,9 @@ defmodule LiveChessWeb.GameLive do
       <div
         id="stockfish-evaluator"
         phx-hook="StockfishEvaluator"
-        data-stockfish-path="/assets/stockfish-17.1-lite-single-03e3232.js"
+        data-stockfish-path={Jason.encode!(@stockfish_paths)}
+        data-opening-book-path="/assets/opening-book.bin"
+        data-opening-names-path="/assets/openings.json"
         style="display: none;"
       >
       </div>
@@ -902,38 +1088,225 @@ defmodule LiveChessWeb.GameLive do
               </div>
               <div class="mt-2 flex flex-wrap items-baseline gap-x-2 gap-y-1">
                 <span class={"text-sm " <> status_classes(@game)}>{status_line(@game)}</span>
+                <button
+                  :if={@role == :spectator}
+                  type="button"
+                  phx-click="toggle_annotation_sharing"
+                  aria-pressed={to_string(@share_annotations)}
+                  title="Show your right-click arrows and highlights to other spectators"
+                  class={toggle_button_classes(@share_annotations)}
+                >
+                  Share drawings
+                </button>
+              </div>
+              <form
+                :if={playing?(@game, @role) and viewing_live?(@history_cursor, @history_length)}
+                id="move-input"
+                phx-hook="MoveInput"
+                data-fen={@game.current_fen}
+                data-your-turn={Map.get(@game, :turn) == @role}
+                class="mt-2 flex items-center gap-2"
+              >
+                <label for="move-input-text" class="sr-only">Type a move</label>
+                <input
+                  id="move-input-text"
+                  name="move"
+                  type="text"
+                  list="move-input-suggestions"
+                  autocomplete="off"
+                  autocapitalize="off"
+                  spellcheck="false"
+                  placeholder="Type a move, e.g. Nf3 or e2e4"
+                  class="w-56 rounded-md border border-slate-300 px-2 py-1 text-sm text-slate-900 focus:outline-none focus:ring-2 focus:ring-slate-400 dark:border-slate-600 dark:bg-slate-900 dark:text-slate-100 dark:focus:ring-slate-500"
+                />
+                <datalist id="move-input-suggestions" phx-update="ignore"></datalist>
+                <button
+                  type="submit"
+                  class="inline-flex items-center rounded-full border border-slate-300 px-3 py-1 text-sm font-medium text-slate-700 transition hover:bg-slate-100 focus:outline-none focus:ring-2 focus:ring-slate-400 focus:ring-offset-2 dark:border-slate-600 dark:text-slate-200 dark:hover:bg-slate-800 dark:focus:ring-slate-500"
+                >
+                  Move
+                </button>
+              </form>
+              <div
+                :if={engine_assist_available?(@game, @role, @history_cursor, @history_length)}
+                class="mt-2 flex flex-wrap items-center gap-2"
+              >
+                <button
+                  :for={{kind, label} <- [{"hint", "Hint"}, {"threat", "Threat"}]}
+                  type="button"
+                  phx-click="toggle_engine_arrow"
+                  phx-value-kind={kind}
+                  aria-pressed={to_string(kind in @engine_arrows)}
+                  class={toggle_button_classes(kind in @engine_arrows)}
+                >
+                  {label}
+                </button>
               </div>
 
-              <div class="chess-board-grid" phx-hook="ChessBoard" id="chess-board">
-                <%= for row <- board_rows(@game, @role, @board_override) do %>
-                  <%= for cell <- row do %>
-                    <button
-                      type="button"
-                      phx-click="select_square"
-                      phx-value-square={cell.id}
-                      class={
-                        square_classes(
-                          @role,
-                          cell,
-                          @selected_square,
-                          @active_last_move,
-                          @available_moves,
-                          viewing_live?(@history_cursor, @history_length)
-                        )
-                      }
-                    >
-                      <div class="piece-wrapper">
-                        {piece_svg(cell.piece)}
-                      </div>
-                      <%= if show_move_dot?(@available_moves, cell, @role) do %>
-                        <span class="pointer-events-none absolute inset-0 flex items-center justify-center">
-                          <span class="move-dot"></span>
-                        </span>
-                      <% end %>
-                      <span class="sr-only">{cell.id}</span>
-                    </button>
+              <div
+                :if={@game[:clock]}
+                id="chess-clock"
+                phx-hook="ChessClock"
+                phx-update="ignore"
+                data-clock={Jason.encode!(@game.clock)}
+                data-role={@role}
+                class="mt-3 flex items-center justify-center gap-3"
+              >
+                <div
+                  :for={color <- [:white, :black]}
+                  class="chess-clock"
+                  aria-label={"#{color_label(color)} clock"}
+                >
+                  <span class="chess-clock-label">{color_label(color)}</span>
+                  <span data-clock-side={color} class="chess-clock-time">
+                    {format_clock(Map.fetch!(@game.clock, clock_key(color)))}
+                  </span>
+                </div>
+              </div>
+
+              <div class="chess-board-stage">
+                <div
+                  class="chess-board-grid"
+                  phx-hook="ChessBoard"
+                  id="chess-board"
+                  data-role={@role}
+                  data-turn={@game.turn}
+                  data-fen={@game.current_fen}
+                  data-ply={@history_cursor || @history_length}
+                  data-premoves={playing?(@game, @role)}
+                  data-live={viewing_live?(@history_cursor, @history_length)}
+                >
+                  <%= for row <- board_rows(@game, @role, @board_override) do %>
+                    <%= for cell <- row do %>
+                      <button
+                        type="button"
+                        phx-click="select_square"
+                        phx-value-square={cell.id}
+                        data-piece={piece_code(cell.piece)}
+                        data-draggable={
+                          viewing_live?(@history_cursor, @history_length) and
+                            clickable?(@role, cell)
+                        }
+                        class={
+                          square_classes(
+                            @role,
+                            cell,
+                            @selected_square,
+                            @active_last_move,
+                            @available_moves,
+                            viewing_live?(@history_cursor, @history_length)
+                          )
+                        }
+                      >
+                        <div class="piece-wrapper">
+                          {piece_svg(cell.piece)}
+                        </div>
+                        <%= if show_move_dot?(@available_moves, cell, @role) do %>
+                          <span class="pointer-events-none absolute inset-0 flex items-center justify-center">
+                            <span class="move-dot"></span>
+                          </span>
+                        <% end %>
+                        <span class="sr-only">{square_label(cell)}</span>
+                      </button>
+                    <% end %>
                   <% end %>
-                <% end %>
+                </div>
+                <div
+                  id="board-overlay"
+                  phx-hook="BoardOverlay"
+                  phx-update="ignore"
+                  data-board-id="chess-board"
+                  data-room={@room_id}
+                  data-ply={@history_cursor || @history_length}
+                  data-share={@share_annotations}
+                  class="board-overlay"
+                  aria-hidden="true"
+                >
+                  <svg></svg>
+                </div>
+              </div>
+              <div class="mt-3 flex flex-wrap items-center justify-end gap-x-4 gap-y-2 text-xs text-slate-500 dark:text-slate-400">
+                <div id="tab-notifier" phx-hook="TabNotifier" phx-update="ignore">
+                  <details class="relative">
+                    <summary class="cursor-pointer select-none">Notifications</summary>
+                    <div class="absolute right-0 z-20 mt-2 w-60 space-y-1.5 rounded-md border border-slate-200 bg-white p-3 text-slate-700 shadow-lg dark:border-slate-700 dark:bg-slate-900 dark:text-slate-200">
+                      <p class="text-slate-500 dark:text-slate-400">
+                        While this tab is in the background, tell me when:
+                      </p>
+                      <label class="flex items-center gap-2">
+                        <input type="checkbox" name="opponent_moved" class="rounded" />
+                        My opponent moves
+                      </label>
+                      <label class="flex items-center gap-2">
+                        <input type="checkbox" name="opponent_joined" class="rounded" />
+                        My opponent joins
+                      </label>
+                      <label class="flex items-center gap-2">
+                        <input type="checkbox" name="game_ended" class="rounded" /> The game ends
+                      </label>
+                      <label class="flex items-center gap-2 border-t border-slate-200 pt-1.5 dark:border-slate-700">
+                        <input type="checkbox" name="desktop" class="rounded" />
+                        Also show system notifications
+                      </label>
+                    </div>
+                  </details>
+                </div>
+                <div
+                  id="sound-settings"
+                  phx-hook="SoundSettings"
+                  phx-update="ignore"
+                  class="flex items-center gap-2"
+                >
+                  <label for="sound-theme">Sounds</label>
+                  <select
+                    id="sound-theme"
+                    name="theme"
+                    class="rounded-md border border-slate-300 bg-transparent py-0.5 pl-2 pr-7 text-xs text-slate-700 dark:border-slate-600 dark:text-slate-200"
+                  >
+                  </select>
+                  <input
+                    type="range"
+                    name="volume"
+                    min="0"
+                    max="100"
+                    step="5"
+                    aria-label="Sound volume"
+                    class="w-20 accent-slate-600 dark:accent-slate-300"
+                  />
+                  <label class="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      name="muted"
+                      class="rounded border-slate-300 dark:border-slate-600"
+                    /> Mute
+                  </label>
+                </div>
+                <div id="haptics-setting" phx-hook="HapticsSetting" phx-update="ignore">
+                  <div data-haptics-controls class="flex items-center gap-2">
+                    <label for="haptic-intensity">Vibration</label>
+                    <select
+                      id="haptic-intensity"
+                      class="rounded-md border border-slate-300 bg-transparent py-0.5 pl-2 pr-7 text-xs text-slate-700 dark:border-slate-600 dark:text-slate-200"
+                    >
+                      <option :for={{value, label} <- haptic_intensity_options()} value={value}>
+                        {label}
+                      </option>
+                    </select>
+                  </div>
+                </div>
+                <div class="flex items-center gap-2">
+                  <label for="animation-speed">Piece animation</label>
+                  <select
+                    id="animation-speed"
+                    phx-hook="AnimationSpeed"
+                    phx-update="ignore"
+                    class="rounded-md border border-slate-300 bg-transparent py-0.5 pl-2 pr-7 text-xs text-slate-700 dark:border-slate-600 dark:text-slate-200"
+                  >
+                    <option :for={{value, label} <- animation_speed_options()} value={value}>
+                      {label}
+                    </option>
+                  </select>
+                </div>
               </div>
             </div>
           <% else %>
@@ -947,6 +1320,10 @@ defmodule LiveChessWeb.GameLive do
           <h3 class="text-lg font-semibold text-slate-800 dark:text-slate-100">Advantage</h3>
           <.evaluation_panel evaluation={@game && Map.get(@game, :evaluation)} role={@role} />
         </div>
+        <div :if={@game_analysis} class="panel-surface">
+          <h3 class="text-lg font-semibold text-slate-800 dark:text-slate-100">Game review</h3>
+          <.game_review analysis={@game_analysis} />
+        </div>
         <div class="panel-surface">
           <div class="flex items-center justify-between gap-3">
             <h3 class="text-lg font-semibold text-slate-800 dark:text-slate-100">Players</h3>
@@ -1019,6 +1396,12 @@ defmodule LiveChessWeb.GameLive do
                 </button>
               </div>
             </div>
+            <p :if={@opening} class="mt-2 text-sm text-slate-700 dark:text-slate-200">
+              <span class="font-mono text-xs font-semibold text-slate-500 dark:text-slate-400">
+                {@opening.eco}
+              </span>
+              {@opening.name}
+            </p>
             <p class="mt-2 text-xs font-medium text-slate-500 dark:text-slate-400">
               {@history_status}
               <%= if @history_length > 0 do %>
@@ -1042,13 +1425,13 @@ defmodule LiveChessWeb.GameLive do
                         class={move_cell_classes(pair.white, @history_selected_ply)}
                         aria-current={move_aria_current(pair.white, @history_selected_ply)}
                       >
-                        {move_display(pair.white)}
+                        {move_display(pair.white)}{review_glyph(pair.white, @game_analysis)}
                       </span>
                       <span
                         class={move_cell_classes(pair.black, @history_selected_ply)}
                         aria-current={move_aria_current(pair.black, @history_selected_ply)}
                       >
-                        {move_display(pair.black)}
+                        {move_display(pair.black)}{review_glyph(pair.black, @game_analysis)}
                       </span>
                     </div>
                   <% end %>
@@ -1166,7 +1549,7 @@ defmodule LiveChessWeb.GameLive do
     assigns =
       assigns
       |> assign(:overlay_class, overlay_class(Map.get(overlay, :type)))
-      |> assign(:overlay_type, Map.get(overlay, :type))
+      |> assign(:overlay_effect, Map.get(overlay, :effect))
       |> assign(:heading, Map.get(overlay, :heading, ""))
       |> assign(:subtext, Map.get(overlay, :subtext))
       |> assign(:cta_label, Map.get(overlay, :cta_label, "Continue"))
@@ -1180,7 +1563,7 @@ defmodule LiveChessWeb.GameLive do
       phx-click="dismiss_endgame_overlay"
       phx-hook="EndgameCanvas"
       id="endgame-overlay"
-      data-overlay-type={@overlay_type}
+      data-effect={@overlay_effect}
     >
       <div class="endgame-overlay__content" phx-click="noop" phx-stop>
         <p class="endgame-overlay__heading">{@heading}</p>
@@ -1250,6 +1633,8 @@ defmodule LiveChessWeb.GameLive do
       |> assign(:player_pct_display, format_percentage(player_pct))
       |> assign(:opponent_pct_display, format_percentage(opponent_pct))
       |> assign(:evaluation, evaluation)
+      |> assign(:lines, eval_lines(evaluation))
+      |> assign(:outcome_summary, outcome_summary(assigns.evaluation))
 
     ~H"""
     <div class="space-y-3">
@@ -1273,10 +1658,135 @@ defmodule LiveChessWeb.GameLive do
       <p class="text-center text-xs text-slate-600 dark:text-slate-400">
         {evaluation_caption(@evaluation, @role)}
       </p>
+      <p
+        :if={@outcome_summary}
+        class="text-center text-[11px] font-medium text-slate-500 dark:text-slate-400"
+      >
+        {@outcome_summary}
+      </p>
+      <%= if @lines != [] do %>
+        <ol class="space-y-1 border-t border-slate-200 pt-2 dark:border-slate-700">
+          <%= for line <- @lines do %>
+            <li class="flex items-baseline gap-2 text-xs">
+              <span class="w-12 shrink-0 text-right font-mono font-semibold text-slate-700 dark:text-slate-200">
+                {line["display_score"]}
+              </span>
+              <span class="truncate font-mono text-slate-500 dark:text-slate-400">
+                {eval_line_preview(line)}
+              </span>
+            </li>
+          <% end %>
+        </ol>
+      <% end %>
     </div>
     """
   end
 
+  defp eval_line_preview(%{"pv" => pv}) when is_list(pv) do
+    preview = pv |> Enum.take(@eval_line_preview_moves) |> Enum.join(" ")
+
+    if length(pv) > @eval_line_preview_moves, do: preview <> " …", else: preview
+  end
+
+  defp eval_line_preview(_line), do: ""
+
+  defp eval_lines(%{"lines" => lines}) when is_list(lines), do: lines
+  defp eval_lines(_evaluation), do: []
+
+  # Win/draw/loss chances are always phrased from White's perspective by
+  # colour name, so they read the same for both players and spectators
+  defp outcome_summary(%{"source" => "game_result"}), do: nil
+
+  defp outcome_summary(%{"mate" => mate}) when is_integer(mate) and mate != 0 do
+    if mate > 0, do: "White mates in #{mate}", else: "Black mates in #{-mate}"
+  end
+
+  defp outcome_summary(%{"win" => win, "draw" => draw, "loss" => loss})
+       when is_number(win) and is_number(draw) and is_number(loss) do
+    {side, chance} = if win >= loss, do: {"White", win}, else: {"Black", loss}
+
+    "#{side} wins #{round(chance)}% · draw #{round(draw)}%"
+  end
+
+  defp outcome_summary(_evaluation), do: nil
+
+  attr :analysis, :map, required: true
+
+  def game_review(%{analysis: %{status: :running}} = assigns) do
+    ~H"""
+    <div class="mt-3 space-y-2">
+      <p class="text-xs text-slate-500 dark:text-slate-400">
+        Reviewing positions… {@analysis.done}/{@analysis.total}
+      </p>
+      <div class="h-2 w-full overflow-hidden rounded-full bg-slate-200 dark:bg-slate-700">
+        <div
+          class="h-full bg-emerald-400 transition-all duration-300 dark:bg-emerald-500/80"
+          style={"width: #{review_progress(@analysis)}%"}
+        />
+      </div>
+    </div>
+    """
+  end
+
+  def game_review(%{analysis: %{status: :complete}} = assigns) do
+    ~H"""
+    <div class="mt-3 space-y-2 text-sm text-slate-700 dark:text-slate-300">
+      <div
+        :for={{color, label} <- [white: "White", black: "Black"]}
+        class="flex items-baseline justify-between gap-3"
+      >
+        <span class="font-semibold">{label}</span>
+        <span class="text-xs text-slate-500 dark:text-slate-400">
+          {review_tally(@analysis.players[color])}
+        </span>
+        <span class="font-mono font-semibold">{review_accuracy(@analysis.players[color])}</span>
+      </div>
+    </div>
+    """
+  end
+
+  def game_review(assigns) do
+    ~H"""
+    <p class="mt-3 text-xs text-slate-500 dark:text-slate-400">
+      The game review could not be completed.
+    </p>
+    """
+  end
+
+  defp review_progress(%{done: done, total: total})
+       when is_integer(done) and is_integer(total) and total > 0,
+       do: format_percentage(done / total * 100)
+
+  defp review_progress(_analysis), do: "0.0"
+
+  defp review_accuracy(%{accuracy: accuracy}) when is_number(accuracy),
+    do: "#{format_percentage(accuracy)}%"
+
+  defp review_accuracy(_player), do: "—"
+
+  defp review_tally(player) when is_map(player) do
+    [inaccuracy: "inaccuracies", mistake: "mistakes", blunder: "blunders"]
+    |> Enum.map(fn {name, plural} ->
+      count = Map.get(player, name, 0)
+      "#{count} #{if count == 1, do: name, else: plural}"
+    end)
+    |> Enum.join(" · ")
+  end
+
+  defp review_tally(_player), do: ""
+
+  # Annotation glyphs appended to reviewed moves in the move list
+  defp review_glyph(%{ply: ply}, %{status: :complete, classifications: classifications}) do
+    case Map.get(classifications, ply) do
+      "inaccuracy" -> "?!"
+      "mistake" -> "?"
+      "blunder" -> "??"
+      _ -> nil
+    end
+  end
+
+  defp review_glyph(_move, _analysis), do: nil
+
   # Flip evaluation from White's perspective to Black's perspective
   # Frontend sends: positive score = White better, advantage = "white"
   # For Black player: we only flip the score sign, NOT the advantage
@@ -1303,7 +1813,18 @@ defmodule LiveChessWeb.GameLive do
           evaluation
       end
 
-    evaluation
+    case evaluation do
+      %{"lines" => lines} when is_list(lines) ->
+        flipped_lines =
+          Enum.map(lines, fn line ->
+            Map.update(line, "display_score", nil, &flip_score_sign/1)
+          end)
+
+        Map.put(evaluation, "lines", flipped_lines)
+
+      _ ->
+        evaluation
+    end
   end
 
   defp flip_score_sign(nil), do: nil
@@ -1466,6 +1987,7 @@ defmodule LiveChessWeb.GameLive do
 
             %{
               type: :celebration,
+              effect: if(status == :completed, do: "fireworks", else: "confetti"),
               heading: heading,
               subtext: subtext
             }
@@ -1476,6 +1998,7 @@ defmodule LiveChessWeb.GameLive do
 
             %{
               type: :defeat,
+              effect: "tears",
               heading: heading,
               subtext: subtext
             }
@@ -1502,6 +2025,15 @@ defmodule LiveChessWeb.GameLive do
     }
   end
 
+  defp winner_overlay_copy(:timeout, opponent, opponent_color) do
+    opponent_display = capitalize_phrase(overlay_player_display(opponent, opponent_color))
+
+    {
+      "Victory on time",
+      "#{opponent_display} ran out of time."
+    }
+  end
+
   defp winner_overlay_copy(_status, opponent, opponent_color) do
     opponent_display = capitalize_phrase(overlay_player_display(opponent, opponent_color))
 
@@ -1529,6 +2061,15 @@ defmodule LiveChessWeb.GameLive do
     }
   end
 
+  defp loser_overlay_copy(:timeout, winner_player, winner_color) do
+    winner_display = capitalize_phrase(overlay_player_display(winner_player, winner_color))
+
+    {
+      "Out of time",
+      "Your clock ran out. #{winner_display} wins the game."
+    }
+  end
+
   defp loser_overlay_copy(_status, winner_player, winner_color) do
     winner_display = capitalize_phrase(overlay_player_display(winner_player, winner_color))
 
@@ -1588,10 +2129,24 @@ defmodule LiveChessWeb.GameLive do
     "Game ended by resignation. #{color_label(winner)} claims the win."
   end
 
+  defp status_line(%{status: :timeout, last_move: %{action: :timeout, color: color}}) do
+    "#{color_label(color)} ran out of time. #{opponent_label(color)} wins."
+  end
+
   defp status_line(%{status: status}) do
     "Game finished (#{format_status(status)})"
   end
 
+  defp clock_key(:white), do: :white_ms
+  defp clock_key(:black), do: :black_ms
+
+  # Server-rendered starting value; the ChessClock hook takes over from there
+  defp format_clock(ms) do
+    total_seconds = div(ms, 1000)
+    seconds = total_seconds |> rem(60) |> Integer.to_string() |> String.pad_leading(2, "0")
+    "#{div(total_seconds, 60)}:#{seconds}"
+  end
+
   defp format_status(status) when is_atom(status) do
     status
     |> Atom.to_string()
@@ -1615,7 +2170,7 @@ defmodule LiveChessWeb.GameLive do
   defp status_classes(%{status: :completed, winner: :black}),
     do: "text-emerald-700 dark:text-emerald-300 font-semibold"
 
-  defp status_classes(%{status: :resigned}),
+  defp status_classes(%{status: status}) when status in [:resigned, :timeout],
     do: "text-rose-600 dark:text-rose-300 font-semibold"
 
   defp status_classes(_), do: "text-slate-700 dark:text-slate-200"
@@ -1709,6 +2264,20 @@ defmodule LiveChessWeb.GameLive do
   defp clickable?(role, %{piece: %{color: color}}) when role == color, do: true
   defp clickable?(_role, _cell), do: false
 
+  defp animation_speed_options, do: @animation_speeds
+
+  defp haptic_intensity_options, do: @haptic_intensities
+
+  # "wp", "bk", ... for the client's move animation
+  defp piece_code(%{color: color, type: type}), do: String.first(to_string(color)) <> type
+  defp piece_code(_piece), do: nil
+
+  # Screen readers announce the square with what stands on it, e.g. "e4 white pawn"
+  defp square_label(%{id: id, piece: %{color: color, type: type}}),
+    do: "#{id} #{color} #{Map.get(@piece_names, type, type)}"
+
+  defp square_label(%{id: id}), do: id
+
   defp piece_svg(piece) do
     # Delegate to central pieces module so we can iterate on the art in one place.
     LiveChessWeb.Pieces.piece_svg(piece)
@@ -1729,13 +2298,158 @@ defmodule LiveChessWeb.GameLive do
     if Map.get(state, :current_fen) && !finished_status?(status) do
       Phoenix.LiveView.push_event(socket, "request_client_eval", %{
         fen: state.current_fen,
-        depth: 12
+        depth: analysis_depth(socket.assigns.engine_nps),
+        multi_pv: @analysis_multi_pv,
+        stream: true,
+        progress_ms: @analysis_progress_ms
+      })
+    else
+      socket
+    end
+  end
+
+  defp analysis_depth(nil), do: @default_analysis_depth
+
+  defp analysis_depth(nps) do
+    Enum.find_value(@analysis_depth_by_nps, @slow_device_analysis_depth, fn {min_nps, depth} ->
+      if nps >= min_nps, do: depth
+    end)
+  end
+
+  defp apply_client_evaluation(socket, evaluation, fen) when is_map(evaluation) do
+    game = socket.assigns.game
+
+    cond do
+      is_nil(game) ->
+        socket
+
+      # Keep the definitive evaluation once the game is over
+      finished_status?(Map.get(game, :status)) ->
+        socket
+
+      # Late results for a position the game already moved past
+      is_binary(fen) and fen != Map.get(game, :current_fen) ->
+        socket
+
+      true ->
+        # Update game state with client-side evaluation
+        # Keep as strings from JavaScript
+        normalized_evaluation = %{
+          "score_cp" => Map.get(evaluation, "score_cp"),
+          "display_score" => Map.get(evaluation, "display_score"),
+          "white_percentage" => Map.get(evaluation, "white_percentage"),
+          "win" => Map.get(evaluation, "win"),
+          "draw" => Map.get(evaluation, "draw"),
+          "loss" => Map.get(evaluation, "loss"),
+          "mate" => Map.get(evaluation, "mate"),
+          "advantage" => Map.get(evaluation, "advantage", "equal"),
+          "depth" => Map.get(evaluation, "depth"),
+          "lines" => normalize_eval_lines(Map.get(evaluation, "lines")),
+          "partial" => Map.get(evaluation, "partial", false) == true,
+          "source" => Map.get(evaluation, "source", "stockfish_wasm")
+        }
+
+        assign(socket, :game, Map.put(game, :evaluation, normalized_evaluation))
+    end
+  end
+
+  defp apply_client_evaluation(socket, _evaluation, _fen), do: socket
+
+  # Candidate lines arrive from JavaScript as string-keyed maps with the
+  # principal variation as a list of UCI moves
+  defp normalize_eval_lines(lines) when is_list(lines) do
+    lines
+    |> Enum.filter(&is_map/1)
+    |> Enum.take(@analysis_multi_pv)
+    |> Enum.map(fn line ->
+      pv = Map.get(line, "pv")
+
+      %{
+        "rank" => Map.get(line, "rank"),
+        "score_cp" => Map.get(line, "score_cp"),
+        "display_score" => Map.get(line, "display_score"),
+        "depth" => Map.get(line, "depth"),
+        "pv" => if(is_list(pv), do: Enum.filter(pv, &is_binary/1), else: [])
+      }
+    end)
+  end
+
+  defp normalize_eval_lines(_lines), do: []
+
+  # Ask the client to name the opening whenever the game moved within the
+  # plies that can still be known theory
+  defp maybe_request_opening_name(socket, state) do
+    timeline = Map.get(state, :timeline) || []
+    plies = min(length(timeline), @opening_lookup_plies)
+
+    if connected?(socket) and plies > 0 and plies != socket.assigns.opening_plies do
+      fens =
+        [Map.get(state, :initial_fen) | Enum.map(timeline, & &1.after_fen)]
+        |> Enum.take(plies + 1)
+
+      socket
+      |> assign(:opening_plies, plies)
+      |> push_event("request_opening_name", %{fens: fens})
+    else
+      socket
+    end
+  end
+
+  # Review a finished game once per page visit, while the engine is idle
+  defp maybe_request_game_analysis(socket, state) do
+    timeline = Map.get(state, :timeline) || []
+
+    if connected?(socket) and finished_status?(Map.get(state, :status)) and timeline != [] and
+         is_nil(socket.assigns.game_analysis) do
+      fens = [Map.get(state, :initial_fen) | Enum.map(timeline, & &1.after_fen)]
+
+      socket
+      |> assign(:game_analysis, %{status: :running, done: 0, total: length(fens)})
+      |> push_event("request_game_analysis", %{
+        fens: fens,
+        depth: min(@postmortem_depth, analysis_depth(socket.assigns.engine_nps))
       })
     else
       socket
     end
   end
 
+  # The client reports one entry per ply plus accuracy and tallies per colour;
+  # only the move classifications and per-player summary are kept
+  defp normalize_game_analysis(%{"moves" => moves, "players" => players})
+       when is_list(moves) and is_map(players) do
+    classifications =
+      for %{"ply" => ply, "classification" => classification} <- moves,
+          is_integer(ply) and classification in @move_classifications,
+          into: %{},
+          do: {ply, classification}
+
+    %{
+      status: :complete,
+      classifications: classifications,
+      players: %{
+        white: normalize_player_review(Map.get(players, "white")),
+        black: normalize_player_review(Map.get(players, "black"))
+      }
+    }
+  end
+
+  defp normalize_game_analysis(_analysis), do: %{status: :failed}
+
+  defp normalize_player_review(review) when is_map(review) do
+    accuracy = Map.get(review, "accuracy")
+
+    counts =
+      for name <- @move_classifications, into: %{} do
+        count = Map.get(review, name)
+        {String.to_atom(name), if(is_integer(count), do: count, else: 0)}
+      end
+
+    Map.put(counts, :accuracy, if(is_number(accuracy), do: accuracy, else: nil))
+  end
+
+  defp normalize_player_review(_review), do: nil
+
   defp maybe_request_robot_move(socket, state) do
     # Check if it's the robot's turn and request a move from the client-side engine
     cond do
@@ -1749,9 +2463,12 @@ defmodule LiveChessWeb.GameLive do
 
       # It's robot's turn - request move from client
       robot_turn?(state) ->
+        robot = Map.get(state.players, state.turn)
+
         Phoenix.LiveView.push_event(socket, "request_robot_move", %{
           fen: state.current_fen,
-          depth: 12
+          level: Map.get(robot, :level),
+          human: Map.get(robot, :human?, false)
         })
 
       # Not robot's turn
@@ -1760,6 +2477,77 @@ defmodule LiveChessWeb.GameLive do
     end
   end
 
+  # Hints are a training aid for games against the robot, on your own turn
+  defp engine_assist_available?(%{assigns: assigns}) do
+    engine_assist_available?(
+      assigns.game,
+      assigns.role,
+      assigns.history_cursor,
+      assigns.history_length
+    )
+  end
+
+  defp engine_assist_available?(game, role, cursor, length) do
+    role in [:white, :black] and match?(%{status: :active}, game) and
+      has_robot_player?(game) and Map.get(game, :turn) == role and viewing_live?(cursor, length)
+  end
+
+  defp playing?(game, role) do
+    role in [:white, :black] and
+      match?(%{status: status} when status in [:active, :playing], game)
+  end
+
+  defp stop_sharing_annotations(socket) do
+    Games.share_annotations(socket.assigns.room_id, %{
+      sender: socket.id,
+      ply: nil,
+      arrows: [],
+      marks: []
+    })
+  end
+
+  # Keep only the expected squares and a known brush from client drawings
+  defp sanitize_annotations(shapes, square_keys) when is_list(shapes) do
+    shapes
+    |> Enum.filter(fn shape ->
+      is_map(shape) and Map.get(shape, "brush") in @annotation_brushes and
+        Enum.all?(square_keys, &(Map.get(shape, &1) in @squares))
+    end)
+    |> Enum.take(@max_shared_annotations)
+    |> Enum.map(&Map.take(&1, ["brush" | square_keys]))
+  end
+
+  defp sanitize_annotations(_shapes, _square_keys), do: []
+
+  defp maybe_clear_engine_arrows(socket, previous_game, state) do
+    if Map.get(previous_game || %{}, :current_fen) == Map.get(state, :current_fen) do
+      socket
+    else
+      clear_engine_arrows(socket)
+    end
+  end
+
+  defp clear_engine_arrows(%{assigns: %{engine_arrows: []}} = socket), do: socket
+
+  defp clear_engine_arrows(socket) do
+    socket
+    |> assign(:engine_arrows, [])
+    |> push_event("clear_engine_arrows", %{})
+  end
+
+  defp toggle_button_classes(active?) do
+    base =
+      "inline-flex items-center rounded-full border px-3 py-1 text-xs font-semibold transition focus:outline-none focus:ring-2 focus:ring-offset-2"
+
+    if active? do
+      base <>
+        " border-emerald-500 bg-emerald-50 text-emerald-700 focus:ring-emerald-400 dark:border-emerald-400/70 dark:bg-emerald-900/30 dark:text-emerald-200"
+    else
+      base <>
+        " border-slate-300 text-slate-600 hover:bg-slate-100 focus:ring-slate-400 dark:border-slate-600 dark:text-slate-200 dark:hover:bg-slate-800"
+    end
+  end
+
   defp has_robot_player?(%{players: players}) do
     Map.get(players.white || %{}, :robot?) == true ||
       Map.get(players.black || %{}, :robot?) == true
@@ -2093,9 +2881,86 @@ defmodule LiveChessWeb.GameLive do
         socket
 
       true ->
+        type = move_sound_type(new_state)
+
         socket
-        |> push_event("play-move-sound", %{})
-        |> push_event("vibrate-opponent-move", %{})
+        |> push_event("play-move-sound", %{type: type})
+        |> push_event("haptic", %{pattern: opponent_move_haptic(type)})
+        |> maybe_notify_opponent_move(player_color, new_state)
+    end
+  end
+
+  defp maybe_notify_opponent_move(socket, player_color, state)
+       when player_color in [:white, :black] do
+    case last_san(state) do
+      "" -> socket
+      san -> notify(socket, "opponent_moved", "#{opponent_label(player_color)} played #{san}")
+    end
+  end
+
+  defp maybe_notify_opponent_move(socket, _player_color, _state), do: socket
+
+  # Shown by the TabNotifier hook, and only while the tab is in the background.
+  # Event names match NOTIFY_EVENTS in assets/js/tab-notifier.js
+  defp notify(socket, event, body) do
+    push_event(socket, "notify", %{event: event, body: body})
+  end
+
+  # Pattern names match HAPTIC_PATTERNS in assets/js/haptics.js
+  defp opponent_move_haptic(type) when type in ["capture", "check"], do: type
+  defp opponent_move_haptic(_type), do: "your_turn"
+
+  # Which of the client's move sounds fits the latest move, read off its SAN
+  defp move_sound_type(state) do
+    san = last_san(state)
+
+    cond do
+      String.contains?(san, ["+", "#"]) -> "check"
+      String.starts_with?(san, "O-O") -> "castle"
+      String.contains?(san, "=") -> "promote"
+      String.contains?(san, "x") -> "capture"
+      true -> "move"
+    end
+  end
+
+  defp last_san(state), do: List.last(Map.get(state, :history) || []) || ""
+
+  defp maybe_announce_game_end(socket, nil, _new_state), do: socket
+
+  defp maybe_announce_game_end(socket, previous_state, new_state) do
+    prev_status = Map.get(previous_state, :status)
+    new_status = Map.get(new_state, :status)
+
+    if finished_status?(new_status) and not finished_status?(prev_status) do
+      socket
+      |> push_event("play-sound", %{event: "game_end"})
+      |> push_event("haptic", %{pattern: "game_over"})
+      |> notify("game_ended", status_line(new_state))
+      |> maybe_play_draw_effect(new_status)
+    else
+      socket
+    end
+  end
+
+  # Wins and losses get their effect from the endgame overlay, which draws
+  # do not have. Effect names match the registry in assets/js/particle-effects.js
+  defp maybe_play_draw_effect(socket, status) when status in @drawn_statuses do
+    push_event(socket, "particle-effect", %{effect: "handshake"})
+  end
+
+  defp maybe_play_draw_effect(socket, _status), do: socket
+
+  # A burst on the square where the latest move took a piece
+  defp maybe_play_capture_effect(socket, nil, _new_state), do: socket
+
+  defp maybe_play_capture_effect(socket, previous_state, new_state) do
+    new_last = Map.get(new_state, :last_move)
+
+    if new_last != Map.get(previous_state, :last_move) and is_map(new_last) and
+         is_binary(Map.get(new_last, :to)) and String.contains?(last_san(new_state), "x") do
+      push_event(socket, "particle-effect", %{effect: "capture_burst", square: new_last.to})
+    else
+      socket
     end
   end
 
@@ -2112,12 +2977,24 @@ defmodule LiveChessWeb.GameLive do
     if joined_color do
       socket
       |> push_event("play-join-sound", %{color: color_label(joined_color)})
-      |> push_event("vibrate-join", %{})
+      |> push_event("haptic", %{pattern: "join"})
+      |> maybe_notify_join(joined_color, new_state)
     else
       socket
     end
   end
 
+  # Only the other player cares that their opponent arrived
+  defp maybe_notify_join(socket, joined_color, state) do
+    case color_for_token(state, socket.assigns.player_token) do
+      color when color in [:white, :black] and color != joined_color ->
+        notify(socket, "opponent_joined", "#{color_label(joined_color)} joined the game")
+
+      _ ->
+        socket
+    end
+  end
+
   defp player_presence(nil, _color), do: nil
 
   defp player_presence(%{players: players}, color) do
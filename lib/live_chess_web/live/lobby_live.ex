@@ -2,6 +2,16 @@ defmodule LiveChessWeb.LobbyLive do
   use LiveChessWeb, :live_view
 
   alias LiveChess.Games
+  alias LiveChess.GameServer
+
+  # Room time controls as {id, label, {initial_ms, increment_ms}}
+  @time_controls [
+    {"untimed", "Untimed", nil},
+    {"3+2", "3 + 2", {180_000, 2_000}},
+    {"5+0", "5 + 0", {300_000, 0}},
+    {"10+0", "10 + 0", {600_000, 0}},
+    {"15+10", "15 + 10", {900_000, 10_000}}
+  ]
 
   @impl true
   def mount(_params, _session, socket) do
@@ -12,6 +22,9 @@ defmodule LiveChessWeb.LobbyLive do
      |> assign(:error, nil)
      |> assign(:creating?, false)
      |> assign(:creating_robot?, false)
+     |> assign(:robot_level, GameServer.default_robot_level())
+     |> assign(:robot_human?, false)
+     |> assign(:time_control, "untimed")
      |> assign(:joining?, false)}
   end
 
@@ -20,7 +33,9 @@ defmodule LiveChessWeb.LobbyLive do
     socket =
       socket |> assign(:creating?, true) |> assign(:creating_robot?, false) |> assign(:error, nil)
 
-    case Games.create_game(socket.assigns.player_token) do
+    opts = [time_control: time_control(socket.assigns.time_control)]
+
+    case Games.create_game(socket.assigns.player_token, opts) do
       {:ok, room_id} ->
         {:noreply, push_navigate(socket, to: ~p"/game/#{room_id}")}
 
@@ -39,7 +54,9 @@ defmodule LiveChessWeb.LobbyLive do
       |> assign(:creating_robot?, true)
       |> assign(:error, nil)
 
-    case Games.create_robot_game(socket.assigns.player_token) do
+    robot_opts = [level: socket.assigns.robot_level, human?: socket.assigns.robot_human?]
+
+    case Games.create_robot_game(socket.assigns.player_token, robot_opts) do
       {:ok, room_id} ->
         {:noreply, push_navigate(socket, to: ~p"/game/#{room_id}")}
 
@@ -57,6 +74,29 @@ defmodule LiveChessWeb.LobbyLive do
     end
   end
 
+  def handle_event("update_robot_settings", params, socket) do
+    level =
+      case Integer.parse(Map.get(params, "robot_level", "")) do
+        {level, ""} -> level
+        _ -> socket.assigns.robot_level
+      end
+
+    level = if level in GameServer.robot_levels(), do: level, else: socket.assigns.robot_level
+
+    {:noreply,
+     socket
+     |> assign(:robot_level, level)
+     |> assign(:robot_human?, Map.get(params, "robot_human") == "true")}
+  end
+
+  def handle_event("update_time_control", %{"time_control" => id}, socket) do
+    if List.keymember?(@time_controls, id, 0) do
+      {:noreply, assign(socket, :time_control, id)}
+    else
+      {:noreply, socket}
+    end
+  end
+
   def handle_event("update_room", %{"room_code" => room_code}, socket) do
     {:noreply, assign(socket, :room_code, normalize_room(room_code))}
   end
@@ -101,6 +141,15 @@ defmodule LiveChessWeb.LobbyLive do
     |> String.replace(~r/[^a-z0-9]/, "")
   end
 
+  defp time_controls, do: @time_controls
+
+  defp time_control(id) do
+    case List.keyfind(@time_controls, id, 0) do
+      {_id, _label, time_control} -> time_control
+      nil -> nil
+    end
+  end
+
   defp format_create_error(:slot_taken), do: "This room already has a host. Try joining instead."
   defp format_create_error(_), do: "We couldn't create a room. Please try again."
 
@@ -150,6 +199,55 @@ defmodule LiveChessWeb.LobbyLive do
           </button>
         </div>
 
+        <form
+          phx-change="update_time_control"
+          class="flex flex-wrap items-center justify-end gap-x-4 gap-y-2 text-sm text-slate-600 dark:text-slate-300"
+        >
+          <label class="flex items-center gap-2">
+            Room clock
+            <select
+              name="time_control"
+              class="rounded-md border border-slate-300 bg-white px-2 py-1 text-sm text-slate-800 focus:border-emerald-500 focus:outline-none focus:ring-2 focus:ring-emerald-400 dark:border-slate-600 dark:bg-slate-800 dark:text-slate-50"
+            >
+              <%= for {id, label, _time_control} <- time_controls() do %>
+                <option value={id} selected={id == @time_control}>
+                  {label}
+                </option>
+              <% end %>
+            </select>
+          </label>
+        </form>
+
+        <form
+          phx-change="update_robot_settings"
+          class="flex flex-wrap items-center justify-end gap-x-4 gap-y-2 text-sm text-slate-600 dark:text-slate-300"
+        >
+          <label class="flex items-center gap-2">
+            Robot level
+            <select
+              name="robot_level"
+              class="rounded-md border border-slate-300 bg-white px-2 py-1 text-sm text-slate-800 focus:border-emerald-500 focus:outline-none focus:ring-2 focus:ring-emerald-400 dark:border-slate-600 dark:bg-slate-800 dark:text-slate-50"
+            >
+              <%= for level <- GameServer.robot_levels() do %>
+                <option value={level} selected={level == @robot_level}>
+                  {level}
+                </option>
+              <% end %>
+            </select>
+          </label>
+          <label class="flex items-center gap-2">
+            <input type="hidden" name="robot_human" value="false" />
+            <input
+              type="checkbox"
+              name="robot_human"
+              value="true"
+              checked={@robot_human?}
+              class="rounded border-slate-300 text-emerald-600 focus:ring-emerald-400 dark:border-slate-600"
+            />
+            <span>Human-like play</span>
+          </label>
+        </form>
+
         <div class="rounded-lg border border-slate-200 bg-white p-6 shadow-sm dark:border-slate-700 dark:bg-slate-900">
           <h2 class="text-xl font-semibold text-slate-800 dark:text-slate-100">Join a Room</h2>
           <form phx-submit="join_room" phx-change="update_room" class="mt-4 space-y-4">
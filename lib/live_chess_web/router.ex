@@ -11,6 +11,19 @@ defmodule LiveChessWeb.Router do
     # plug :put_csp_headers
   end
 
+  # Cross-origin isolation enables SharedArrayBuffer for multi-threaded Stockfish.
+  # Only the game page runs the engine, so the rest of the site stays unisolated.
+  pipeline :cross_origin_isolated do
+    plug :put_cross_origin_isolation_headers
+  end
+
+  defp put_cross_origin_isolation_headers(conn, _opts) do
+    Plug.Conn.merge_resp_headers(conn, [
+      {"cross-origin-opener-policy", "same-origin"},
+      {"cross-origin-embedder-policy", "require-corp"}
+    ])
+  end
+
   # defp put_csp_headers(conn, _opts) do
   #   # Content Security Policy for enhanced security
   #   # - default-src 'self': Only allow resources from same origin
@@ -41,6 +54,15 @@ defmodule LiveChessWeb.Router do
 
     live_session :default, on_mount: LiveChessWeb.PlayerLiveAuth do
       live "/", LobbyLive, :index
+    end
+  end
+
+  scope "/", LiveChessWeb do
+    pipe_through [:browser, :cross_origin_isolated]
+
+    # A separate live_session, so navigating here from the lobby is a full page
+    # load that picks up the isolation headers
+    live_session :game, on_mount: LiveChessWeb.PlayerLiveAuth do
       live "/game/:room_id", GameLive, :show
     end
   end
@@ -82,6 +82,8 @@ defmodule LiveChess.MixProject do
         "cmd mkdir -p priv/static/assets",
         "cmd cp assets/stockfish-17.1-lite-single-03e3232.js priv/static/assets/",
         "cmd cp assets/stockfish-17.1-lite-single-03e3232.wasm priv/static/assets/",
+        "cmd cp assets/node_modules/stockfish/src/stockfish-17.1-lite-51f59da.* priv/static/assets/",
+        "cmd cp assets/opening-book.bin assets/openings.json priv/static/assets/",
         "tailwind live_chess --minify",
         "esbuild live_chess --minify",
         "phx.digest"
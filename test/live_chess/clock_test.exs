@@ -0,0 +1,37 @@
+defmodule LiveChess.Games.ClockTest do
+  use ExUnit.Case, async: true
+
+  alias LiveChess.Games.Clock
+
+  test "the first move starts the opponent's clock without charging the mover" do
+    clock = Clock.new(60_000, 2_000) |> Clock.press(:white, 1_000)
+
+    assert clock.running == :black
+    assert Clock.remaining(clock, :white, 5_000) == 60_000
+    assert Clock.remaining(clock, :black, 5_000) == 56_000
+  end
+
+  test "a move charges the time used and adds the increment" do
+    clock =
+      Clock.new(60_000, 2_000)
+      |> Clock.press(:white, 0)
+      |> Clock.press(:black, 10_000)
+
+    assert clock.black_ms == 52_000
+    assert clock.running == :white
+    assert Clock.flag_in(clock, 15_000) == 55_000
+  end
+
+  test "a side that used up its time is flagged and stopping keeps the rest" do
+    clock = Clock.new(5_000, 0) |> Clock.press(:white, 0)
+
+    refute Clock.flagged?(clock, :black, 4_999)
+    assert Clock.flagged?(clock, :black, 5_000)
+
+    stopped = Clock.stop(clock, 2_000)
+    assert stopped.running == nil
+    snapshot = Clock.snapshot(stopped, 9_000)
+    assert snapshot.white_ms == 5_000
+    assert snapshot.black_ms == 3_000
+  end
+end
@@ -17,6 +17,43 @@ defmodule LiveChess.GameServerTest do
     %{room_id: room_id, player_token: player_token}
   end
 
+  describe "add_robot levels" do
+    test "defaults to the standard level", %{room_id: room_id, player_token: token} do
+      {:ok, _pid} = GameSupervisor.start_game(room_id)
+      {:ok, %{role: creator_color}} = GameServer.create(room_id, token)
+
+      robot_color = if creator_color == :white, do: :black, else: :white
+      {:ok, state} = GameServer.add_robot(room_id, robot_color)
+
+      assert state.players[robot_color].level == GameServer.default_robot_level()
+      assert state.players[robot_color].human? == false
+    end
+
+    test "keeps the requested level and human mode", %{room_id: room_id, player_token: token} do
+      {:ok, _pid} = GameSupervisor.start_game(room_id)
+      {:ok, %{role: creator_color}} = GameServer.create(room_id, token)
+
+      robot_color = if creator_color == :white, do: :black, else: :white
+      {:ok, state} = GameServer.add_robot(room_id, robot_color, level: 7, human?: true)
+
+      assert state.players[robot_color].level == 7
+      assert state.players[robot_color].human? == true
+    end
+
+    test "falls back to the default for unknown levels", %{
+      room_id: room_id,
+      player_token: token
+    } do
+      {:ok, _pid} = GameSupervisor.start_game(room_id)
+      {:ok, %{role: creator_color}} = GameServer.create(room_id, token)
+
+      robot_color = if creator_color == :white, do: :black, else: :white
+      {:ok, state} = GameServer.add_robot(room_id, robot_color, level: 42)
+
+      assert state.players[robot_color].level == GameServer.default_robot_level()
+    end
+  end
+
   describe "robot_move with promotion" do
     test "handles actual pawn promotion correctly", %{room_id: room_id, player_token: token} do
       # Create a game - the creator will be assigned a random color
@@ -60,4 +60,27 @@ defmodule LiveChess.GamesTest do
       assert {:error, :slot_taken} = Games.join_game(room_id, late_token)
     end
   end
+
+  describe "shared annotations" do
+    test "reach the other subscribers of the room but not the sender" do
+      test_pid = self()
+      annotations = %{sender: "phx-1", ply: 3, arrows: [], marks: []}
+
+      spawn_link(fn ->
+        :ok = Games.subscribe_annotations("room42")
+        send(test_pid, :subscribed)
+
+        receive do
+          message -> send(test_pid, {:spectator_got, message})
+        end
+      end)
+
+      assert_receive :subscribed
+      :ok = Games.subscribe_annotations("room42")
+      :ok = Games.share_annotations("room42", annotations)
+
+      assert_receive {:spectator_got, {:shared_annotations, ^annotations}}
+      refute_received {:shared_annotations, _}
+    end
+  end
 end
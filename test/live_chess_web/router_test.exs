@@ -0,0 +1,24 @@
+defmodule LiveChessWeb.RouterTest do
+  use LiveChessWeb.ConnCase, async: false
+
+  alias LiveChess.Games
+
+  describe "cross-origin isolation" do
+    test "is enabled on the game page", %{conn: conn} do
+      {:ok, room_id} = Games.create_game(Games.generate_player_token())
+      conn = get(conn, ~p"/game/#{room_id}")
+
+      assert html_response(conn, 200)
+      assert get_resp_header(conn, "cross-origin-opener-policy") == ["same-origin"]
+      assert get_resp_header(conn, "cross-origin-embedder-policy") == ["require-corp"]
+    end
+
+    test "is not enabled on the lobby", %{conn: conn} do
+      conn = get(conn, ~p"/")
+
+      assert html_response(conn, 200)
+      assert get_resp_header(conn, "cross-origin-opener-policy") == []
+      assert get_resp_header(conn, "cross-origin-embedder-policy") == []
+    end
+  end
+end